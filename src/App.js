@@ -1,277 +1,50 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { BrainCircuit, Code, CheckSquare, Table, ArrowRight, CheckCircle, RefreshCw, Eraser, MousePointerClick, ChevronDown, Lock, AlertTriangle, Play, Edit3, Eye, AlertCircle } from 'lucide-react';
+import { BrainCircuit, Code, CheckSquare, Table, ArrowRight, CheckCircle, RefreshCw, Eraser, MousePointerClick, ChevronDown, Lock, AlertTriangle, Play, Edit3, Eye, AlertCircle, Network, Sigma, Scale, Gavel, ListTree, GitFork, TrendingUp, GraduationCap, ClipboardList } from 'lucide-react';
+import {
+    SYMBOLS, BINARY_OPS,
+    buildConvention, DEFAULT_CONVENTION, EXPLICIT_CONVENTION, BUILTIN_CONVENTIONS, getPrecedenceTiers,
+    parseToAST, tryParse, toMinimalString, findRedundantParens,
+    getSubExpressions, getVariables, astEquals, nodeAt, diagnoseGrouping, isTruthValue, substituteValues, findRedexes, reduceAt, solveProposition, enumerateAssignments, classifyFormula,
+    DEFAULT_LEVEL, getDifficulty, generateFormula, generateTableFormula, generateClausalFormula, randomSeed,
+    isAttempt, recordAttempt, connectivePairs, formulaConnectives, practiceFocus, focusParams, emptyProblemSet, parseRoute, formatRoute
+} from './logic';
+import { OP_COLORS, NOTATION_HINT, normalizeInputEvent, getParenthesisColors, LogicKeyboard, SyntaxErrorNotice } from './components/common';
+import { SyntaxTree } from './components/SyntaxTree';
+import { MainConnectiveDrill, TreeBuilderDrill } from './components/StructureDrills';
+import { SatSolver } from './components/SatSolver';
+import { TableExport } from './components/TableExport';
+import { useExerciseRng, ExerciseTag, ExerciseSettings } from './components/ExerciseSeed';
+import { NormalFormSection } from './sections/NormalFormSection';
+import { EquivalenceSection } from './sections/EquivalenceSection';
+import { ArgumentSection } from './sections/ArgumentSection';
+import { ProofSection } from './sections/ProofSection';
+import { TableauSection } from './sections/TableauSection';
+import { ProgressSection } from './sections/ProgressSection';
+import { ExamSection } from './sections/ExamSection';
+import { ProblemSetSection, ProblemSetBar } from './sections/ProblemSetSection';
 
 // --- CONSTANTS & CONFIG ---
-const SYMBOLS = {
-    NOT: '¬',
-    AND: '∧',
-    OR: '∨',
-    IMP: '⇒',
-    IFF: '⇔'
-};
-
-const VARS = ['P', 'Q', 'R', 'S', 'T', 'U'];
-
-const PRECEDENCE = {
-    [SYMBOLS.NOT]: 5,
-    [SYMBOLS.AND]: 4,
-    [SYMBOLS.OR]: 3,
-    [SYMBOLS.IMP]: 2,
-    [SYMBOLS.IFF]: 1
-};
-
-// Colors for parentheses based on the inner operator
-const OP_COLORS = {
-    [SYMBOLS.NOT]: 'text-red-600',
-    [SYMBOLS.AND]: 'text-blue-600',
-    [SYMBOLS.OR]: 'text-green-600',
-    [SYMBOLS.IMP]: 'text-purple-600',
-    [SYMBOLS.IFF]: 'text-orange-500',
-    'DEFAULT': 'text-slate-400'
-};
-
-// --- LOGIC ENGINE ---
-
-const getRandomVar = () => VARS[Math.floor(Math.random() * VARS.length)];
-
-// Generates a random FLAT logical formula string (ambiguous without precedence)
-const generateFlatFormula = (length = 3) => {
-    let formula = [];
-    formula.push(Math.random() < 0.3 ? `${SYMBOLS.NOT} ${getRandomVar()}` : getRandomVar());
-
-    for (let i = 0; i < length; i++) {
-        const opRand = Math.random();
-        let op = SYMBOLS.AND;
-        if (opRand < 0.25) op = SYMBOLS.OR;
-        else if (opRand < 0.5) op = SYMBOLS.IMP;
-        else if (opRand < 0.75) op = SYMBOLS.IFF;
-        
-        const nextTerm = Math.random() < 0.3 ? `${SYMBOLS.NOT} ${getRandomVar()}` : getRandomVar();
-        formula.push(op);
-        formula.push(nextTerm);
-    }
-    return formula.join(' ');
-};
-
-// Generates a deep recursive formula for Evaluation
-const generateStructuredFormula = (depth = 0, maxDepth = 3) => {
-    if (depth >= maxDepth || (depth > 0 && Math.random() < 0.2)) {
-        return getRandomVar();
-    }
-    
-    const type = Math.random();
-    
-    if (type < 0.3) {
-        return `${SYMBOLS.NOT} (${generateStructuredFormula(depth + 1, maxDepth)})`;
-    }
-    
-    const left = generateStructuredFormula(depth + 1, maxDepth);
-    const right = generateStructuredFormula(depth + 1, maxDepth);
-    const ops = [SYMBOLS.AND, SYMBOLS.OR, SYMBOLS.IMP, SYMBOLS.IFF];
-    const op = ops[Math.floor(Math.random() * ops.length)];
-    
-    return `(${left} ${op} ${right})`;
-};
-
-// AST Node
-class ASTNode {
-    constructor(type, value, left = null, right = null) {
-        this.type = type; 
-        this.value = value;
-        this.left = left;
-        this.right = right;
-    }
-    
-    toFullString() {
-        if (this.type === 'ATOM') return this.value;
-        if (this.type === 'NOT') return `(${SYMBOLS.NOT} ${this.left.toFullString()})`;
-        return `(${this.left.toFullString()} ${this.value} ${this.right.toFullString()})`;
-    }
-}
-
-// Robust Parser with Mixed Associativity
-const parseToAST = (tokens) => {
-    const findSplit = (toks) => {
-        let balance = 0;
-        let splitIdx = -1;
-        let minPrec = 100;
-
-        // Iterate Right to Left to find the main operator
-        for (let i = toks.length - 1; i >= 0; i--) {
-            const t = toks[i];
-            if (t === ')') balance++;
-            else if (t === '(') balance--;
-            else if (balance === 0) {
-                // Negation is unary, usually binds tightest, don't split binary tree here
-                if (t === SYMBOLS.NOT) continue;
-
-                const prec = PRECEDENCE[t] || 100;
-                
-                // STRICT HIERARCHY CHECK
-                if (prec < minPrec) {
-                    minPrec = prec;
-                    splitIdx = i;
-                } 
-                // ASSOCIATIVITY HANDLING (When precedence is equal)
-                else if (prec === minPrec) {
-                    // IMP (⇒) and IFF (⇔) are RIGHT ASSOCIATIVE
-                    // We want the split to be as far LEFT as possible to group (A => (B => C))
-                    // Since we loop R->L, the last one found is the left-most.
-                    if (t === SYMBOLS.IMP || t === SYMBOLS.IFF) {
-                        splitIdx = i; 
-                    }
-                    // AND (∧) and OR (∨) are LEFT ASSOCIATIVE
-                    // We want the split to be as far RIGHT as possible to group ((A & B) & C)
-                    // Since we loop R->L, the first one found is the right-most. We keep it.
-                }
-            }
-        }
-        return splitIdx;
-    };
-
-    while (tokens[0] === '(' && tokens[tokens.length - 1] === ')' && isBalanced(tokens.slice(1, -1))) {
-        tokens = tokens.slice(1, -1);
-    }
-
-    if (tokens.length === 0) return new ASTNode('ATOM', 'ERR');
-    if (tokens.length === 1) return new ASTNode('ATOM', tokens[0]);
-    
-    if (tokens[0] === SYMBOLS.NOT) {
-        const split = findSplit(tokens);
-        if (split === -1) {
-            return new ASTNode('NOT', SYMBOLS.NOT, parseToAST(tokens.slice(1)));
-        }
-    }
-
-    const split = findSplit(tokens);
-    if (split !== -1) {
-        return new ASTNode('BIN', tokens[split], 
-            parseToAST(tokens.slice(0, split)), 
-            parseToAST(tokens.slice(split + 1))
-        );
-    }
-    
-    if (tokens[0] === SYMBOLS.NOT) {
-        return new ASTNode('NOT', SYMBOLS.NOT, parseToAST(tokens.slice(1)));
-    }
-    
-    return new ASTNode('ATOM', 'ERR');
-};
-
-const isBalanced = (toks) => {
-    let bal = 0;
-    for (let t of toks) {
-        if (t === '(') bal++;
-        if (t === ')') bal--;
-        if (bal < 0) return false;
-    }
-    return bal === 0;
-};
-
-const getSubExpressions = (ast, list = new Set()) => {
-    if (!ast) return list;
-    if (ast.type === 'BIN') {
-        list.add(ast.toFullString());
-        getSubExpressions(ast.left, list);
-        getSubExpressions(ast.right, list);
-    } else if (ast.type === 'NOT') {
-        list.add(ast.toFullString());
-        getSubExpressions(ast.left, list);
-    }
-    return list;
-};
-
-// --- HIGHLIGHTER HELPER ---
-const getParenthesisColors = (inputStr) => {
-    const colors = Array(inputStr.length).fill(null);
-    const stack = [];
-    
-    const findMainOp = (start, end) => {
-        let minPrec = 100;
-        let mainOp = 'DEFAULT';
-        let balance = 0;
-        
-        for (let i = start + 1; i < end; i++) {
-            const char = inputStr[i];
-            if (char === '(') balance++;
-            else if (char === ')') balance--;
-            else if (balance === 0) {
-                if (Object.values(SYMBOLS).includes(char)) {
-                    const prec = PRECEDENCE[char] || 100;
-                    if (prec <= minPrec) {
-                        minPrec = prec;
-                        mainOp = char;
-                    }
-                }
-            }
-        }
-        return OP_COLORS[mainOp] || OP_COLORS['DEFAULT'];
-    };
-
-    for (let i = 0; i < inputStr.length; i++) {
-        if (inputStr[i] === '(') {
-            stack.push(i);
-        } else if (inputStr[i] === ')') {
-            if (stack.length > 0) {
-                const start = stack.pop();
-                const colorClass = findMainOp(start, i);
-                colors[start] = colorClass;
-                colors[i] = colorClass;
-            }
-        }
-    }
-    return colors;
-};
-
-// --- LOGIC HELPERS ---
-
-const evaluateOp = (left, op, right) => {
-    const l = left === '1';
-    const r = right === '1';
-    switch(op) {
-        case SYMBOLS.AND: return (l && r) ? '1' : '0';
-        case SYMBOLS.OR: return (l || r) ? '1' : '0';
-        case SYMBOLS.IMP: return (!l || r) ? '1' : '0';
-        case SYMBOLS.IFF: return (l === r) ? '1' : '0';
-        default: return '0';
-    }
-};
-
-const evaluateNot = (val) => val === '1' ? '0' : '1';
-
-const solveProposition = (formula, values) => {
-    try {
-        const tokens = formula.replace(/\s/g, '').split(/([¬∧∨⇒⇔()])/).filter(t => t);
-        const ast = parseToAST(tokens);
-        
-        const evalAST = (node) => {
-            if (node.type === 'ATOM') {
-                if (node.value === '1' || node.value === 'T') return true;
-                if (node.value === '0' || node.value === 'F') return false;
-                const key = node.value.toUpperCase();
-                return !!values[key];
-            }
-            if (node.type === 'NOT') return !evalAST(node.left);
-            
-            const l = evalAST(node.left);
-            const r = evalAST(node.right);
-            
-            if (node.value === SYMBOLS.AND) return l && r;
-            if (node.value === SYMBOLS.OR) return l || r;
-            if (node.value === SYMBOLS.IMP) return !l || r;
-            if (node.value === SYMBOLS.IFF) return l === r;
-            return false;
-        };
-        return evalAST(ast);
-    } catch(e) {
-        return false;
-    }
+const ASSOCIATIVITY_LABELS = { left: 'Izquierda', right: 'Derecha', none: 'Ninguna' };
+const KIND_LABELS = { tautology: 'Tautología', contradiction: 'Contradicción', contingency: 'Contingencia' };
+// Beyond this the table has too many rows to fill in (or even render); the SAT mode takes over
+const MAX_TABLE_VARS = 6;
+// Reminder shown when a student miscalculates a connective
+const OP_RULES = {
+    [SYMBOLS.NOT]: 'invierte el valor',
+    [SYMBOLS.AND]: 'solo es 1 si ambos lados son 1',
+    [SYMBOLS.OR]: 'solo es 0 si ambos lados son 0',
+    [SYMBOLS.IMP]: 'solo es 0 con antecedente 1 y consecuente 0',
+    [SYMBOLS.RIMP]: 'solo es 0 con 0 a la izquierda y 1 a la derecha',
+    [SYMBOLS.IFF]: 'es 1 cuando ambos lados coinciden',
+    [SYMBOLS.XOR]: 'es 1 cuando los lados difieren',
+    [SYMBOLS.NAND]: 'solo es 0 si ambos lados son 1',
+    [SYMBOLS.NOR]: 'solo es 1 si ambos lados son 0'
 };
 
 // --- COMPONENTS ---
 
-const Header = () => (
-    <header className="bg-slate-900 text-white p-6 shadow-lg">
+const Header = ({ convention, conventions, onSelectConvention, onEditConventions, exercise, onChangeExercise }) => (
+    <header className="bg-slate-900 text-white p-6 shadow-lg print:hidden">
         <div className="max-w-6xl mx-auto flex items-center justify-between">
             <div>
                 <h1 className="text-2xl font-bold flex items-center gap-2">
@@ -280,125 +53,344 @@ const Header = () => (
                 </h1>
                 <p className="text-slate-400 text-sm mt-1">Entrenador Avanzado de Lógica</p>
             </div>
-            <div className="text-right text-xs text-slate-500 hidden md:block">
-                <p>Prioridad: {SYMBOLS.NOT} &gt; {SYMBOLS.AND} &gt; {SYMBOLS.OR} &gt; {SYMBOLS.IMP} &gt; {SYMBOLS.IFF}</p>
+            <div className="text-right text-xs text-slate-500 space-y-1">
+                <div className="flex items-center justify-end gap-2">
+                    <span>Convención:</span>
+                    <select
+                        value={convention.id}
+                        onChange={e => onSelectConvention(e.target.value)}
+                        className="bg-slate-800 text-slate-200 border border-slate-700 rounded px-2 py-1"
+                    >
+                        {conventions.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                    </select>
+                    <button onClick={onEditConventions} className="text-indigo-300 hover:text-indigo-200 flex items-center gap-1">
+                        <Edit3 className="w-3 h-3" /> Personalizar
+                    </button>
+                </div>
+                <ExerciseSettings exercise={exercise} onChange={onChangeExercise} />
+                <p className="hidden md:block">Prioridad: {getPrecedenceTiers(convention).map(tier => tier.join(' ')).join(' > ')}</p>
+                <p className="hidden md:block">
+                    Asociatividad: {BINARY_OPS.filter(op => convention.associativity[op] !== 'left').map(op => `${op} ${ASSOCIATIVITY_LABELS[convention.associativity[op]].toLowerCase()}`).join(', ') || 'todas a la izquierda'}
+                </p>
             </div>
         </div>
     </header>
 );
 
-const LogicKeyboard = ({ onInsert, extras = [] }) => {
-    const keys = [
-        { char: SYMBOLS.NOT, label: 'NEG' },
-        { char: SYMBOLS.AND, label: 'CONJ' },
-        { char: SYMBOLS.OR, label: 'DISY' },
-        { char: SYMBOLS.IMP, label: 'IMP' },
-        { char: SYMBOLS.IFF, label: 'BIC' },
-        { char: '(', label: '(' },
-        { char: ')', label: ')' },
-        ...VARS.map(v => ({ char: v, label: v })),
-        ...extras
-    ];
+// Editor for user-defined conventions. Ranks: higher binds tighter; ¬ always stays on top.
+const ConventionEditor = ({ base, customConventions, onSave, onDelete, onClose }) => {
+    const [name, setName] = useState(`${base.name} (personalizada)`);
+    const [ranks, setRanks] = useState(() => Object.fromEntries(BINARY_OPS.map(op => [op, base.precedence[op]])));
+    const [assoc, setAssoc] = useState(() => ({ ...base.associativity }));
+    const [error, setError] = useState("");
+
+    const save = () => {
+        const values = BINARY_OPS.map(op => Number(ranks[op]));
+        if (!name.trim()) {
+            setError("Ponle un nombre a la convención.");
+            return;
+        }
+        if (values.some(v => !Number.isInteger(v) || v < 1)) {
+            setError("Cada rango debe ser un entero mayor o igual a 1.");
+            return;
+        }
+        const distinct = [...new Set(values)].sort((a, b) => b - a);
+        const tiers = distinct.map(rank => BINARY_OPS.filter(op => Number(ranks[op]) === rank));
+        onSave(buildConvention(`custom-${Date.now()}`, name.trim(), tiers, assoc));
+    };
+
     return (
-        <div className="flex flex-wrap gap-2 my-2 p-2 bg-slate-100 rounded-lg border border-slate-200 justify-center">
-            {keys.map((k) => (
-                <button
-                    key={k.char}
-                    onClick={() => onInsert(k.char)}
-                    className="bg-white hover:bg-indigo-50 text-slate-800 border border-slate-300 px-3 py-2 rounded shadow-sm text-base font-mono font-bold transition active:scale-95"
-                >
-                    {k.char}
+        <div className="bg-white p-6 rounded-lg shadow border border-slate-200 mb-8 space-y-4">
+            <div className="flex justify-between items-center">
+                <h3 className="font-bold text-slate-800">Convención personalizada</h3>
+                <button onClick={onClose} className="text-slate-400 hover:text-slate-600 text-sm font-bold">Cerrar</button>
+            </div>
+            <p className="text-sm text-slate-500">
+                Un rango mayor agrupa antes. Operadores con el mismo rango se agrupan según su asociatividad; "Ninguna" exige paréntesis al encadenarlos.
+            </p>
+            <input
+                value={name}
+                onChange={e => setName(e.target.value)}
+                className="w-full p-2 border-2 border-slate-300 rounded focus:border-indigo-500 outline-none"
+            />
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {BINARY_OPS.map(op => (
+                    <div key={op} className="flex items-center gap-2 bg-slate-50 p-2 rounded border border-slate-200">
+                        <span className={`font-mono font-bold text-xl w-6 text-center ${OP_COLORS[op]}`}>{op}</span>
+                        <input
+                            type="number"
+                            min={1}
+                            value={ranks[op]}
+                            onChange={e => setRanks(prev => ({ ...prev, [op]: e.target.value }))}
+                            className="w-14 p-1 border border-slate-300 rounded text-center"
+                        />
+                        <select
+                            value={assoc[op]}
+                            onChange={e => setAssoc(prev => ({ ...prev, [op]: e.target.value }))}
+                            className="flex-1 p-1 border border-slate-300 rounded text-sm"
+                        >
+                            {Object.entries(ASSOCIATIVITY_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                    </div>
+                ))}
+            </div>
+            {error && <p className="text-red-600 text-sm font-bold">{error}</p>}
+            <div className="flex flex-wrap justify-between gap-4">
+                <div className="flex flex-wrap gap-2">
+                    {customConventions.map(c => (
+                        <span key={c.id} className="flex items-center gap-1 bg-slate-100 px-2 py-1 rounded text-sm">
+                            {c.name}
+                            <button onClick={() => onDelete(c.id)} className="text-slate-400 hover:text-red-600" title="Eliminar">
+                                <Eraser className="w-3 h-3" />
+                            </button>
+                        </span>
+                    ))}
+                </div>
+                <button onClick={save} className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2 rounded font-bold transition">
+                    Guardar y usar
                 </button>
-            ))}
+            </div>
         </div>
     );
 };
 
 // --- SECTIONS ---
 
-const SyntaxSection = () => {
+const SYNTAX_MODES = ['auto', 'minimal', 'custom', 'main', 'build'];
+
+const SyntaxSection = ({ convention, exercise, focus, onAttempt, assignment, link, onRoute }) => {
     const [problemRaw, setProblemRaw] = useState("");
     const [expected, setExpected] = useState("");
-    const [input, setInput] = useState("");
+    const [input, setInput] = useState(link && link.mode === 'custom' && link.formula ? link.formula : "");
     const [status, setStatus] = useState("idle");
     const [errorMsg, setErrorMsg] = useState("");
     const [showAnswer, setShowAnswer] = useState(false);
-    const [mode, setMode] = useState("auto"); // auto | custom
+    const [mode, setMode] = useState(link && SYNTAX_MODES.includes(link.mode) ? link.mode : "auto"); // auto | minimal | custom | main | build
+    const [syntaxError, setSyntaxError] = useState(null);
+    const [redundantPairs, setRedundantPairs] = useState([]);
+    const [groupingSpan, setGroupingSpan] = useState(null); // span of the misgrouped subtree
+    const [showTree, setShowTree] = useState(false);
+    const [hoverSpan, setHoverSpan] = useState(null); // span of the tree node under the cursor
     
     const inputRef = useRef(null);
+    const startedAt = useRef(Date.now());
+    const solved = useRef(false); // the current problem was already answered correctly
+    const flatExercises = useExerciseRng(exercise, 'syntax');
+    const minimalExercises = useExerciseRng(exercise, 'minimal');
 
     const newProblem = () => {
+        // A problem set supplies the formula itself
+        if (assignment) {
+            startProblem(assignment.item.formula, parseToAST(assignment.item.formula, convention).toFullString());
+            return;
+        }
+        // So does a shared link, unless its formula does not parse
+        const linked = link && link.formula ? tryParse(link.formula, convention).ast : null;
+        if (linked) {
+            if (mode === 'minimal') startProblem(linked.toFullString(), toMinimalString(linked, convention));
+            else startProblem(link.formula, linked.toFullString());
+            return;
+        }
+        if (mode === 'minimal') {
+            newMinimalProblem();
+            return;
+        }
+
         let attempts = 0;
         let valid = false;
         let rawStr, fullStr;
 
-        while(!valid && attempts < 10) {
-            rawStr = generateFlatFormula(Math.floor(Math.random() * 2) + 3);
-            const tokens = rawStr.replace(/\s/g, '').split(/([¬∧∨⇒⇔])/).filter(t => t);
-            
-            try {
-                const ast = parseToAST(tokens);
+        // Non-associative conventions reject some flat chains outright, so allow a few more draws
+        const rng = flatExercises.next(focus);
+        const params = focusParams('syntax', focus, { ...getDifficulty(exercise.level), shape: 'flat' });
+        while(!valid && attempts < 50) {
+            rawStr = generateFormula(rng, params, convention);
+            const { ast } = tryParse(rawStr, convention);
+            if (ast) {
                 fullStr = ast.toFullString();
                 if (fullStr.length > rawStr.length + 2) valid = true;
-            } catch (e) {}
+            }
             attempts++;
         }
-        setProblemRaw(rawStr);
-        setExpected(fullStr);
-        setInput(rawStr);
+        startProblem(rawStr, fullStr);
+    };
+
+    // "Remove redundant parentheses": start from the fully parenthesized form of a
+    // structured formula whose minimal form still keeps at least one pair
+    const newMinimalProblem = () => {
+        let fullStr, minimalStr;
+        const rng = minimalExercises.next(focus);
+        const difficulty = getDifficulty(exercise.level);
+        const params = focusParams('syntax', focus, { ...difficulty, depth: Math.max(3, difficulty.depth) });
+        for (let attempts = 0; attempts < 20; attempts++) {
+            const ast = parseToAST(generateFormula(rng, params), convention);
+            fullStr = ast.toFullString();
+            minimalStr = toMinimalString(ast, convention);
+            if (minimalStr.includes('(')) break;
+        }
+        startProblem(fullStr, minimalStr);
+    };
+
+    const startProblem = (given, answer) => {
+        setProblemRaw(given);
+        setExpected(answer);
+        setInput(given);
         setStatus("idle");
         setErrorMsg("");
+        setSyntaxError(null);
+        setRedundantPairs([]);
+        setGroupingSpan(null);
         setShowAnswer(false);
+        startedAt.current = Date.now();
+        solved.current = false;
+        if (onRoute) onRoute({ mode, formula: given });
+    };
+
+    const switchMode = (next) => {
+        setMode(next);
+        // Generated problems route themselves once they start
+        if (onRoute && next !== 'auto' && next !== 'minimal') onRoute({ mode: next });
+    };
+
+    // Generated problems go to the progress log; an already solved one is not counted again.
+    // `pair` is the connective pair a grouping error confused.
+    const record = (error = null, detail = null, pair = null) => {
+        if (mode === 'custom' || solved.current) return;
+        solved.current = !error;
+        onAttempt({
+            skill: 'syntax', formula: problemRaw, correct: !error, error, detail,
+            traits: connectivePairs(problemRaw), missed: pair ? [pair.join(' ')] : [],
+            ms: Date.now() - startedAt.current
+        });
+    };
+
+    // The free mode formula goes into the link as it is typed
+    const editInput = (value) => {
+        setInput(value);
+        if (onRoute && mode === 'custom') onRoute({ mode, formula: value }, true);
+    };
+
+    // Parses the current input; on failure records the positional error and returns null
+    const parseInput = () => {
+        const { ast, error } = tryParse(input, convention);
+        setSyntaxError(error);
+        if (error) {
+            setStatus("error");
+            setErrorMsg(error.message);
+        }
+        return ast;
     };
 
+    // Strict grouping means every binary subformula is parenthesized; returns the first
+    // operator that still relies on precedence, or null
+    const findImplicitGrouping = () => tryParse(input, EXPLICIT_CONVENTION).error;
+
     const handleCustomCheck = () => {
-        const tokens = input.replace(/\s/g, '').split(/([¬∧∨⇒⇔()])/).filter(t => t);
-        try {
-            const ast = parseToAST(tokens);
-            if (ast.type === 'ERR') throw new Error();
-            
-            const ideal = ast.toFullString().replace(/\s/g, '');
-            const current = input.replace(/\s/g, '');
-            
-            if (current === ideal) {
-                setStatus("correct");
-                setErrorMsg("");
-            } else {
-                setStatus("custom_valid_but_loose");
-                setErrorMsg("Sintaxis válida, pero no cumple con la agrupación estricta.");
-            }
-        } catch (e) {
+        const ast = parseInput();
+        if (!ast) return;
+        
+        const implicit = findImplicitGrouping();
+        if (!implicit) {
+            setStatus("correct");
+            setErrorMsg("");
+        } else {
+            setStatus("custom_valid_but_loose");
+            setErrorMsg("Sintaxis válida, pero no cumple con la agrupación estricta.");
+            setGroupingSpan({ start: implicit.offset, end: implicit.offset + implicit.length });
+        }
+    };
+
+    // Graded on trees: any answer with the original structure and no removable pair passes
+    const handleMinimalCheck = () => {
+        const ast = parseInput();
+        if (!ast) {
+            record('syntax');
+            return;
+        }
+
+        const strip = (s) => s.replace(/[\s()]/g, '');
+        if (strip(input) !== strip(problemRaw)) {
             setStatus("error");
-            setErrorMsg("Error de sintaxis: Estructura inválida.");
+            setErrorMsg("Has modificado las variables o conectores.");
+            record('edited');
+            return;
+        }
+
+        const diagnosis = diagnoseGrouping(parseToAST(problemRaw, convention), problemRaw, ast, input, convention);
+        if (diagnosis) {
+            setStatus("error");
+            setErrorMsg(diagnosis.node
+                ? `Quitaste paréntesis necesarios: sin ellos se agrupa ${toMinimalString(diagnosis.node, convention)} en lugar de ${toMinimalString(diagnosis.expectedNode, convention)}.`
+                : "Quitaste paréntesis necesarios: la fórmula ya no se agrupa igual.");
+            setGroupingSpan(diagnosis.node && diagnosis.node.span);
+            record('grouping', diagnosis.expectedNode && toMinimalString(diagnosis.expectedNode, convention), diagnosis.pair);
+            return;
+        }
+
+        const redundant = findRedundantParens(input, convention);
+        setRedundantPairs(redundant);
+        if (redundant.length > 0) {
+            setStatus("error");
+            setErrorMsg(`Aún ${redundant.length === 1 ? 'queda 1 par redundante' : `quedan ${redundant.length} pares redundantes`} (resaltados).`);
+            record('redundant');
+        } else {
+            setStatus("correct");
+            setErrorMsg("");
+            record();
         }
     };
 
-    useEffect(() => { if (mode === 'auto') newProblem(); }, [mode]);
+    // newProblem reads the latest props (focus, link...), but only these changes start a new problem
+    const newProblemRef = useRef(newProblem);
+    newProblemRef.current = newProblem;
+    useEffect(() => { if (mode === 'auto' || mode === 'minimal') newProblemRef.current(); }, [mode, convention, exercise.seed, exercise.level]);
 
     const check = () => {
         if (mode === 'custom') {
             handleCustomCheck();
             return;
         }
+        if (mode === 'minimal') {
+            handleMinimalCheck();
+            return;
+        }
 
-        const cleanInput = input.replace(/\s/g, '');
-        const cleanExp = expected.replace(/\s/g, '');
-        const rawContent = problemRaw.replace(/\s/g, '');
-        const inputContent = cleanInput.replace(/[()]/g, '');
+        const ast = parseInput();
+        if (!ast) {
+            record('syntax');
+            return;
+        }
 
-        if (cleanInput === cleanExp) {
-            setStatus("correct");
-            setErrorMsg("");
-        } else {
+        const strip = (s) => s.replace(/[\s()]/g, '');
+        if (strip(input) !== strip(problemRaw)) {
             setStatus("error");
-            if (!isBalanced(cleanInput.split(''))) {
-                setErrorMsg("Paréntesis desbalanceados: Revisa que cada '(' tenga su ')'.");
-            } else if (inputContent !== rawContent) {
-                setErrorMsg("Has modificado las variables o conectores.");
-            } else {
-                setErrorMsg("La agrupación es incorrecta. Revisa la jerarquía y asociatividad.");
-            }
+            setErrorMsg("Has modificado las variables o conectores.");
+            record('edited');
+            return;
+        }
+
+        // Compare trees, not strings: redundant pairs such as (¬P) or outer parentheses are fine
+        const diagnosis = diagnoseGrouping(parseToAST(problemRaw, convention), problemRaw, ast, input, convention);
+        if (diagnosis) {
+            setStatus("error");
+            setErrorMsg(diagnosis.message);
+            setGroupingSpan(diagnosis.node && diagnosis.node.span);
+            record('grouping', diagnosis.expectedNode && toMinimalString(diagnosis.expectedNode, convention), diagnosis.pair);
+            return;
+        }
+
+        const implicit = findImplicitGrouping();
+        if (implicit) {
+            setStatus("error");
+            setErrorMsg(`Vas bien, pero '${implicit.found}' aún depende de la jerarquía: agrupa explícitamente con paréntesis.`);
+            setGroupingSpan({ start: implicit.offset, end: implicit.offset + implicit.length });
+            record('implicit', implicit.found);
+            return;
         }
+
+        setStatus("correct");
+        setErrorMsg("");
+        record();
     };
 
     // --- CURSOR AWARE INSERT ---
@@ -409,7 +401,7 @@ const SyntaxSection = () => {
             const end = el.selectionEnd;
             const text = el.value;
             const newVal = text.substring(0, start) + char + text.substring(end);
-            setInput(newVal);
+            editInput(newVal);
             // Restore focus and cursor position after React render
             setTimeout(() => {
                 el.focus();
@@ -420,380 +412,619 @@ const SyntaxSection = () => {
         }
         setStatus('idle');
         setErrorMsg("");
+        setSyntaxError(null);
+        setRedundantPairs([]);
+        setGroupingSpan(null);
     };
 
     // --- RENDER COLORED INPUT ---
     const renderColoredText = () => {
-        const colors = getParenthesisColors(input);
+        const colors = getParenthesisColors(input, convention);
+        const inError = (i) => syntaxError && i >= syntaxError.offset && i < syntaxError.offset + syntaxError.length;
+        const isRedundant = (i) => redundantPairs.some(p => p.open === i || p.close === i);
+        const inGroup = (i) => groupingSpan && i >= groupingSpan.start && i < groupingSpan.end;
+        const inHover = (i) => hoverSpan && i >= hoverSpan.start && i < hoverSpan.end;
         return input.split('').map((char, i) => (
-            <span key={i} className={colors[i] || 'text-slate-800'}>{char}</span>
+            <span key={i} className={`${colors[i] || 'text-slate-800'} ${inError(i) ? 'underline decoration-wavy decoration-red-500' : ''} ${isRedundant(i) ? 'bg-yellow-200 rounded' : ''} ${inGroup(i) ? 'bg-red-100 underline decoration-red-400' : ''} ${inHover(i) ? 'bg-indigo-100 rounded' : ''}`}>{char}</span>
         ));
     };
 
+    // The free mode tree follows the input as it is typed
+    const liveAst = mode === 'custom' && showTree ? tryParse(input, convention).ast : null;
+    const exercises = mode === 'auto' ? flatExercises : minimalExercises;
+
     return (
         <div className="space-y-6">
             <div className="bg-blue-50 p-4 rounded border-l-4 border-blue-500 flex justify-between items-center flex-wrap gap-4">
                 <div>
                     <h3 className="text-blue-900 font-bold">Sintaxis y Precedencia</h3>
                     <p className="text-sm text-blue-800">
-                        {mode === 'auto' ? "Agrega paréntesis para eliminar la ambigüedad." : "Escribe cualquier fórmula para verificar su sintaxis."}
+                        {mode === 'auto' ? "Agrega paréntesis para eliminar la ambigüedad." :
+                         mode === 'minimal' ? "Borra todos los paréntesis redundantes sin cambiar la agrupación." :
+                         mode === 'main' ? "Encuentra el conector principal y luego el de cada subfórmula." :
+                         mode === 'build' ? "Construye el árbol sintáctico colocando cada conector." :
+                         "Escribe cualquier fórmula para verificar su sintaxis."}
                     </p>
                 </div>
-                <div className="flex gap-2">
-                    <button onClick={() => setMode('auto')} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'auto' ? 'bg-blue-600 text-white' : 'bg-white text-blue-600'}`}>
+                {!assignment && <div className="flex flex-wrap gap-2">
+                    <button onClick={() => switchMode('auto')} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'auto' ? 'bg-blue-600 text-white' : 'bg-white text-blue-600'}`}>
                         Entrenamiento
                     </button>
-                    <button onClick={() => { setMode('custom'); setInput(""); setStatus("idle"); setShowAnswer(false); }} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'custom' ? 'bg-blue-600 text-white' : 'bg-white text-blue-600'}`}>
+                    <button onClick={() => switchMode('minimal')} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'minimal' ? 'bg-blue-600 text-white' : 'bg-white text-blue-600'}`}>
+                        Quitar Paréntesis
+                    </button>
+                    <button onClick={() => { switchMode('custom'); setInput(""); setStatus("idle"); setSyntaxError(null); setRedundantPairs([]); setGroupingSpan(null); setShowAnswer(false); }} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'custom' ? 'bg-blue-600 text-white' : 'bg-white text-blue-600'}`}>
                         Modo Libre
                     </button>
-                </div>
+                    <button onClick={() => switchMode('main')} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'main' ? 'bg-blue-600 text-white' : 'bg-white text-blue-600'}`}>
+                        Conector Principal
+                    </button>
+                    <button onClick={() => switchMode('build')} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'build' ? 'bg-blue-600 text-white' : 'bg-white text-blue-600'}`}>
+                        Construir Árbol
+                    </button>
+                </div>}
             </div>
 
-            <div className="bg-white p-6 rounded-lg shadow border border-slate-200 text-center">
-                <div className="flex justify-center mb-4">
-                     <LogicKeyboard onInsert={handleInsert} />
-                </div>
+            {mode === 'main' && <MainConnectiveDrill convention={convention} exercise={exercise} />}
+            {mode === 'build' && <TreeBuilderDrill convention={convention} exercise={exercise} />}
 
-                {/* Input Container with Overlay */}
-                <div className="relative w-full max-w-3xl mx-auto h-16 flex items-center justify-center">
-                    {/* Background Layer (Colored) */}
-                    <div className="absolute inset-0 pointer-events-none whitespace-pre font-mono text-xl flex items-center justify-center bg-white border-2 border-transparent" aria-hidden="true">
-                        {renderColoredText()}
+            {(mode === 'auto' || mode === 'minimal' || mode === 'custom') && (
+                <div className="bg-white p-6 rounded-lg shadow border border-slate-200 text-center">
+                    {mode !== 'custom' && !assignment && <ExerciseTag exercise={exercise} number={exercises.number} focus={exercises.focus} />}
+                    <div className="flex flex-col items-center mb-4">
+                         <LogicKeyboard onInsert={handleInsert} />
+                         {mode === 'custom' && <p className="text-xs text-slate-400 font-mono">{NOTATION_HINT}</p>}
                     </div>
-                    {/* Foreground Layer (Transparent Text, Visible Cursor) */}
-                    <input 
-                        ref={inputRef}
-                        className={`absolute inset-0 w-full h-full text-center font-mono text-xl bg-transparent text-transparent caret-black border-2 rounded outline-none transition shadow-inner ${
-                            status === 'correct' ? 'border-green-500' : 
-                            status === 'error' ? 'border-red-500' : 
-                            status === 'custom_valid_but_loose' ? 'border-yellow-500' : 'border-slate-300'
-                        }`}
-                        value={input}
-                        onChange={e => { setInput(e.target.value); setStatus('idle'); setErrorMsg(""); }}
-                        placeholder={mode === 'auto' ? "" : "Escribe tu fórmula..."}
-                        autoComplete="off"
-                        spellCheck="false"
-                    />
-                    {status === 'correct' && <CheckCircle className="absolute right-4 top-1/2 -translate-y-1/2 text-green-600" />}
-                </div>
-                
-                <div className="min-h-[2rem] mt-4">
-                    {status === 'correct' && <p className="text-green-600 font-bold text-lg animate-bounce">¡Perfecto! Agrupación correcta.</p>}
-                    {status === 'error' && (
-                        <div className="inline-flex items-center gap-2 text-red-600 font-bold bg-red-50 px-4 py-2 rounded animate-shake">
-                            <AlertCircle className="w-5 h-5" />
-                            <span>{errorMsg || "Error en la estructura."}</span>
-                        </div>
-                    )}
-                    {status === 'custom_valid_but_loose' && (
-                        <div className="text-yellow-700 font-bold bg-yellow-50 p-3 rounded">
-                            <p>{errorMsg}</p>
-                            <p className="text-xs mt-1 text-slate-500">Interpretación Estricta: {parseToAST(input.replace(/\s/g, '').split(/([¬∧∨⇒⇔()])/).filter(t => t)).toFullString()}</p>
+
+                    {/* Input Container with Overlay */}
+                    <div className="relative w-full max-w-3xl mx-auto h-16 flex items-center justify-center">
+                        {/* Background Layer (Colored) */}
+                        <div className="absolute inset-0 pointer-events-none whitespace-pre font-mono text-xl flex items-center justify-center bg-white border-2 border-transparent" aria-hidden="true">
+                            {renderColoredText()}
                         </div>
-                    )}
-                </div>
+                        {/* Foreground Layer (Transparent Text, Visible Cursor) */}
+                        <input 
+                            ref={inputRef}
+                            className={`absolute inset-0 w-full h-full text-center font-mono text-xl bg-transparent text-transparent caret-black border-2 rounded outline-none transition shadow-inner ${
+                                status === 'correct' ? 'border-green-500' : 
+                                status === 'error' ? 'border-red-500' : 
+                                status === 'custom_valid_but_loose' ? 'border-yellow-500' : 'border-slate-300'
+                            }`}
+                            value={input}
+                            onChange={e => { editInput(normalizeInputEvent(e)); setStatus('idle'); setErrorMsg(""); setSyntaxError(null); setRedundantPairs([]); setGroupingSpan(null); }}
+                            placeholder={mode === 'custom' ? "Escribe tu fórmula..." : ""}
+                            autoComplete="off"
+                            spellCheck="false"
+                        />
+                        {status === 'correct' && <CheckCircle className="absolute right-4 top-1/2 -translate-y-1/2 text-green-600" />}
+                    </div>
+                    
+                    <div className="min-h-[2rem] mt-4">
+                        {status === 'correct' && (
+                            <p className="text-green-600 font-bold text-lg animate-bounce">
+                                {mode === 'minimal' ? '¡Perfecto! Solo quedan los paréntesis necesarios.' : '¡Perfecto! Agrupación correcta.'}
+                            </p>
+                        )}
+                        {status === 'error' && syntaxError && <SyntaxErrorNotice source={input} error={syntaxError} />}
+                        {status === 'error' && !syntaxError && (
+                            <div className="inline-flex items-center gap-2 text-red-600 font-bold bg-red-50 px-4 py-2 rounded animate-shake">
+                                <AlertCircle className="w-5 h-5" />
+                                <span>{errorMsg || "Error en la estructura."}</span>
+                            </div>
+                        )}
+                        {status === 'custom_valid_but_loose' && (
+                            <div className="text-yellow-700 font-bold bg-yellow-50 p-3 rounded">
+                                <p>{errorMsg}</p>
+                                <p className="text-xs mt-1 text-slate-500">Interpretación Estricta: {parseToAST(input, convention).toFullString()}</p>
+                            </div>
+                        )}
+                    </div>
 
-                <div className="mt-6 flex flex-wrap justify-center gap-4">
-                    <button onClick={check} className="bg-indigo-600 hover:bg-indigo-700 text-white px-8 py-3 rounded-lg font-bold transition shadow-lg transform active:scale-95">
-                        {mode === 'auto' ? 'Verificar' : 'Analizar'}
-                    </button>
-                    {mode === 'auto' && (
-                        <>
-                            <button onClick={() => setShowAnswer(true)} className="bg-amber-100 hover:bg-amber-200 text-amber-800 px-6 py-3 rounded-lg font-bold transition flex items-center gap-2">
-                                <Eye className="w-4 h-4" /> {showAnswer ? 'Ocultar' : 'Ver Solución'}
-                            </button>
-                            <button onClick={newProblem} className="bg-slate-200 hover:bg-slate-300 text-slate-800 px-6 py-3 rounded-lg font-bold transition flex items-center gap-2">
-                                <RefreshCw className="w-4 h-4" /> Nuevo
+                    <div className="mt-6 flex flex-wrap justify-center gap-4">
+                        <button onClick={check} className="bg-indigo-600 hover:bg-indigo-700 text-white px-8 py-3 rounded-lg font-bold transition shadow-lg transform active:scale-95">
+                            {mode === 'custom' ? 'Analizar' : 'Verificar'}
+                        </button>
+                        {mode === 'custom' && (
+                            <button onClick={() => { setShowTree(prev => !prev); setHoverSpan(null); }} className="bg-slate-200 hover:bg-slate-300 text-slate-800 px-6 py-3 rounded-lg font-bold transition flex items-center gap-2">
+                                <Network className="w-4 h-4" /> {showTree ? 'Ocultar Árbol' : 'Ver Árbol'}
                             </button>
-                        </>
+                        )}
+                        {mode !== 'custom' && (
+                            <>
+                                <button onClick={() => setShowAnswer(true)} className="bg-amber-100 hover:bg-amber-200 text-amber-800 px-6 py-3 rounded-lg font-bold transition flex items-center gap-2">
+                                    <Eye className="w-4 h-4" /> {showAnswer ? 'Ocultar' : 'Ver Solución'}
+                                </button>
+                                {assignment ? (
+                                    <button onClick={assignment.onNext} className="bg-slate-200 hover:bg-slate-300 text-slate-800 px-6 py-3 rounded-lg font-bold transition flex items-center gap-2">
+                                        <ArrowRight className="w-4 h-4" /> Siguiente
+                                    </button>
+                                ) : (
+                                    <button onClick={newProblem} className="bg-slate-200 hover:bg-slate-300 text-slate-800 px-6 py-3 rounded-lg font-bold transition flex items-center gap-2">
+                                        <RefreshCw className="w-4 h-4" /> Nuevo
+                                    </button>
+                                )}
+                            </>
+                        )}
+                    </div>
+
+                    {showAnswer && mode !== 'custom' && (
+                        <div className="mt-6 animate-fadeIn">
+                            <p className="text-slate-500 text-sm uppercase font-bold mb-2">Respuesta Correcta:</p>
+                            <div className="p-4 bg-slate-800 text-green-400 font-mono text-xl rounded-lg shadow-inner inline-block border border-slate-600">
+                                {expected}
+                            </div>
+                        </div>
                     )}
-                </div>
 
-                {showAnswer && mode === 'auto' && (
-                    <div className="mt-6 animate-fadeIn">
-                        <p className="text-slate-500 text-sm uppercase font-bold mb-2">Respuesta Correcta:</p>
-                        <div className="p-4 bg-slate-800 text-green-400 font-mono text-xl rounded-lg shadow-inner inline-block border border-slate-600">
-                            {expected}
+                    {mode === 'custom' && showTree && (
+                        <div className="mt-6 pt-6 border-t border-slate-100">
+                            {liveAst
+                                ? <SyntaxTree ast={liveAst} source={input} onHoverSpan={setHoverSpan} />
+                                : <p className="text-slate-400">Escribe una fórmula válida para ver su árbol sintáctico.</p>}
                         </div>
-                    </div>
-                )}
-            </div>
+                    )}
+                </div>
+            )}
         </div>
     );
 };
 
-const EvaluationSection = () => {
-    const [history, setHistory] = useState([]); 
-    const [variables, setVariables] = useState({});
-    const [msg, setMsg] = useState("");
-    
-    const generate = () => {
-        let formula = "";
-        while (formula.length < 15) {
-            formula = generateStructuredFormula(0, 4);
-        }
-        const varsFound = [...new Set(formula.match(/[PQRSTU]/g))].sort();
-        const varsObj = {};
-        varsFound.forEach(v => varsObj[v] = Math.random() < 0.5 ? '1' : '0');
-        setHistory([{ step: 0, content: formula, type: 'formula' }]);
-        setVariables(varsObj);
-        setMsg("");
-    };
-
-    useEffect(() => { generate(); }, []);
-
-    const getTokens = (str) => {
-        if (!str) return [];
-        return str.replace(/\(/g, ' ( ').replace(/\)/g, ' ) ').trim().split(/\s+/);
-    };
-
-    const handleSubstitute = () => {
-        if (history.length === 0 || history.length > 1) return;
-        const current = history[0].content;
-        let next = current;
-        Object.keys(variables).forEach(k => {
-            const regex = new RegExp(k, 'g');
-            next = next.replace(regex, variables[k]);
-        });
-        setHistory(prev => [...prev, { step: 1, content: next, type: 'substituted' }]);
+// Prints `ast` minimally and re-parses the text, so every subtree (by path) gets the
+// span of its text and, for connectives, of its symbol
+const printWithNodes = (ast, convention) => {
+    const text = toMinimalString(ast, convention);
+    const nodes = [];
+    const visit = (node, path) => {
+        nodes.push({ node, path });
+        if (node.left) visit(node.left, path + 'L');
+        if (node.right) visit(node.right, path + 'R');
     };
+    visit(parseToAST(text, convention), '');
+    return { text, nodes };
+};
 
-    const handleInteraction = (idx, tokens) => {
+// Guided reduction of one problem ({ ast, values }): substitute, then click redexes and
+// (unless turned off) say what each one is worth. onAttempt, when given, receives the
+// finished problem for the progress log.
+const StepwiseEvaluation = ({ problem, convention, onNext, onAttempt }) => {
+    const [history, setHistory] = useState([{ ast: problem.ast, path: null, label: null }]); // [{ ast, path, label }]: path marks the subtree the step produced
+    const [oneAtATime, setOneAtATime] = useState(false);
+    const [computeSteps, setComputeSteps] = useState(true);
+    const [asking, setAsking] = useState(null); // path of the redex whose value the student is giving
+    const [hoveredPath, setHoveredPath] = useState(null);
+    const [msg, setMsg] = useState("");
+    const startedAt = useRef(Date.now());
+    const premature = useRef([]); // subformulas clicked before their operands were values
+    const misjudged = useRef([]); // redexes given the wrong value
+
+    const variables = problem.values;
+    const show = (ast) => toMinimalString(ast, convention);
+
+    const current = history[history.length - 1].ast;
+    const pendingVars = getVariables(current);
+    const needsSubstitution = !astEquals(substituteValues(current, {}), current) || pendingVars.length > 0;
+    const redexPaths = findRedexes(current).map(r => r.path);
+    const isSolved = isTruthValue(current);
+    const printed = printWithNodes(current, convention);
+
+    const advance = (step) => {
+        setHistory(prev => [...prev, step]);
         setMsg("");
-        const token = tokens[idx];
-        const prev = tokens[idx - 1];
-        const next = tokens[idx + 1];
-
-        const candidates = [];
-        tokens.forEach((t, i) => {
-            const isVal = (v) => v === '1' || v === '0';
-            if (t === SYMBOLS.NOT && isVal(tokens[i+1])) {
-                candidates.push({ idx: i, op: t, prec: PRECEDENCE[t] });
-            }
-            if ([SYMBOLS.AND, SYMBOLS.OR, SYMBOLS.IMP, SYMBOLS.IFF].includes(t) && isVal(tokens[i-1]) && isVal(tokens[i+1])) {
-                candidates.push({ idx: i, op: t, prec: PRECEDENCE[t] });
-            }
+        if (!isTruthValue(step.ast) || !onAttempt) return;
+        const error = misjudged.current.length > 0 ? 'value' : premature.current.length > 0 ? 'order' : null;
+        onAttempt({
+            skill: 'evaluation',
+            formula: show(problem.ast),
+            correct: !error,
+            error,
+            detail: error === 'value' ? show(misjudged.current[0]) : premature.current[0] || null,
+            traits: formulaConnectives(problem.ast),
+            missed: [...new Set(misjudged.current.map(node => node.value))],
+            ms: Date.now() - startedAt.current
         });
+    };
 
-        if (candidates.length === 0) return;
+    const substitute = (only = null) => {
+        const values = only ? { [only]: variables[only] } : variables;
+        const label = only ? `${only} ↦ ${variables[only] ? 1 : 0}` : 'Sustitución de valores';
+        advance({ ast: substituteValues(current, values), path: null, label });
+    };
 
-        const maxPrec = Math.max(...candidates.map(c => c.prec));
-        const clickedPrec = PRECEDENCE[token];
-        
-        if (clickedPrec < maxPrec) {
-            setMsg("⚠️ ¡Orden incorrecto! Resuelve primero los operadores de mayor jerarquía.");
+    const handleInteraction = (path) => {
+        const node = nodeAt(current, path);
+        if (!redexPaths.includes(path)) {
+            const operands = [node.left, node.right].filter(Boolean);
+            const blocked = operands.find(o => !isTruthValue(o));
+            const missing = getVariables(blocked);
+            premature.current.push(show(node));
+            setMsg(missing.length > 0
+                ? `⚠️ Ese ${node.value} todavía no se puede evaluar: falta sustituir ${missing.join(', ')}.`
+                : `⚠️ Ese ${node.value} todavía no se puede evaluar: primero hay que reducir ${show(blocked)}.`);
             return;
         }
-
-        if (token === SYMBOLS.NOT) {
-            const res = evaluateNot(next);
-            const prePart = tokens.slice(0, idx).join(' ');
-            const postPart = tokens.slice(idx + 2).join(' ');
-            addToHistory(`${prePart} ${res} ${postPart}`.trim());
-        } else {
-            const res = evaluateOp(prev, token, next);
-            const prePart = tokens.slice(0, idx - 1).join(' ');
-            const postPart = tokens.slice(idx + 2).join(' ');
-            addToHistory(`${prePart} ${res} ${postPart}`.trim());
+        if (computeSteps) {
+            setAsking(path);
+            setMsg("");
+            return;
         }
+        reduce(path);
     };
 
-    const addToHistory = (newStr) => {
-        let clean = newStr;
-        let changed = true;
-        while(changed) {
-            const temp = clean.replace(/\(\s*([01])\s*\)/g, '$1');
-            if (temp === clean) changed = false;
-            clean = temp;
-        }
-        setHistory(prev => [...prev, { step: prev.length, content: clean, type: 'reduction' }]);
+    const reduce = (path) => {
+        const next = reduceAt(current, path);
+        const result = nodeAt(next, path).value;
+        advance({ ast: next, path, label: `${show(nodeAt(current, path))} → ${result}` });
+        setHoveredPath(null);
+        setAsking(null);
     };
 
-    if (history.length === 0) return <div className="p-10 text-center"><RefreshCw className="animate-spin mx-auto"/></div>;
+    const answer = (value) => {
+        const node = nodeAt(current, asking);
+        if (nodeAt(reduceAt(current, asking), asking).value === value) {
+            reduce(asking);
+            return;
+        }
+        misjudged.current.push(node);
+        setMsg(`✗ ${show(node)} no vale ${value}: ${node.value} ${OP_RULES[node.value]}.`);
+    };
 
-    const currentStep = history[history.length - 1];
-    const tokens = getTokens(currentStep.content);
-    const isSolved = tokens.length === 1 && (tokens[0] === '1' || tokens[0] === '0');
+    const hovered = hoveredPath !== null && printed.nodes.find(n => n.path === hoveredPath);
+    const asked = asking !== null && printed.nodes.find(n => n.path === asking);
+    const opAt = {};
+    printed.nodes.forEach(({ node, path }) => { if (node.opSpan) opAt[node.opSpan.start] = path; });
 
     return (
-        <div className="space-y-8">
-            <div className="bg-emerald-50 p-4 rounded border-l-4 border-emerald-500">
-                <h3 className="text-emerald-900 font-bold">Evaluación: Jerarquía Estricta</h3>
-                <p className="text-sm text-emerald-800">
-                    Resuelve paso a paso haciendo clic en los operadores. <br/>
-                    <strong>Regla:</strong> Solo puedes resolver el operador con la mayor prioridad disponible en ese momento.
-                </p>
-            </div>
-
-            <div className="bg-white p-6 rounded-lg shadow border border-slate-200">
-                <div className="flex flex-wrap justify-center gap-3 mb-8 bg-slate-100 p-3 rounded-lg">
-                    {Object.entries(variables).map(([k, v]) => (
-                        <div key={k} className={`px-3 py-1 rounded font-mono font-bold border ${v === '1' ? 'bg-green-100 text-green-800 border-green-300' : 'bg-red-100 text-red-800 border-red-300'}`}>
-                            {k} = {v}
-                        </div>
-                    ))}
-                    {history.length === 1 && (
-                        <button onClick={handleSubstitute} className="ml-4 px-4 py-1 bg-emerald-600 text-white rounded font-bold text-sm hover:bg-emerald-700 shadow-sm animate-pulse">
-                            Sustituir Valores
+        <div className="bg-white p-6 rounded-lg shadow border border-slate-200">
+            <div className="flex flex-wrap justify-center items-center gap-3 mb-8 bg-slate-100 p-3 rounded-lg">
+                {Object.entries(variables).map(([k, v]) => {
+                    const pending = pendingVars.includes(k);
+                    const colors = v ? 'bg-green-100 text-green-800 border-green-300' : 'bg-red-100 text-red-800 border-red-300';
+                    return oneAtATime && pending ? (
+                        <button key={k} onClick={() => substitute(k)} title={`Sustituir ${k}`} className={`px-3 py-1 rounded font-mono font-bold border hover:ring-2 hover:ring-emerald-400 ${colors}`}>
+                            {k} = {v ? 1 : 0}
                         </button>
-                    )}
-                </div>
+                    ) : (
+                        <div key={k} className={`px-3 py-1 rounded font-mono font-bold border ${colors} ${pending ? '' : 'opacity-50'}`}>
+                            {k} = {v ? 1 : 0}
+                        </div>
+                    );
+                })}
+                {needsSubstitution && !oneAtATime && (
+                    <button onClick={() => substitute()} className="ml-4 px-4 py-1 bg-emerald-600 text-white rounded font-bold text-sm hover:bg-emerald-700 shadow-sm animate-pulse">
+                        Sustituir Valores
+                    </button>
+                )}
+                {needsSubstitution && (
+                    <label className="flex items-center gap-2 text-sm text-slate-600 ml-2">
+                        <input type="checkbox" checked={oneAtATime} onChange={e => setOneAtATime(e.target.checked)} />
+                        De una en una
+                    </label>
+                )}
+            </div>
 
-                <div className="flex flex-col items-center gap-2 max-h-[400px] overflow-y-auto pr-2">
-                    {history.map((h, i) => (
-                        <div key={i} className={`flex items-center gap-2 ${i === history.length - 1 ? 'opacity-100' : 'opacity-40'}`}>
+            <div className="flex flex-col items-center gap-2 max-h-[400px] overflow-y-auto pr-2">
+                {history.map((h, i) => {
+                    const { text, nodes } = printWithNodes(h.ast, convention);
+                    const focus = h.path !== null && nodes.find(n => n.path === h.path).node.span;
+                    const last = i === history.length - 1;
+                    return (
+                        <div key={i} className={`flex items-center gap-2 ${last ? 'opacity-100' : 'opacity-40'}`}>
                             {i > 0 && <ChevronDown className="w-4 h-4 text-slate-300" />}
-                            <div className={`font-mono text-lg p-2 rounded ${i === history.length - 1 ? 'bg-white shadow-md border border-indigo-100 text-slate-800 font-bold ring-2 ring-indigo-50' : 'text-slate-400'}`}>
-                                {h.content}
+                            <div className={`font-mono text-lg p-2 rounded ${last ? 'bg-white shadow-md border border-indigo-100 text-slate-800 font-bold ring-2 ring-indigo-50' : 'text-slate-400'}`}>
+                                {focus ? (
+                                    <>
+                                        {text.slice(0, focus.start)}
+                                        <span className="bg-emerald-100 text-emerald-800 rounded">{text.slice(focus.start, focus.end)}</span>
+                                        {text.slice(focus.end)}
+                                    </>
+                                ) : text}
                             </div>
+                            {h.label && <span className="text-xs font-mono text-slate-500 bg-slate-50 px-2 py-0.5 rounded">{h.label}</span>}
                         </div>
-                    ))}
-                </div>
+                    );
+                })}
+            </div>
 
-                {msg && <div className="mt-4 p-2 bg-red-100 text-red-700 text-center font-bold rounded animate-pulse">{msg}</div>}
-
-                {!isSolved && history.length > 1 && (
-                    <div className="mt-8 pt-6 border-t border-slate-100">
-                        <div className="flex flex-wrap justify-center gap-2 font-mono text-3xl bg-slate-50 p-8 rounded-xl border-2 border-dashed border-slate-300 select-none">
-                            {tokens.map((token, idx) => {
-                                const isVal = (v) => v === '0' || v === '1';
-                                const isUnary = token === SYMBOLS.NOT && isVal(tokens[idx+1]);
-                                const isBinary = [SYMBOLS.AND, SYMBOLS.OR, SYMBOLS.IMP, SYMBOLS.IFF].includes(token) && isVal(tokens[idx-1]) && isVal(tokens[idx+1]);
-                                const interactable = isUnary || isBinary;
-
-                                return (
-                                    <span 
-                                        key={idx}
-                                        onClick={() => interactable && handleInteraction(idx, tokens)}
-                                        className={`px-1 rounded transition-all duration-200 ${
-                                            interactable 
-                                                ? 'cursor-pointer hover:bg-indigo-600 hover:text-white hover:scale-110 text-indigo-700 font-bold' 
-                                                : 'text-slate-400 cursor-default'
-                                        } ${token === '1' ? 'text-green-600' : token === '0' ? 'text-red-600' : ''}`}
-                                    >
-                                        {token}
-                                    </span>
-                                );
-                            })}
-                        </div>
+            {msg && <div className="mt-4 p-2 bg-red-100 text-red-700 text-center font-bold rounded animate-pulse">{msg}</div>}
+
+            {!isSolved && (
+                <div className="mt-8 pt-6 border-t border-slate-100">
+                    <div className="flex flex-wrap justify-center font-mono text-3xl bg-slate-50 p-8 rounded-xl border-2 border-dashed border-slate-300 select-none whitespace-pre">
+                        {[...printed.text].map((char, idx) => {
+                            const path = opAt[idx];
+                            const interactable = path !== undefined && redexPaths.includes(path);
+                            const inHovered = hovered && idx >= hovered.node.span.start && idx < hovered.node.span.end;
+                            const inAsked = asked && idx >= asked.node.span.start && idx < asked.node.span.end;
+                            return (
+                                <span
+                                    key={idx}
+                                    onClick={() => path !== undefined && handleInteraction(path)}
+                                    onMouseEnter={() => interactable && setHoveredPath(path)}
+                                    onMouseLeave={() => interactable && setHoveredPath(null)}
+                                    className={`rounded transition-all duration-200 ${
+                                        interactable
+                                            ? 'cursor-pointer px-1 hover:bg-indigo-600 hover:text-white hover:scale-110 text-indigo-700 font-bold'
+                                            : path !== undefined ? 'cursor-pointer px-1 text-slate-400' : 'text-slate-500'
+                                    } ${char === '1' ? 'text-green-600' : char === '0' ? 'text-red-600' : ''} ${inHovered && !interactable ? 'bg-indigo-100' : ''} ${inAsked ? 'bg-amber-100' : ''}`}
+                                >
+                                    {char}
+                                </span>
+                            );
+                        })}
                     </div>
-                )}
-
-                {isSolved && (
-                    <div className="mt-8 text-center animate-bounce">
-                        <div className={`inline-block px-8 py-4 rounded-full text-2xl font-bold shadow-lg ${tokens[0] === '1' ? 'bg-green-500 text-white' : 'bg-red-500 text-white'}`}>
-                            Resultado Final: {tokens[0]}
+                    {asked && (
+                        <div className="mt-4 flex justify-center items-center gap-3">
+                            <span className="font-mono text-xl font-bold text-slate-700">{show(asked.node)} =</span>
+                            {['1', '0'].map(v => (
+                                <button key={v} onClick={() => answer(v)} className={`w-12 py-2 rounded font-mono text-xl font-bold border-2 ${v === '1' ? 'border-green-300 text-green-700 hover:bg-green-50' : 'border-red-300 text-red-700 hover:bg-red-50'}`}>
+                                    {v}
+                                </button>
+                            ))}
                         </div>
+                    )}
+                    <label className="mt-4 flex items-center justify-center gap-2 text-sm text-slate-600">
+                        <input type="checkbox" checked={computeSteps} onChange={e => { setComputeSteps(e.target.checked); setAsking(null); }} />
+                        Calcular yo el valor de cada conector
+                    </label>
+                </div>
+            )}
+
+            {isSolved && (
+                <div className="mt-8 text-center animate-bounce">
+                    <div className={`inline-block px-8 py-4 rounded-full text-2xl font-bold shadow-lg ${current.value === '1' ? 'bg-green-500 text-white' : 'bg-red-500 text-white'}`}>
+                        Resultado Final: {current.value}
+                    </div>
+                    {onNext && (
                         <div className="mt-6">
-                            <button onClick={generate} className="bg-slate-800 text-white px-6 py-2 rounded font-bold hover:bg-slate-900 transition flex items-center gap-2 mx-auto">
+                            <button onClick={onNext} className="bg-slate-800 text-white px-6 py-2 rounded font-bold hover:bg-slate-900 transition flex items-center gap-2 mx-auto">
                                 <RefreshCw className="w-4 h-4" /> Siguiente Problema
                             </button>
                         </div>
-                    </div>
-                )}
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const EvaluationSection = ({ convention, exercise, focus, onAttempt, assignment, link, onRoute }) => {
+    const linkedFree = !!link && link.mode === 'custom' && !!link.formula;
+    const [mode, setMode] = useState(linkedFree ? "custom" : "auto"); // auto | custom
+    const [problem, setProblem] = useState(null); // { id, ast, values }
+    const [input, setInput] = useState(linkedFree ? link.formula : "¬P ∨ Q ∧ R");
+    const [freeValues, setFreeValues] = useState(linkedFree && link.values ? link.values : {});
+
+    const exercises = useExerciseRng(exercise, 'evaluation');
+
+    const generate = () => {
+        if (assignment) {
+            setProblem({ id: Date.now(), ast: parseToAST(assignment.item.formula, convention), values: assignment.item.values });
+            return;
+        }
+        // A shared link names the formula and the assignment (unlisted variables are false)
+        const linked = link && link.formula ? tryParse(link.formula, convention).ast : null;
+        if (linked) {
+            const values = Object.fromEntries(getVariables(linked).map(v => [v, !!(link.values && link.values[v])]));
+            setProblem({ id: Date.now(), ast: linked, values });
+            if (onRoute) onRoute({ mode: 'auto', formula: link.formula, values });
+            return;
+        }
+        const rng = exercises.next(focus);
+        const difficulty = getDifficulty(exercise.level);
+        const params = focusParams('evaluation', focus, { ...difficulty, depth: difficulty.depth + 1, constants: 0.1 });
+        let formula = "";
+        for (let attempts = 0; attempts < 50 && formula.length < 15; attempts++) {
+            formula = generateFormula(rng, params);
+        }
+        const ast = parseToAST(formula, convention);
+        const values = {};
+        getVariables(ast).forEach(v => values[v] = rng.chance(0.5));
+        setProblem({ id: Date.now(), ast, values });
+        if (onRoute) onRoute({ mode: 'auto', formula: toMinimalString(ast, convention), values });
+    };
+
+    // Opens an exercise with the latest state, but only on mount and on a new seed or level
+    const openExercise = () => {
+        if (mode === 'auto') generate();
+        else if (linkedFree) startFree();
+    };
+    const openExerciseRef = useRef(openExercise);
+    openExerciseRef.current = openExercise;
+    useEffect(() => { openExerciseRef.current(); }, [exercise.seed, exercise.level]);
+
+    // Free mode: the typed formula (flat ones group by the convention) and the chosen values
+    const parsed = input.trim() === '' ? { ast: null, error: null } : tryParse(input, convention);
+    const freeVars = parsed.ast ? getVariables(parsed.ast) : [];
+
+    const switchMode = (next) => {
+        setMode(next);
+        if (next === 'auto') generate();
+        else {
+            setProblem(null);
+            if (onRoute) onRoute({ mode: next, formula: input });
+        }
+    };
+
+    const editInput = (value) => {
+        setInput(value);
+        setProblem(null);
+        if (onRoute) onRoute({ mode, formula: value }, true);
+    };
+
+    const toggleValue = (v) => {
+        setFreeValues(prev => ({ ...prev, [v]: !prev[v] }));
+        setProblem(null);
+    };
+
+    const startFree = () => {
+        if (!parsed.ast) return;
+        const values = Object.fromEntries(freeVars.map(v => [v, !!freeValues[v]]));
+        setProblem({ id: Date.now(), ast: parsed.ast, values });
+        if (onRoute) onRoute({ mode, formula: input, values });
+    };
+
+    return (
+        <div className="space-y-8">
+            <div className="bg-emerald-50 p-4 rounded border-l-4 border-emerald-500 flex justify-between items-center flex-wrap gap-4">
+                <div>
+                    <h3 className="text-emerald-900 font-bold">Evaluación: Paso a Paso</h3>
+                    <p className="text-sm text-emerald-800">
+                        Resuelve paso a paso haciendo clic en los operadores e indicando cuánto vale cada uno. <br/>
+                        <strong>Regla:</strong> Solo puedes evaluar un conector cuando sus operandos ya son valores (los subárboles más internos); la jerarquía de la convención decide cómo se agrupa la fórmula.
+                    </p>
+                    {mode === 'auto' && !assignment && <ExerciseTag exercise={exercise} number={exercises.number} focus={exercises.focus} />}
+                </div>
+                {!assignment && <div className="flex flex-wrap gap-2">
+                    <button onClick={() => switchMode('auto')} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'auto' ? 'bg-emerald-600 text-white' : 'bg-white text-emerald-600'}`}>
+                        Entrenamiento
+                    </button>
+                    <button onClick={() => switchMode('custom')} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'custom' ? 'bg-emerald-600 text-white' : 'bg-white text-emerald-600'}`}>
+                        Modo Libre
+                    </button>
+                </div>}
             </div>
+
+            {mode === 'custom' && (
+                <div className="bg-white p-6 rounded-lg shadow border border-slate-200 text-center space-y-4">
+                    <input
+                        value={input}
+                        onChange={e => editInput(normalizeInputEvent(e))}
+                        placeholder="Escribe tu fórmula..."
+                        className={`w-full text-xl font-mono p-3 border-2 rounded outline-none text-center ${parsed.error ? 'border-red-400 focus:border-red-500' : 'border-slate-300 focus:border-emerald-500'}`}
+                    />
+                    <LogicKeyboard onInsert={char => editInput(input + char)} />
+                    <p className="text-xs text-slate-400 font-mono -mt-2">{NOTATION_HINT}</p>
+                    {parsed.error && <SyntaxErrorNotice source={input} error={parsed.error} />}
+                    {parsed.ast && (
+                        <>
+                            <p className="text-xs text-slate-500 font-mono">Se agrupa como: {parsed.ast.toFullString()}</p>
+                            <div className="flex flex-wrap justify-center items-center gap-3">
+                                {freeVars.map(v => (
+                                    <button
+                                        key={v}
+                                        onClick={() => toggleValue(v)}
+                                        title="Cambiar valor"
+                                        className={`px-3 py-1 rounded font-mono font-bold border ${freeValues[v] ? 'bg-green-100 text-green-800 border-green-300' : 'bg-red-100 text-red-800 border-red-300'}`}
+                                    >
+                                        {v} = {freeValues[v] ? 1 : 0}
+                                    </button>
+                                ))}
+                                <button onClick={startFree} className="ml-2 bg-emerald-600 hover:bg-emerald-700 text-white px-6 py-2 rounded-lg font-bold transition flex items-center gap-2">
+                                    <Play className="w-4 h-4" /> Evaluar
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            )}
+
+            {problem
+                ? <StepwiseEvaluation key={problem.id} problem={problem} convention={convention} onNext={mode === 'auto' ? (assignment ? assignment.onNext : generate) : null} onAttempt={mode === 'auto' ? onAttempt : null} />
+                : mode === 'auto' && <div className="p-10 text-center"><RefreshCw className="animate-spin mx-auto"/></div>}
         </div>
     );
 };
 
-const SatisfactionSection = () => {
+const TABLE_MODES = ['practice', 'quiz', 'sat'];
+
+const SatisfactionSection = ({ convention, exercise, focus, onAttempt, assignment, link, onRoute }) => {
     const [formula, setFormula] = useState("");
     const [variables, setVariables] = useState([]);
     const [subExprs, setSubExprs] = useState([]);
     const [rows, setRows] = useState([]); 
-    const inputRef = useRef(null); 
-
-    const parseVars = (str) => {
-        const found = new Set();
-        const match = str.match(/[a-z]+/gi);
-        if (match) {
-            match.forEach(v => {
-                const upper = v.toUpperCase();
-                if (upper !== 'T' && upper !== 'F') found.add(upper);
-            });
+    const [syntaxError, setSyntaxError] = useState(null);
+    const [showTree, setShowTree] = useState(false);
+    const [mode, setMode] = useState(link && TABLE_MODES.includes(link.mode) ? link.mode : 'practice'); // practice | quiz | sat
+    const [oversized, setOversized] = useState(0); // variable count when the table was skipped
+    const [quizGuess, setQuizGuess] = useState(null); // classification chosen before filling the table
+    const [quizRevealed, setQuizRevealed] = useState(false);
+    const startedAt = useRef(Date.now());
+    const solved = useRef(false); // the current table was already checked correct
+
+    // `columns` limits the sub-expression columns to the given ones (a problem set's choice)
+    const generateTable = (expr, columns = null) => {
+        startedAt.current = Date.now();
+        solved.current = false;
+        const clear = () => { setVariables([]); setRows([]); setSubExprs([]); setOversized(0); };
+        if (expr.trim() === '') {
+            setSyntaxError(null);
+            clear();
+            return;
+        }
+
+        const { ast, error } = tryParse(expr, convention);
+        setSyntaxError(error);
+        if (error) {
+            clear();
+            return;
         }
-        return Array.from(found).sort();
-    };
 
-    const generateTable = (expr) => {
-        const vars = parseVars(expr);
-        if (vars.length === 0) {
-            setVariables([]); setRows([]); setSubExprs([]); return;
+        const vars = getVariables(ast);
+        if (vars.length === 0 || vars.length > MAX_TABLE_VARS) {
+            clear();
+            if (vars.length > MAX_TABLE_VARS) setOversized(vars.length);
+            return;
         }
 
         setVariables(vars);
         
-        const tokens = expr.replace(/\s/g, '').split(/([¬∧∨⇒⇔()])/).filter(t => t);
-        let subs = [];
-        try {
-            const ast = parseToAST(tokens);
-            const allSubs = getSubExpressions(ast);
-            const fullStr = ast.toFullString();
-            subs = Array.from(allSubs).filter(s => {
-                const isAtom = /^[a-z]+$/i.test(s) || s === '1' || s === '0';
-                return !isAtom && s !== fullStr;
-            }).sort((a,b) => a.length - b.length);
-        } catch(e) {}
+        const allSubs = columns ? new Set(columns.map(c => parseToAST(c, convention).toFullString())) : getSubExpressions(ast);
+        const fullStr = ast.toFullString();
+        const subs = Array.from(allSubs).filter(s => s !== fullStr).sort((a,b) => a.length - b.length);
         setSubExprs(subs);
 
-        const count = 1 << vars.length; 
-        const newRows = [];
-
-        // Count DOWN (True First)
-        for (let i = count - 1; i >= 0; i--) {
+        // True first, as enumerateAssignments orders them
+        const newRows = enumerateAssignments(vars).map(assignment => {
             const inputs = {};
-            vars.forEach((v, idx) => {
-                const shift = vars.length - 1 - idx;
-                inputs[v] = (i >> shift) & 1 ? 1 : 0;
-            });
+            vars.forEach(v => inputs[v] = assignment[v] ? 1 : 0);
             const subVals = {};
             subs.forEach(s => subVals[s] = "");
             
-            newRows.push({ 
+            return { 
                 inputs, 
                 subVals, 
                 finalVal: "", 
                 statusSub: {}, 
                 statusFinal: "idle" 
-            });
-        }
+            };
+        });
         setRows(newRows);
     };
 
-    const handleGenerate = () => {
-        const tableVars = ['P', 'Q', 'R'];
-        const generateRestrictedFormula = (depth = 0, maxDepth = 3) => {
-            if (depth >= maxDepth || (depth > 0 && Math.random() < 0.2)) {
-                return tableVars[Math.floor(Math.random() * tableVars.length)];
-            }
-            const type = Math.random();
-            if (type < 0.3) {
-                return `${SYMBOLS.NOT} (${generateRestrictedFormula(depth + 1, maxDepth)})`;
-            }
-            const left = generateRestrictedFormula(depth + 1, maxDepth);
-            const right = generateRestrictedFormula(depth + 1, maxDepth);
-            const ops = [SYMBOLS.AND, SYMBOLS.OR, SYMBOLS.IMP, SYMBOLS.IFF];
-            const op = ops[Math.floor(Math.random() * ops.length)];
-            return `(${left} ${op} ${right})`;
-        };
+    const exercises = useExerciseRng(exercise, 'table');
 
-        let f = generateRestrictedFormula(0, 3);
-        while (f.length < 5) {
-             f = generateRestrictedFormula(0, 3);
+    const handleGenerate = (target = mode) => {
+        if (assignment) {
+            setFormula(assignment.item.formula);
+            generateTable(assignment.item.formula, assignment.item.columns);
+            return;
         }
+        // A shared link opens its own formula
+        const f = link && link.formula ? link.formula : drawFormula(target);
         setFormula(f);
         generateTable(f);
+        setQuizGuess(null);
+        setQuizRevealed(false);
+        if (onRoute) onRoute({ mode: target, formula: f });
+    };
+
+    const drawFormula = (target) => {
+        const rng = exercises.next(target === 'sat' ? [] : focus);
+        let f = generateTableFormula(rng, focusParams('table', focus, getDifficulty(exercise.level)));
+        // The solver gets a formula far too wide for a table
+        if (target === 'sat') f = toMinimalString(parseToAST(generateClausalFormula(rng)), convention);
+        return f;
     };
 
     const handleManualChange = (val) => {
         setFormula(val);
         generateTable(val);
+        if (onRoute) onRoute({ mode, formula: val }, true);
     };
 
     // --- CURSOR INSERT FOR TABLE INPUT (OPTIONAL) ---
     const handleInsert = (char) => {
-        setFormula(prev => prev + char);
-        generateTable(formula + char); 
+        handleManualChange(formula + char);
     };
 
     const updateRow = (rowIdx, type, key, val) => {
@@ -818,7 +1049,7 @@ const SatisfactionSection = () => {
             const boolInputs = {};
             Object.keys(r.inputs).forEach(k => boolInputs[k.toUpperCase()] = r.inputs[k] === 1);
             
-            const expectedFinalBool = solveProposition(formula, boolInputs);
+            const expectedFinalBool = solveProposition(formula, boolInputs, convention);
             const expectedFinal = expectedFinalBool ? '1' : '0';
             const statusFinal = r.finalVal === expectedFinal ? 'correct' : 'error';
 
@@ -832,17 +1063,68 @@ const SatisfactionSection = () => {
             return { ...r, statusFinal, statusSub };
         });
         setRows(newRows);
+        // In the quiz the classification is confirmed once the final column is right
+        const finalRight = newRows.every(r => r.statusFinal === 'correct');
+        if (mode === 'quiz' && finalRight) setQuizRevealed(true);
+
+        if (solved.current) return;
+        const ast = parseToAST(formula, convention);
+        const wrongSubs = subExprs.filter(sub => newRows.some(r => r.statusSub[sub] === 'error'));
+        const error = !finalRight ? 'final'
+            : mode === 'quiz' ? (quizGuess === classifyFormula(ast).kind ? null : 'classification')
+            : wrongSubs.length > 0 ? 'subexpression' : null;
+        // The connective of each wrong column is the one the student miscalculated
+        const wrongColumns = [...(finalRight ? [] : [ast]), ...(mode === 'quiz' ? [] : wrongSubs.map(sub => parseToAST(sub)))];
+        solved.current = !error;
+        onAttempt({
+            skill: 'table', formula, correct: !error, error, detail: error === 'subexpression' ? wrongSubs[0] : null,
+            traits: formulaConnectives(ast), missed: [...new Set(wrongColumns.filter(c => c.type !== 'ATOM').map(c => c.value))],
+            ms: Date.now() - startedAt.current
+        });
     };
 
-    useEffect(() => { handleGenerate(); }, []);
+    const switchMode = (next) => {
+        setMode(next);
+        handleGenerate(next);
+    };
+
+    useEffect(() => { handleGenerate(); }, [exercise.seed, exercise.level]);
+    // Regroup the current formula when the precedence convention changes (and only then)
+    const regroup = () => { if (formula) generateTable(formula); };
+    const regroupRef = useRef(regroup);
+    regroupRef.current = regroup;
+    useEffect(() => { regroupRef.current(); }, [convention]);
+
+    const analysis = rows.length > 0 ? classifyFormula(parseToAST(formula, convention)) : null;
+    const showClassification = analysis && (mode === 'practice' || (mode === 'quiz' && quizRevealed));
+    const showTable = mode === 'practice' || (mode === 'quiz' && quizGuess !== null);
+    const isModel = (idx) => showClassification && analysis.results[idx];
+    const describeModel = (values) => variables.map(v => `${v}=${values[v] ? 1 : 0}`).join(' ');
 
     return (
         <div className="space-y-6">
-            <div className="bg-amber-50 p-4 rounded border-l-4 border-amber-500">
-                <h3 className="text-amber-900 font-bold">Tabla de Verdad Completa</h3>
-                <p className="text-sm text-amber-800">
-                    Orden: Verdadero (1) primero. Se han generado columnas para las sub-expresiones.
-                </p>
+            <div className="bg-amber-50 p-4 rounded border-l-4 border-amber-500 flex justify-between items-center flex-wrap gap-4">
+                <div>
+                    <h3 className="text-amber-900 font-bold">Tabla de Verdad Completa</h3>
+                    <p className="text-sm text-amber-800">
+                        {assignment ? "Orden: Verdadero (1) primero. Completa las columnas que pide el conjunto y la final." :
+                         mode === 'practice' ? "Orden: Verdadero (1) primero. Se han generado columnas para las sub-expresiones." :
+                         mode === 'quiz' ? "Clasifica la fórmula y luego confírmalo completando la tabla." :
+                         "Decide si la fórmula es satisfacible sin tabla: CNF de Tseitin y búsqueda DPLL."}
+                    </p>
+                    {!assignment && <ExerciseTag exercise={exercise} number={exercises.number} focus={exercises.focus} />}
+                </div>
+                {!assignment && <div className="flex gap-2">
+                    <button onClick={() => switchMode('practice')} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'practice' ? 'bg-amber-600 text-white' : 'bg-white text-amber-700'}`}>
+                        Práctica
+                    </button>
+                    <button onClick={() => switchMode('quiz')} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'quiz' ? 'bg-amber-600 text-white' : 'bg-white text-amber-700'}`}>
+                        Clasificar
+                    </button>
+                    <button onClick={() => switchMode('sat')} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'sat' ? 'bg-amber-600 text-white' : 'bg-white text-amber-700'}`}>
+                        SAT (DPLL)
+                    </button>
+                </div>}
             </div>
 
             <div className="bg-white p-6 rounded-lg shadow border border-slate-200">
@@ -850,18 +1132,90 @@ const SatisfactionSection = () => {
                     <div className="flex gap-2">
                         <input 
                             value={formula}
-                            onChange={e => handleManualChange(e.target.value)}
-                            className="flex-1 text-xl font-mono p-3 border-2 border-slate-300 rounded focus:border-indigo-500 outline-none"
+                            readOnly={mode === 'quiz' || !!assignment}
+                            onChange={e => handleManualChange(normalizeInputEvent(e))}
+                            className={`flex-1 text-xl font-mono p-3 border-2 rounded outline-none ${syntaxError ? 'border-red-400 focus:border-red-500' : 'border-slate-300 focus:border-indigo-500'}`}
                             placeholder="Ej: (P ∨ Q) ⇒ R"
                         />
-                        <button onClick={handleGenerate} className="bg-amber-500 text-white px-4 rounded font-bold hover:bg-amber-600 transition flex items-center gap-2">
-                            <RefreshCw className="w-5 h-5" /> Generar
+                        {assignment ? (
+                            <button onClick={assignment.onNext} className="bg-amber-500 text-white px-4 rounded font-bold hover:bg-amber-600 transition flex items-center gap-2">
+                                <ArrowRight className="w-5 h-5" /> Siguiente
+                            </button>
+                        ) : (
+                            <button onClick={() => handleGenerate()} className="bg-amber-500 text-white px-4 rounded font-bold hover:bg-amber-600 transition flex items-center gap-2">
+                                <RefreshCw className="w-5 h-5" /> Generar
+                            </button>
+                        )}
+                        <button onClick={() => setShowTree(prev => !prev)} className={`px-4 rounded font-bold transition flex items-center gap-2 ${showTree ? 'bg-slate-700 text-white hover:bg-slate-800' : 'bg-slate-200 text-slate-800 hover:bg-slate-300'}`}>
+                            <Network className="w-5 h-5" /> Árbol
                         </button>
                     </div>
-                    <LogicKeyboard onInsert={handleInsert} />
+                    {syntaxError && (
+                        <div className="text-center">
+                            <SyntaxErrorNotice source={formula} error={syntaxError} />
+                        </div>
+                    )}
+                    {mode !== 'quiz' && !assignment && (
+                        <>
+                            <LogicKeyboard onInsert={handleInsert} />
+                            <p className="text-xs text-slate-400 font-mono text-center -mt-2">{NOTATION_HINT}</p>
+                        </>
+                    )}
                 </div>
 
-                {rows.length > 0 ? (
+                {mode === 'quiz' && analysis && !quizGuess && (
+                    <div className="mb-6 text-center space-y-3">
+                        <p className="font-bold text-slate-600">¿Qué tipo de fórmula es?</p>
+                        <div className="flex flex-wrap justify-center gap-3">
+                            {Object.entries(KIND_LABELS).map(([kind, label]) => (
+                                <button key={kind} onClick={() => setQuizGuess(kind)} className="bg-amber-100 hover:bg-amber-200 text-amber-900 px-6 py-3 rounded-lg font-bold transition">
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {mode === 'quiz' && quizGuess && (
+                    <div className="mb-6 text-center">
+                        {quizRevealed ? (
+                            <p className={`font-bold text-lg ${quizGuess === analysis.kind ? 'text-green-600' : 'text-red-600'}`}>
+                                {quizGuess === analysis.kind
+                                    ? `¡Correcto! La tabla confirma que es una ${KIND_LABELS[analysis.kind].toLowerCase()}.`
+                                    : `Dijiste ${KIND_LABELS[quizGuess].toLowerCase()}, pero la tabla muestra que es una ${KIND_LABELS[analysis.kind].toLowerCase()}.`}
+                            </p>
+                        ) : (
+                            <p className="text-slate-500">Elegiste <strong>{KIND_LABELS[quizGuess]}</strong>. Completa la columna final y verifica para confirmarlo.</p>
+                        )}
+                    </div>
+                )}
+
+                {showClassification && (
+                    <div className={`mb-6 p-4 rounded-lg border text-sm ${
+                        analysis.kind === 'tautology' ? 'bg-green-50 border-green-200 text-green-900' :
+                        analysis.kind === 'contradiction' ? 'bg-red-50 border-red-200 text-red-900' :
+                        'bg-sky-50 border-sky-200 text-sky-900'
+                    }`}>
+                        <p className="font-bold">
+                            {KIND_LABELS[analysis.kind]}: {analysis.kind === 'tautology' ? 'verdadera en todas las filas.' :
+                                analysis.kind === 'contradiction' ? 'falsa en todas las filas (insatisfacible).' :
+                                `satisfacible, ${analysis.models.length} de ${analysis.results.length} filas son modelos.`}
+                        </p>
+                        {analysis.kind !== 'contradiction' && (
+                            <p className="mt-1 font-mono text-xs">Modelos (resaltados): {analysis.models.map(describeModel).join(' · ')}</p>
+                        )}
+                    </div>
+                )}
+
+                {showTree && rows.length > 0 && (
+                    <div className="mb-6 p-4 bg-slate-50 rounded-lg border border-slate-200">
+                        <SyntaxTree ast={parseToAST(formula, convention)} source={formula} />
+                    </div>
+                )}
+
+                {mode === 'sat' && !syntaxError && formula.trim() !== '' && <SatSolver formula={formula} convention={convention} />}
+
+                {!showTable ? null : rows.length > 0 ? (
                     <div className="overflow-x-auto rounded-lg border border-slate-300">
                         <table className="w-full text-center text-sm md:text-base">
                             <thead className="bg-slate-800 text-white">
@@ -873,9 +1227,9 @@ const SatisfactionSection = () => {
                             </thead>
                             <tbody className="divide-y divide-slate-200">
                                 {rows.map((row, idx) => (
-                                    <tr key={idx} className="hover:bg-slate-50">
+                                    <tr key={idx} className={isModel(idx) ? 'bg-green-50' : 'hover:bg-slate-50'}>
                                         {variables.map(v => (
-                                            <td key={v} className="py-2 px-2 font-mono font-bold text-slate-600 bg-slate-50">
+                                            <td key={v} className={`py-2 px-2 font-mono font-bold ${isModel(idx) ? 'text-green-800 bg-green-100' : 'text-slate-600 bg-slate-50'}`}>
                                                 {row.inputs[v]}
                                             </td>
                                         ))}
@@ -904,11 +1258,20 @@ const SatisfactionSection = () => {
                             </tbody>
                         </table>
                     </div>
+                ) : oversized > 0 ? (
+                    <div className="text-center py-10 space-y-3">
+                        <p className="text-slate-500">Con {oversized} variables la tabla tendría {2 ** oversized} filas.</p>
+                        <button onClick={() => { setMode('sat'); if (onRoute) onRoute({ mode: 'sat', formula }); }} className="bg-amber-500 text-white px-4 py-2 rounded font-bold hover:bg-amber-600 transition">
+                            Decidir con el solver SAT
+                        </button>
+                    </div>
                 ) : <p className="text-center py-10 text-slate-400">Escribe una fórmula válida.</p>}
 
-                {rows.length > 0 && (
-                    <div className="mt-6 flex justify-end">
-                        <button onClick={checkTable} className="bg-indigo-600 text-white px-8 py-3 rounded font-bold hover:bg-indigo-700 shadow-lg transition flex items-center gap-2">
+                {rows.length > 0 && showTable && (
+                    <div className="mt-6 flex flex-wrap justify-between items-center gap-4">
+                        {/* No answer key for an exercise being graded */}
+                        {mode !== 'quiz' && !assignment && <TableExport formula={formula} columns={subExprs} convention={convention} />}
+                        <button onClick={checkTable} className="ml-auto bg-indigo-600 text-white px-8 py-3 rounded font-bold hover:bg-indigo-700 shadow-lg transition flex items-center gap-2">
                             <CheckCircle className="w-5 h-5" /> Verificar Tabla
                         </button>
                     </div>
@@ -918,25 +1281,226 @@ const SatisfactionSection = () => {
     );
 };
 
+// Selected convention and custom conventions survive reloads
+const CONVENTIONS_STORAGE_KEY = 'logimaster.conventions';
+
+const loadConventionSettings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONVENTIONS_STORAGE_KEY));
+        if (saved && Array.isArray(saved.custom)) return saved;
+    } catch (e) {}
+    return { selectedId: DEFAULT_CONVENTION.id, custom: [] };
+};
+
+// Exercise seed and difficulty level, so a class can share "seed 4821, level 3"
+const EXERCISE_STORAGE_KEY = 'logimaster.exercise';
+
+const loadExerciseSettings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(EXERCISE_STORAGE_KEY));
+        if (saved && Number.isInteger(saved.seed) && Number.isInteger(saved.level)) return saved;
+    } catch (e) {}
+    return { seed: randomSeed(), level: DEFAULT_LEVEL };
+};
+
+// Attempts of the practice sections, for the progress dashboard
+const PROGRESS_STORAGE_KEY = 'logimaster.progress';
+
+const loadProgress = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+        if (Array.isArray(saved)) return saved.filter(isAttempt);
+    } catch (e) {}
+    return [];
+};
+
+// The exam in progress (or its result), so a reload does not lose it
+const EXAM_STORAGE_KEY = 'logimaster.exam';
+
+const loadExamSession = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(EXAM_STORAGE_KEY));
+        if (saved && Array.isArray(saved.items) && Array.isArray(saved.answers)) return saved;
+    } catch (e) {}
+    return null;
+};
+
+// The instructor's problem set being edited
+const PROBLEM_SET_STORAGE_KEY = 'logimaster.problemSet';
+
+const loadProblemSet = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROBLEM_SET_STORAGE_KEY));
+        if (saved && Array.isArray(saved.items)) return saved;
+    } catch (e) {}
+    return emptyProblemSet();
+};
+
+// Section that plays each kind of problem-set item
+const PLAY_TABS = { syntax: 'syntax', evaluation: 'evaluation', table: 'satisfaction' };
+
+const TABS = [
+    { id: 'syntax', icon: Code, label: 'Sintaxis' },
+    { id: 'evaluation', icon: CheckSquare, label: 'Evaluación' },
+    { id: 'satisfaction', icon: Table, label: 'Tablas de Verdad' },
+    { id: 'normal', icon: Sigma, label: 'Formas Normales' },
+    { id: 'equivalence', icon: Scale, label: 'Equivalencias' },
+    { id: 'arguments', icon: Gavel, label: 'Argumentos' },
+    { id: 'proofs', icon: ListTree, label: 'Deducción' },
+    { id: 'tableaux', icon: GitFork, label: 'Tableaux' },
+    { id: 'progress', icon: TrendingUp, label: 'Progreso' },
+    { id: 'exam', icon: GraduationCap, label: 'Examen' },
+    { id: 'sets', icon: ClipboardList, label: 'Conjuntos' },
+];
+
+// The route in the URL hash, if it names a tab of the app
+const readLocation = () => {
+    const route = parseRoute(window.location.hash);
+    return TABS.some(t => t.id === route.tab) ? route : { tab: null, formula: null, mode: null, values: null };
+};
+
 export default function App() {
-    const [activeTab, setActiveTab] = useState("syntax");
+    const [examSession, setExamSession] = useState(loadExamSession);
+    const examRunning = !!examSession && !examSession.finishedAt;
+    // The last route navigated to (page load, back / forward or a tab click). Its exercise is
+    // opened once by the section it names; run remounts that section on every navigation.
+    const [route, setRoute] = useState(() => ({ ...readLocation(), run: 0 }));
+    const [activeTab, setActiveTab] = useState(examRunning ? "exam" : route.tab || "syntax");
+    const freshTab = useRef(activeTab); // tab whose first exercise replaces the bare history entry
+    const [conventionSettings, setConventionSettings] = useState(loadConventionSettings);
+    const [editingConvention, setEditingConvention] = useState(false);
+    const [exercise, setExercise] = useState(loadExerciseSettings);
+    const [progress, setProgress] = useState(loadProgress);
+    const [problemSet, setProblemSet] = useState(loadProblemSet);
+    const [playback, setPlayback] = useState(null); // { set, index, run } while a problem set is played
+
+    useEffect(() => {
+        localStorage.setItem(CONVENTIONS_STORAGE_KEY, JSON.stringify(conventionSettings));
+    }, [conventionSettings]);
+
+    useEffect(() => {
+        localStorage.setItem(EXERCISE_STORAGE_KEY, JSON.stringify(exercise));
+    }, [exercise]);
+
+    useEffect(() => {
+        localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+    }, [progress]);
+
+    useEffect(() => {
+        localStorage.setItem(EXAM_STORAGE_KEY, JSON.stringify(examSession));
+    }, [examSession]);
+
+    useEffect(() => {
+        localStorage.setItem(PROBLEM_SET_STORAGE_KEY, JSON.stringify(problemSet));
+    }, [problemSet]);
+
+    // Back / forward (and edited hashes) reopen the exercise of the entry
+    useEffect(() => {
+        const onPopState = () => {
+            if (examRunning) return;
+            const next = readLocation();
+            const tab = next.tab || 'syntax';
+            freshTab.current = tab;
+            setPlayback(null);
+            setActiveTab(tab);
+            setRoute(prev => ({ ...next, tab, run: prev.run + 1 }));
+        };
+        window.addEventListener('popstate', onPopState);
+        return () => window.removeEventListener('popstate', onPopState);
+    }, [examRunning]);
+
+    const openTab = (tab) => {
+        const hash = formatRoute({ tab });
+        if (hash !== window.location.hash) window.history.pushState(null, '', hash);
+        freshTab.current = tab;
+        setActiveTab(tab);
+        setRoute(prev => ({ tab, formula: null, mode: null, values: null, run: prev.run + 1 }));
+    };
+
+    // Sections report each exercise they open: a new one is a new history entry, edits
+    // of the same one (typing a formula) replace it. The route's exercise is used up.
+    const reportRoute = (tab) => (state, replace = false) => {
+        const hash = formatRoute({ tab, ...state });
+        if (hash !== window.location.hash) {
+            if (replace || freshTab.current === tab) window.history.replaceState(null, '', hash);
+            else window.history.pushState(null, '', hash);
+        }
+        freshTab.current = null;
+        setRoute(prev => prev.formula || prev.mode || prev.values ? { ...prev, formula: null, mode: null, values: null } : prev);
+    };
+
+    const recordProgress = (attempt) => setProgress(prev => recordAttempt(prev, attempt));
+    // Adaptive practice steers each new problem towards the weak spots due for review
+    const focusFor = (skill) => exercise.adaptive ? practiceFocus(progress, skill) : [];
+
+    const conventions = [...BUILTIN_CONVENTIONS, ...conventionSettings.custom];
+    const convention = conventions.find(c => c.id === conventionSettings.selectedId) || DEFAULT_CONVENTION;
+
+    // Each item of a played set opens in its section; past the last one the set is over
+    const playItem = (set, index, run) => {
+        if (index >= set.items.length) {
+            setPlayback(null);
+            setActiveTab('sets');
+            return;
+        }
+        setPlayback({ set, index, run });
+        setActiveTab(PLAY_TABS[set.items[index].kind]);
+    };
+    const playing = playback && playback.set.items[playback.index];
+    const assignmentFor = (tab) => playing && PLAY_TABS[playing.kind] === tab
+        ? { item: playing, onNext: () => playItem(playback.set, playback.index + 1, playback.run) }
+        : null;
+    // A new item remounts its section; the set's convention replaces the selected one there
+    const sectionKey = (tab) => assignmentFor(tab) ? `${playback.run}-${playback.index}` : `route-${route.run}`;
+    const sectionProps = (tab) => assignmentFor(tab)
+        ? { assignment: assignmentFor(tab), convention: playback.set.convention, link: null, onRoute: null }
+        : { assignment: null, convention, link: route.tab === tab ? route : null, onRoute: reportRoute(tab) };
+
+    const selectConvention = (id) => setConventionSettings(prev => ({ ...prev, selectedId: id }));
+
+    const saveConvention = (created) => {
+        setConventionSettings(prev => ({ selectedId: created.id, custom: [...prev.custom, created] }));
+        setEditingConvention(false);
+    };
+
+    const deleteConvention = (id) => {
+        setConventionSettings(prev => ({
+            selectedId: prev.selectedId === id ? DEFAULT_CONVENTION.id : prev.selectedId,
+            custom: prev.custom.filter(c => c.id !== id)
+        }));
+    };
 
     return (
         <div className="min-h-screen pb-12 bg-gray-100 font-sans text-slate-800">
-            <Header />
+            <Header
+                convention={convention}
+                conventions={conventions}
+                onSelectConvention={selectConvention}
+                onEditConventions={() => setEditingConvention(true)}
+                exercise={exercise}
+                onChangeExercise={setExercise}
+            />
             
             <main className="max-w-6xl mx-auto px-4 mt-8">
+                {editingConvention && (
+                    <ConventionEditor
+                        base={convention}
+                        customConventions={conventionSettings.custom}
+                        onSave={saveConvention}
+                        onDelete={deleteConvention}
+                        onClose={() => setEditingConvention(false)}
+                    />
+                )}
+
                 {/* Navigation Tabs */}
-                <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mb-8">
-                    {[
-                        { id: 'syntax', icon: Code, label: 'Sintaxis' },
-                        { id: 'evaluation', icon: CheckSquare, label: 'Evaluación' },
-                        { id: 'satisfaction', icon: Table, label: 'Tablas de Verdad' },
-                    ].map(tab => (
+                <div className="grid grid-cols-2 md:grid-cols-6 gap-2 mb-8 print:hidden">
+                    {TABS.map(tab => (
                         <button 
                             key={tab.id}
-                            onClick={() => setActiveTab(tab.id)}
-                            className={`p-3 rounded-lg font-bold text-sm md:text-base flex items-center justify-center gap-2 transition shadow-sm ${
+                            onClick={() => openTab(tab.id)}
+                            disabled={examRunning && tab.id !== 'exam'}
+                            title={examRunning && tab.id !== 'exam' ? 'Examen en curso' : undefined}
+                            className={`p-3 rounded-lg font-bold text-sm md:text-base flex items-center justify-center gap-2 transition shadow-sm disabled:opacity-40 disabled:cursor-not-allowed ${
                                 activeTab === tab.id 
                                 ? 'bg-indigo-600 text-white shadow-indigo-200 ring-2 ring-indigo-300 ring-offset-2' 
                                 : 'bg-white text-slate-500 hover:bg-indigo-50 hover:text-indigo-600'
@@ -947,11 +1511,28 @@ export default function App() {
                     ))}
                 </div>
 
+                {playback && (
+                    <ProblemSetBar
+                        set={playback.set}
+                        index={playback.index}
+                        onGo={index => playItem(playback.set, Math.max(0, index), playback.run)}
+                        onExit={() => setPlayback(null)}
+                    />
+                )}
+
                 {/* Main Content Area */}
                 <div className="min-h-[500px] transition-all duration-300">
-                    {activeTab === 'syntax' && <SyntaxSection />}
-                    {activeTab === 'evaluation' && <EvaluationSection />}
-                    {activeTab === 'satisfaction' && <SatisfactionSection />}
+                    {activeTab === 'syntax' && <SyntaxSection key={sectionKey('syntax')} {...sectionProps('syntax')} exercise={exercise} focus={focusFor('syntax')} onAttempt={recordProgress} />}
+                    {activeTab === 'evaluation' && <EvaluationSection key={sectionKey('evaluation')} {...sectionProps('evaluation')} exercise={exercise} focus={focusFor('evaluation')} onAttempt={recordProgress} />}
+                    {activeTab === 'satisfaction' && <SatisfactionSection key={sectionKey('satisfaction')} {...sectionProps('satisfaction')} exercise={exercise} focus={focusFor('table')} onAttempt={recordProgress} />}
+                    {activeTab === 'normal' && <NormalFormSection convention={convention} exercise={exercise} />}
+                    {activeTab === 'equivalence' && <EquivalenceSection convention={convention} exercise={exercise} />}
+                    {activeTab === 'arguments' && <ArgumentSection convention={convention} />}
+                    {activeTab === 'proofs' && <ProofSection convention={convention} />}
+                    {activeTab === 'tableaux' && <TableauSection convention={convention} />}
+                    {activeTab === 'progress' && <ProgressSection progress={progress} onReset={() => setProgress([])} />}
+                    {activeTab === 'exam' && <ExamSection convention={convention} exercise={exercise} session={examSession} onChange={setExamSession} />}
+                    {activeTab === 'sets' && <ProblemSetSection draft={problemSet} conventions={conventions} onChange={setProblemSet} onPlay={set => playItem(set, 0, Date.now())} />}
                 </div>
             </main>
         </div>
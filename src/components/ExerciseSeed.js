@@ -0,0 +1,62 @@
+import React, { useCallback, useRef, useState } from 'react';
+import { Dices } from 'lucide-react';
+import { DIFFICULTY_LEVELS, createRng, mixSeed, randomSeed } from '../logic';
+
+// Hands out the rng of each successive exercise of one kind. Exercise n drawn from a
+// given seed and level is always the same, so a whole class can work on identical
+// problems; changing the seed or the level starts the count again. `focus` lists the
+// weak spots the exercise was steered towards (adaptive practice), for the tag.
+// `next` keeps its identity until the seed or the level changes.
+export const useExerciseRng = (exercise, kind) => {
+    const counter = useRef({ key: null, count: 0 });
+    const [number, setNumber] = useState(0);
+    const [focus, setFocus] = useState([]);
+    const { seed, level } = exercise;
+    const next = useCallback((targets = []) => {
+        const key = `${seed}:${level}`;
+        if (counter.current.key !== key) counter.current = { key, count: 0 };
+        counter.current.count += 1;
+        setNumber(counter.current.count);
+        setFocus(targets);
+        return createRng(mixSeed(seed, level, kind, counter.current.count));
+    }, [seed, level, kind]);
+    return { next, number, focus };
+};
+
+// "Semilla 4821 · nivel 3 · ejercicio 2": enough to reproduce the current problem, unless
+// adaptive practice changed it ("repaso: ∧ ∨")
+export const ExerciseTag = ({ exercise, number, focus = [] }) => number > 0 && (
+    <p className="text-xs text-slate-400 font-mono">
+        Semilla {exercise.seed} · nivel {exercise.level} · ejercicio {number}
+        {focus.length > 0 && <span className="text-fuchsia-600"> · repaso: {focus.join(', ')}</span>}
+    </p>
+);
+
+// Seed, level and adaptive-practice controls for the header
+export const ExerciseSettings = ({ exercise, onChange }) => (
+    <div className="flex items-center justify-end gap-2">
+        <span>Semilla:</span>
+        <input
+            type="number"
+            min={1}
+            value={exercise.seed}
+            onChange={e => onChange({ ...exercise, seed: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+            className="w-20 bg-slate-800 text-slate-200 border border-slate-700 rounded px-2 py-1"
+        />
+        <button onClick={() => onChange({ ...exercise, seed: randomSeed() })} title="Semilla nueva" className="text-indigo-300 hover:text-indigo-200">
+            <Dices className="w-4 h-4" />
+        </button>
+        <span>Nivel:</span>
+        <select
+            value={exercise.level}
+            onChange={e => onChange({ ...exercise, level: Number(e.target.value) })}
+            className="bg-slate-800 text-slate-200 border border-slate-700 rounded px-2 py-1"
+        >
+            {DIFFICULTY_LEVELS.map(d => <option key={d.level} value={d.level}>{d.level} · {d.name}</option>)}
+        </select>
+        <label className="flex items-center gap-1" title="Los ejercicios generados repasan los fallos recientes">
+            <input type="checkbox" checked={!!exercise.adaptive} onChange={e => onChange({ ...exercise, adaptive: e.target.checked })} />
+            Adaptativo
+        </label>
+    </div>
+);
@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Play, RefreshCw, CheckCircle, AlertCircle, X } from 'lucide-react';
+import { SYMBOLS, tryParse, parseToAST, solveSAT } from '../logic';
+
+// Clauses listed in the CNF preview; the solver always gets all of them
+const MAX_SHOWN_CLAUSES = 200;
+
+const TRACE_STYLES = {
+    decide: { label: 'Decisión', className: 'text-indigo-700' },
+    propagate: { label: 'Propagación', className: 'text-slate-600' },
+    pure: { label: 'Literal puro', className: 'text-teal-700' },
+    conflict: { label: 'Conflicto', className: 'text-red-600 font-bold' }
+};
+
+const formatLiteral = (lit, names) => `${names[Math.abs(lit)]} = ${lit > 0 ? 1 : 0}`;
+const formatClause = (clause, names) => clause
+    .map(lit => lit > 0 ? names[lit] : `${SYMBOLS.NOT}${names[-lit]}`)
+    .join(` ${SYMBOLS.OR} `);
+
+// Decides satisfiability of `formula` with Tseitin + DPLL in a Web Worker and shows the
+// model (or UNSAT) together with the search trace.
+export const SatSolver = ({ formula, convention }) => {
+    const [status, setStatus] = useState('idle'); // idle | running | done | error
+    const [result, setResult] = useState(null);
+    const workerRef = useRef(null);
+
+    const stop = () => {
+        if (workerRef.current) workerRef.current.terminate();
+        workerRef.current = null;
+    };
+
+    // A new formula invalidates the previous answer and any search still running
+    useEffect(() => {
+        stop();
+        setStatus('idle');
+        setResult(null);
+    }, [formula, convention]);
+
+    useEffect(() => stop, []);
+
+    const finish = (data) => {
+        stop();
+        setResult(data);
+        setStatus(data.error ? 'error' : 'done');
+    };
+
+    const run = () => {
+        if (!tryParse(formula, convention).ast) return;
+        setStatus('running');
+        setResult(null);
+        if (typeof Worker === 'undefined') {
+            finish(solveSAT(parseToAST(formula, convention)));
+            return;
+        }
+        const worker = new Worker(new URL('../workers/satWorker.js', import.meta.url));
+        worker.onmessage = ({ data }) => finish(data);
+        worker.onerror = (e) => finish({ error: e.message });
+        workerRef.current = worker;
+        worker.postMessage({ formula, convention });
+    };
+
+    const cancel = () => {
+        stop();
+        setStatus('idle');
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex justify-center gap-4">
+                {status === 'running' ? (
+                    <button onClick={cancel} className="bg-slate-200 hover:bg-slate-300 text-slate-800 px-6 py-3 rounded-lg font-bold transition flex items-center gap-2">
+                        <RefreshCw className="w-4 h-4 animate-spin" /> Buscando... <X className="w-4 h-4" /> Cancelar
+                    </button>
+                ) : (
+                    <button onClick={run} className="bg-indigo-600 hover:bg-indigo-700 text-white px-8 py-3 rounded-lg font-bold transition shadow-lg flex items-center gap-2">
+                        <Play className="w-4 h-4" /> Resolver (DPLL)
+                    </button>
+                )}
+            </div>
+
+            {status === 'error' && (
+                <div className="text-center">
+                    <div className="inline-flex items-center gap-2 text-red-600 font-bold bg-red-50 px-4 py-2 rounded">
+                        <AlertCircle className="w-5 h-5" /> <span>{result.error}</span>
+                    </div>
+                </div>
+            )}
+
+            {status === 'done' && (
+                <>
+                    <div className={`p-4 rounded-lg border ${result.satisfiable ? 'bg-green-50 border-green-200 text-green-900' : 'bg-red-50 border-red-200 text-red-900'}`}>
+                        <p className="font-bold flex items-center gap-2">
+                            {result.satisfiable
+                                ? <><CheckCircle className="w-5 h-5" /> SATISFACIBLE: este modelo hace verdadera la fórmula.</>
+                                : <><AlertCircle className="w-5 h-5" /> INSATISFACIBLE: ninguna asignación la hace verdadera.</>}
+                        </p>
+                        {result.satisfiable && (
+                            <div className="flex flex-wrap gap-2 mt-3">
+                                {Object.entries(result.model).map(([v, value]) => (
+                                    <span key={v} className={`px-2 py-0.5 rounded font-mono text-sm font-bold border ${value ? 'bg-green-100 text-green-800 border-green-300' : 'bg-red-100 text-red-800 border-red-300'}`}>
+                                        {v} = {value ? 1 : 0}
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+                        <p className="text-xs mt-3 opacity-75">
+                            {result.clauses.length} cláusulas · {result.names.length - 1} variables (incluidas las de Tseitin) · {result.stats.decisions} decisiones · {result.stats.propagations} propagaciones · {result.stats.pureLiterals} literales puros · {result.stats.conflicts} conflictos
+                        </p>
+                    </div>
+
+                    <details className="text-sm">
+                        <summary className="cursor-pointer font-bold text-slate-600">CNF de Tseitin</summary>
+                        <p className="mt-2 font-mono text-xs text-slate-500 max-h-32 overflow-y-auto">
+                            {result.definitions.map(d => d.text).join(' · ')}
+                        </p>
+                        <ol className="mt-2 font-mono text-xs text-slate-600 max-h-60 overflow-y-auto list-decimal pl-10">
+                            {result.clauses.slice(0, MAX_SHOWN_CLAUSES).map((clause, i) => <li key={i}>{formatClause(clause, result.names)}</li>)}
+                        </ol>
+                        {result.clauses.length > MAX_SHOWN_CLAUSES && <p className="text-xs text-slate-400 mt-1">... y {result.clauses.length - MAX_SHOWN_CLAUSES} más.</p>}
+                    </details>
+
+                    <div>
+                        <h4 className="font-bold text-slate-700 mb-2">Traza de la búsqueda</h4>
+                        <ol className="font-mono text-xs max-h-80 overflow-y-auto border border-slate-200 rounded p-2 bg-slate-50 space-y-0.5">
+                            {result.trace.map((entry, i) => (
+                                <li key={i} className={TRACE_STYLES[entry.type].className} style={{ paddingLeft: entry.depth * 16 }}>
+                                    <span className="uppercase text-[10px] mr-2">{TRACE_STYLES[entry.type].label}</span>
+                                    {entry.literal !== undefined && formatLiteral(entry.literal, result.names)}
+                                    {entry.clause && <span className="text-slate-400"> {entry.type === 'conflict' ? 'falla' : 'por'} ({formatClause(entry.clause, result.names)})</span>}
+                                </li>
+                            ))}
+                        </ol>
+                        {result.traceTruncated && <p className="text-xs text-slate-400 mt-1">La traza muestra solo los primeros {result.trace.length} pasos.</p>}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,376 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, Lightbulb, CheckCircle, AlertCircle, X } from 'lucide-react';
+import {
+    tryParse, toMinimalString, getDifficulty, generateFormula,
+    getGroupingTokens, getGroupRanges, mainConnectiveHints, explainWrongConnective
+} from '../logic';
+import { OP_COLORS } from './common';
+import { SyntaxTree } from './SyntaxTree';
+import { useExerciseRng, ExerciseTag } from './ExerciseSeed';
+
+// Both drills run on a flat formula (no parentheses) that parses under the active convention
+const newDrillProblem = (convention, rng, level) => {
+    const source = generateFormula(rng, { ...getDifficulty(level), shape: 'flat' }, convention);
+    const { ast } = tryParse(source, convention);
+    return { source, ast, tokens: getGroupingTokens(source), groups: getGroupRanges(ast, source) };
+};
+
+const rangeKey = (first, last) => `${first}:${last}`;
+const isConnective = (tok) => tok.type === 'BIN' || tok.type === 'NOT';
+const sliceText = (problem, first, last) => problem.source.slice(problem.tokens[first].start, problem.tokens[last].end);
+
+const Feedback = ({ feedback }) => {
+    if (!feedback) return null;
+    if (feedback.type === 'ok') {
+        return (
+            <div className="inline-flex items-center gap-2 text-green-700 font-bold bg-green-50 px-4 py-2 rounded">
+                <CheckCircle className="w-5 h-5" /> <span>{feedback.text}</span>
+            </div>
+        );
+    }
+    if (feedback.type === 'hint') {
+        return (
+            <div className="inline-flex items-center gap-2 text-amber-800 bg-amber-50 px-4 py-2 rounded">
+                <Lightbulb className="w-5 h-5" /> <span>{feedback.text}</span>
+            </div>
+        );
+    }
+    return (
+        <div className="inline-flex items-center gap-2 text-red-600 font-bold bg-red-50 px-4 py-2 rounded animate-shake">
+            <AlertCircle className="w-5 h-5" /> <span>{feedback.text}</span>
+        </div>
+    );
+};
+
+// --- MAIN CONNECTIVE DRILL ---
+// The student clicks the main connective of the current subformula; each correct pick
+// queues its operands (left first), so the whole tree is found top-down.
+export const MainConnectiveDrill = ({ convention, exercise }) => {
+    const [problem, setProblem] = useState(null);
+    const exercises = useExerciseRng(exercise, 'main');
+    const nextRng = exercises.next;
+    const [pending, setPending] = useState([]); // groups still to analyse; the first one is current
+    const [found, setFound] = useState([]); // groups whose connective was already identified
+    const [hintLevel, setHintLevel] = useState(0);
+    const [feedback, setFeedback] = useState(null);
+    const [mistakes, setMistakes] = useState(0);
+
+    // A new problem whenever the convention, the seed or the level changes
+    const start = useCallback(() => {
+        const next = newDrillProblem(convention, nextRng(), exercise.level);
+        setProblem(next);
+        setPending([next.groups[0]]);
+        setFound([]);
+        setHintLevel(0);
+        setFeedback(null);
+        setMistakes(0);
+    }, [convention, nextRng, exercise.level]);
+
+    useEffect(() => { start(); }, [start]);
+
+    if (!problem) return null;
+
+    const { tokens, groups } = problem;
+    const current = pending[0];
+    const operandsOf = (group) => [group.node.left, group.node.right]
+        .map(node => groups.find(g => g.node === node))
+        .filter(Boolean);
+
+    const pick = (index) => {
+        if (index === current.op) {
+            setFound(prev => [...prev, current]);
+            setPending(prev => [...operandsOf(current), ...prev.slice(1)]);
+            setFeedback({ type: 'ok', text: `Correcto: ${tokens[index].value} es el conector principal de ${toMinimalString(current.node, convention)}.` });
+            setHintLevel(0);
+        } else {
+            setMistakes(prev => prev + 1);
+            setFeedback({ type: 'error', text: explainWrongConnective(tokens, index, current.node, convention) });
+        }
+    };
+
+    const hints = current ? mainConnectiveHints(tokens, current.first, current.last, convention) : [];
+    const showHint = () => {
+        const level = Math.min(hintLevel + 1, hints.length + 1);
+        setHintLevel(level);
+        setFeedback(level <= hints.length
+            ? { type: 'hint', text: hints[level - 1] }
+            : { type: 'hint', text: `El conector principal es el ${tokens[current.op].value} resaltado.` });
+    };
+
+    const solvedOps = new Set(found.map(g => g.op));
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow border border-slate-200 text-center space-y-6">
+            <ExerciseTag exercise={exercise} number={exercises.number} />
+            <p className="text-sm text-slate-500">
+                {current
+                    ? <>Haz clic en el conector principal de <span className="font-mono font-bold text-slate-700">{sliceText(problem, current.first, current.last)}</span></>
+                    : 'Encontraste todos los conectores principales.'}
+            </p>
+
+            <div className="flex flex-wrap justify-center gap-1 font-mono text-2xl">
+                {tokens.map((tok, i) => {
+                    const inCurrent = current && i >= current.first && i <= current.last;
+                    const solved = solvedOps.has(i);
+                    const clickable = inCurrent && isConnective(tok) && !solved;
+                    const revealed = current && hintLevel > hints.length && i === current.op;
+                    const color = solved ? (OP_COLORS[tok.value] || OP_COLORS.DEFAULT) : 'text-slate-800';
+                    return (
+                        <button
+                            key={i}
+                            disabled={!clickable}
+                            onClick={() => pick(i)}
+                            className={`px-2 py-1 rounded transition ${color} ${solved ? 'font-bold' : ''} ${
+                                current && !inCurrent ? 'opacity-30' : ''
+                            } ${clickable ? 'hover:bg-indigo-100 cursor-pointer' : 'cursor-default'} ${
+                                revealed ? 'ring-2 ring-amber-400 bg-amber-50 animate-pulse' : ''
+                            }`}
+                        >
+                            {tok.value}
+                        </button>
+                    );
+                })}
+            </div>
+
+            <div className="min-h-[2.5rem]"><Feedback feedback={feedback} /></div>
+
+            {found.length > 0 && (
+                <ol className="text-left max-w-xl mx-auto space-y-1 text-sm">
+                    {found.map(g => (
+                        <li key={rangeKey(g.first, g.last)} className="flex justify-between gap-4 border-b border-slate-100 py-1">
+                            <span className="font-mono text-slate-600">{toMinimalString(g.node, convention)}</span>
+                            <span className={`font-mono font-bold ${OP_COLORS[g.node.value] || OP_COLORS.DEFAULT}`}>{g.node.value}</span>
+                        </li>
+                    ))}
+                </ol>
+            )}
+
+            {!current && (
+                <div className="pt-4 border-t border-slate-100 space-y-3">
+                    <p className="text-green-600 font-bold">
+                        ¡Árbol completo! {mistakes === 0 ? 'Sin errores.' : `${mistakes} ${mistakes === 1 ? 'error' : 'errores'} en el camino.`}
+                    </p>
+                    <p className="font-mono text-slate-500">{problem.ast.toFullString()}</p>
+                    <SyntaxTree ast={problem.ast} source={problem.source} />
+                </div>
+            )}
+
+            <div className="flex flex-wrap justify-center gap-4">
+                {current && (
+                    <button onClick={showHint} className="bg-amber-100 hover:bg-amber-200 text-amber-800 px-6 py-3 rounded-lg font-bold transition flex items-center gap-2">
+                        <Lightbulb className="w-4 h-4" /> Pista ({Math.min(hintLevel + 1, hints.length + 1)}/{hints.length + 1})
+                    </button>
+                )}
+                <button onClick={start} className="bg-slate-200 hover:bg-slate-300 text-slate-800 px-6 py-3 rounded-lg font-bold transition flex items-center gap-2">
+                    <RefreshCw className="w-4 h-4" /> Nuevo
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// --- TREE BUILDER DRILL ---
+// Each empty slot stands for a range of tokens; dropping a connective there splits the
+// range into its operands. The built tree is graded slot by slot against the parser's.
+export const TreeBuilderDrill = ({ convention, exercise }) => {
+    const [problem, setProblem] = useState(null);
+    const exercises = useExerciseRng(exercise, 'build');
+    const nextRng = exercises.next;
+    const [placed, setPlaced] = useState({}); // rangeKey -> token index of the chosen connective
+    const [selected, setSelected] = useState(null); // chip picked by click instead of dragging
+    const [checked, setChecked] = useState(false);
+    const [hint, setHint] = useState(null); // { key, level }
+    const [feedback, setFeedback] = useState(null);
+
+    const start = useCallback(() => {
+        setProblem(newDrillProblem(convention, nextRng(), exercise.level));
+        setPlaced({});
+        setSelected(null);
+        setChecked(false);
+        setHint(null);
+        setFeedback(null);
+    }, [convention, nextRng, exercise.level]);
+
+    useEffect(() => { start(); }, [start]);
+
+    if (!problem) return null;
+
+    const { tokens, groups } = problem;
+    const expected = Object.fromEntries(groups.map(g => [rangeKey(g.first, g.last), g]));
+    const last = tokens.length - 1;
+
+    const operandRanges = (first, end, op) => tokens[op].type === 'NOT'
+        ? [[op + 1, end]]
+        : [[first, op - 1], [op + 1, end]];
+
+    // Slots of the student's tree in pre-order; leaves are filled in automatically
+    const slots = [];
+    const collect = (first, end) => {
+        if (first === end) return;
+        const key = rangeKey(first, end);
+        const op = placed[key];
+        slots.push({ key, first, last: end, op });
+        if (op !== undefined) operandRanges(first, end, op).forEach(([a, b]) => collect(a, b));
+    };
+    collect(0, last);
+
+    const isRight = (slot) => expected[slot.key] && expected[slot.key].op === slot.op;
+    const usedOps = new Set(slots.map(s => s.op).filter(op => op !== undefined));
+    const chips = tokens.map((tok, i) => ({ tok, i })).filter(({ tok, i }) => isConnective(tok) && !usedOps.has(i));
+
+    const changed = () => { setChecked(false); setFeedback(null); };
+
+    const place = (slot, op) => {
+        setSelected(null);
+        if (op < slot.first || op > slot.last) {
+            setFeedback({ type: 'error', text: `Ese ${tokens[op].value} no pertenece a ${sliceText(problem, slot.first, slot.last)}.` });
+            return;
+        }
+        if (tokens[op].type === 'NOT' ? op !== slot.first : (op === slot.first || op === slot.last)) {
+            setFeedback({ type: 'error', text: tokens[op].type === 'NOT'
+                ? `${tokens[op].value} solo puede ser el principal si está al comienzo de la subfórmula.`
+                : 'Un conector binario necesita una subfórmula a cada lado.' });
+            return;
+        }
+        setPlaced(prev => ({ ...prev, [slot.key]: op }));
+        changed();
+    };
+
+    // Removing a node also clears everything built below it
+    const remove = (slot) => {
+        setPlaced(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => {
+            const [a, b] = key.split(':').map(Number);
+            return a < slot.first || b > slot.last;
+        })));
+        changed();
+    };
+
+    const check = () => {
+        setChecked(true);
+        const wrong = slots.filter(s => s.op !== undefined && !isRight(s));
+        const empty = slots.filter(s => s.op === undefined);
+        if (wrong.length > 0) {
+            const first = wrong[0];
+            setFeedback({
+                type: 'error',
+                text: `${wrong.length === 1 ? '1 conector mal colocado' : `${wrong.length} conectores mal colocados`}. En ${sliceText(problem, first.first, first.last)}: ${explainWrongConnective(tokens, first.op, expected[first.key].node, convention)}`
+            });
+        } else if (empty.length > 0) {
+            setFeedback({ type: 'hint', text: `Vas bien; ${empty.length === 1 ? 'falta 1 subfórmula' : `faltan ${empty.length} subfórmulas`} por completar.` });
+        } else {
+            setFeedback({ type: 'ok', text: `¡Árbol correcto! ${problem.ast.toFullString()}` });
+        }
+    };
+
+    // Hints walk through the first slot (pre-order) that is empty or wrong; the last step fills it in
+    const showHint = () => {
+        const target = slots.find(s => s.op === undefined || !isRight(s));
+        if (!target) return;
+        const steps = mainConnectiveHints(tokens, target.first, target.last, convention);
+        const level = hint && hint.key === target.key ? hint.level + 1 : 1;
+        if (level > steps.length) {
+            remove(target);
+            setPlaced(prev => ({ ...prev, [target.key]: expected[target.key].op }));
+            setHint(null);
+            setFeedback({ type: 'hint', text: `Colocado ${tokens[expected[target.key].op].value} como principal de ${sliceText(problem, target.first, target.last)}.` });
+            return;
+        }
+        setHint({ key: target.key, level });
+        setFeedback({ type: 'hint', text: `En ${sliceText(problem, target.first, target.last)}: ${steps[level - 1]}` });
+    };
+
+    const renderSlot = (first, end) => {
+        if (first === end) {
+            return (
+                <div className="px-3 py-1 rounded-full border-2 border-slate-300 font-mono font-bold text-slate-700 bg-white">
+                    {tokens[first].value}
+                </div>
+            );
+        }
+        const slot = slots.find(s => s.first === first && s.last === end);
+        const hinted = hint && hint.key === slot.key;
+
+        if (slot.op === undefined) {
+            return (
+                <div
+                    onDragOver={e => e.preventDefault()}
+                    onDrop={e => {
+                        e.preventDefault();
+                        const op = Number(e.dataTransfer.getData('text/plain'));
+                        if (tokens[op]) place(slot, op);
+                    }}
+                    onClick={() => selected !== null && place(slot, selected)}
+                    className={`px-3 py-2 rounded-lg border-2 border-dashed text-xs text-slate-400 bg-slate-50 ${
+                        selected !== null ? 'border-indigo-400 cursor-pointer hover:bg-indigo-50' : 'border-slate-300'
+                    } ${hinted ? 'ring-2 ring-amber-400' : ''}`}
+                >
+                    <span className="block font-mono text-sm text-slate-500">{sliceText(problem, first, end)}</span>
+                    suelta aquí su conector principal
+                </div>
+            );
+        }
+
+        const status = checked ? (isRight(slot) ? 'border-green-500 bg-green-50' : 'border-red-500 bg-red-50') : 'border-slate-300 bg-white';
+        return (
+            <div className="flex flex-col items-center">
+                <div className={`relative px-3 py-1 rounded-full border-2 font-mono font-bold ${status} ${OP_COLORS[tokens[slot.op].value] || OP_COLORS.DEFAULT} ${hinted ? 'ring-2 ring-amber-400' : ''}`}>
+                    {tokens[slot.op].value}
+                    <button onClick={() => remove(slot)} title="Quitar" className="absolute -top-2 -right-3 bg-white rounded-full text-slate-400 hover:text-red-500">
+                        <X className="w-3 h-3" />
+                    </button>
+                </div>
+                <div className="flex gap-4 mt-2 pt-2 border-t-2 border-slate-200">
+                    {operandRanges(first, end, slot.op).map(([a, b]) => (
+                        <div key={rangeKey(a, b)} className="flex flex-col items-center">{renderSlot(a, b)}</div>
+                    ))}
+                </div>
+            </div>
+        );
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow border border-slate-200 text-center space-y-6">
+            <ExerciseTag exercise={exercise} number={exercises.number} />
+            <p className="font-mono text-2xl text-slate-800">{problem.source}</p>
+
+            <div>
+                <p className="text-xs text-slate-400 mb-2">Arrastra cada conector a su lugar en el árbol (o haz clic en él y luego en el hueco).</p>
+                <div className="flex flex-wrap justify-center gap-2 min-h-[2.5rem]">
+                    {chips.map(({ tok, i }) => (
+                        <div
+                            key={i}
+                            draggable
+                            onDragStart={e => e.dataTransfer.setData('text/plain', String(i))}
+                            onClick={() => setSelected(prev => prev === i ? null : i)}
+                            className={`px-3 py-1 rounded border-2 font-mono font-bold cursor-grab bg-white ${OP_COLORS[tok.value] || OP_COLORS.DEFAULT} ${
+                                selected === i ? 'border-indigo-500 ring-2 ring-indigo-200' : 'border-slate-200 hover:border-slate-400'
+                            }`}
+                        >
+                            {tok.value}
+                            {/* Neighbouring tokens tell repeated connectives apart */}
+                            <span className="block text-[10px] text-slate-400 font-normal">
+                                {sliceText(problem, tok.type === 'NOT' ? i : i - 1, i + 1)}
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <div className="overflow-x-auto py-4 flex justify-center">{renderSlot(0, last)}</div>
+
+            <div className="min-h-[2.5rem]"><Feedback feedback={feedback} /></div>
+
+            <div className="flex flex-wrap justify-center gap-4">
+                <button onClick={check} className="bg-indigo-600 hover:bg-indigo-700 text-white px-8 py-3 rounded-lg font-bold transition shadow-lg transform active:scale-95">
+                    Verificar
+                </button>
+                <button onClick={showHint} className="bg-amber-100 hover:bg-amber-200 text-amber-800 px-6 py-3 rounded-lg font-bold transition flex items-center gap-2">
+                    <Lightbulb className="w-4 h-4" /> Pista
+                </button>
+                <button onClick={start} className="bg-slate-200 hover:bg-slate-300 text-slate-800 px-6 py-3 rounded-lg font-bold transition flex items-center gap-2">
+                    <RefreshCw className="w-4 h-4" /> Nuevo
+                </button>
+            </div>
+        </div>
+    );
+};
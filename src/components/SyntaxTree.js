@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { OP_COLORS } from './common';
+
+const UNIT_X = 56;
+const UNIT_Y = 70;
+const RADIUS = 18;
+const PADDING = 28;
+
+// Children of a node in drawing order
+const childrenOf = (node) => [node.left, node.right].filter(Boolean);
+
+const countNodes = (node) => 1 + childrenOf(node).reduce((sum, child) => sum + countNodes(child), 0);
+
+// Assigns grid positions: leaves (and collapsed subtrees) take consecutive columns,
+// parents sit centered above their children. Paths ('', 'L', 'LR', ...) identify nodes.
+const layoutTree = (ast, collapsed) => {
+    const placed = [];
+    let column = 0;
+    const place = (node, depth, path) => {
+        const folded = collapsed.has(path) && node.type !== 'ATOM';
+        const children = folded ? [] : childrenOf(node).map((child, i) => place(child, depth + 1, path + (i === 0 ? 'L' : 'R')));
+        const x = children.length === 0 ? column++ : children.reduce((sum, c) => sum + c.x, 0) / children.length;
+        const entry = { node, path, x, y: depth, folded, children };
+        placed.push(entry);
+        return entry;
+    };
+    place(ast, 0, '');
+    return { nodes: placed, columns: column, depth: Math.max(...placed.map(p => p.y)) + 1 };
+};
+
+// SVG parse tree of `ast`. Hovering a node highlights its span in `source` (and reports it
+// through onHoverSpan); clicking a connective collapses or expands its subtree.
+export const SyntaxTree = ({ ast, source, onHoverSpan }) => {
+    const [collapsed, setCollapsed] = useState(() => new Set());
+    const [hoveredPath, setHoveredPath] = useState(null);
+
+    useEffect(() => { setCollapsed(new Set()); setHoveredPath(null); }, [source]);
+
+    const { nodes, columns, depth } = layoutTree(ast, collapsed);
+    const width = Math.max(columns, 1) * UNIT_X + PADDING * 2 - UNIT_X;
+    const height = depth * UNIT_Y + PADDING * 2 - UNIT_Y + RADIUS;
+    const px = (entry) => PADDING + entry.x * UNIT_X;
+    const py = (entry) => PADDING + entry.y * UNIT_Y;
+
+    const hover = (entry) => {
+        setHoveredPath(entry ? entry.path : null);
+        if (onHoverSpan) onHoverSpan(entry ? entry.node.span : null);
+    };
+
+    const toggle = (entry) => {
+        if (entry.node.type === 'ATOM') return;
+        setCollapsed(prev => {
+            const next = new Set(prev);
+            if (next.has(entry.path)) next.delete(entry.path);
+            else next.add(entry.path);
+            return next;
+        });
+    };
+
+    const hoveredEntry = nodes.find(entry => entry.path === hoveredPath);
+    const span = hoveredEntry && hoveredEntry.node.span;
+
+    return (
+        <div className="space-y-3">
+            <div className="font-mono text-lg whitespace-pre text-center text-slate-500">
+                {span ? (
+                    <>
+                        {source.slice(0, span.start)}
+                        <span className="bg-indigo-100 text-indigo-800 rounded">{source.slice(span.start, span.end)}</span>
+                        {source.slice(span.end)}
+                    </>
+                ) : source}
+            </div>
+            <div className="overflow-x-auto">
+                <svg width={width} height={height} className="mx-auto block select-none">
+                    {nodes.map(entry => entry.children.map(child => (
+                        <line key={`${entry.path}-${child.path}`} x1={px(entry)} y1={py(entry)} x2={px(child)} y2={py(child)} className="stroke-slate-300" strokeWidth={2} />
+                    )))}
+                    {nodes.map(entry => {
+                        const { node } = entry;
+                        const isAtom = node.type === 'ATOM';
+                        const color = isAtom ? 'text-slate-700' : (OP_COLORS[node.value] || OP_COLORS.DEFAULT);
+                        const active = entry.path === hoveredPath;
+                        return (
+                            <g
+                                key={entry.path}
+                                className={`${color} ${isAtom ? 'cursor-default' : 'cursor-pointer'}`}
+                                onMouseEnter={() => hover(entry)}
+                                onMouseLeave={() => hover(null)}
+                                onClick={() => toggle(entry)}
+                            >
+                                <circle
+                                    cx={px(entry)}
+                                    cy={py(entry)}
+                                    r={RADIUS}
+                                    fill={active ? 'currentColor' : 'white'}
+                                    stroke="currentColor"
+                                    strokeWidth={2}
+                                    strokeDasharray={entry.folded ? '4 3' : undefined}
+                                />
+                                <text
+                                    x={px(entry)}
+                                    y={py(entry)}
+                                    textAnchor="middle"
+                                    dominantBaseline="central"
+                                    className="font-mono font-bold"
+                                    fill={active ? 'white' : 'currentColor'}
+                                >
+                                    {node.value}
+                                </text>
+                                {entry.folded && (
+                                    <text x={px(entry)} y={py(entry) + RADIUS + 14} textAnchor="middle" className="text-xs fill-slate-400">
+                                        +{countNodes(node) - 1}
+                                    </text>
+                                )}
+                            </g>
+                        );
+                    })}
+                </svg>
+            </div>
+            <p className="text-xs text-slate-400 text-center">Pasa el cursor sobre un nodo para ver su subfórmula; haz clic en un conector para plegar o desplegar su subárbol.</p>
+        </div>
+    );
+};
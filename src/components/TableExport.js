@@ -0,0 +1,31 @@
+import React, { useState } from 'react';
+import { Download, FileText } from 'lucide-react';
+import { TABLE_EXPORT_FORMATS, buildTruthTable, exportTruthTable } from '../logic';
+import { downloadFile } from './common';
+
+// Download controls for the table on screen: same rows and sub-expression columns, either
+// solved (answer key) or blank (worksheet to fill in on paper).
+export const TableExport = ({ formula, columns, convention }) => {
+    const [format, setFormat] = useState('latex');
+
+    const save = (blank) => {
+        const { extension, type } = TABLE_EXPORT_FORMATS[format];
+        const text = exportTruthTable(buildTruthTable(formula, convention, columns), format, { blank });
+        downloadFile(`tabla-de-verdad-${blank ? 'hoja' : 'solucion'}.${extension}`, text, type);
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="font-bold text-slate-500">Exportar:</span>
+            <select value={format} onChange={e => setFormat(e.target.value)} className="border border-slate-300 rounded px-2 py-1">
+                {Object.entries(TABLE_EXPORT_FORMATS).map(([id, f]) => <option key={id} value={id}>{f.label}</option>)}
+            </select>
+            <button onClick={() => save(false)} title="Tabla resuelta" className="bg-slate-100 hover:bg-slate-200 text-slate-700 px-3 py-1 rounded font-bold flex items-center gap-1">
+                <Download className="w-4 h-4" /> Solución
+            </button>
+            <button onClick={() => save(true)} title="Solo las filas de valores, para completar a mano" className="bg-slate-100 hover:bg-slate-200 text-slate-700 px-3 py-1 rounded font-bold flex items-center gap-1">
+                <FileText className="w-4 h-4" /> Hoja en blanco
+            </button>
+        </div>
+    );
+};
@@ -0,0 +1,141 @@
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+import { SYMBOLS, CONSTANTS, VARS, DEFAULT_CONVENTION, normalizeNotation } from '../logic';
+
+// --- CONSTANTS & CONFIG ---
+// Colors for parentheses based on the inner operator
+export const OP_COLORS = {
+    [SYMBOLS.NOT]: 'text-red-600',
+    [SYMBOLS.AND]: 'text-blue-600',
+    [SYMBOLS.OR]: 'text-green-600',
+    [SYMBOLS.IMP]: 'text-purple-600',
+    [SYMBOLS.IFF]: 'text-orange-500',
+    [SYMBOLS.XOR]: 'text-pink-600',
+    [SYMBOLS.NAND]: 'text-sky-600',
+    [SYMBOLS.NOR]: 'text-lime-600',
+    [SYMBOLS.RIMP]: 'text-fuchsia-600',
+    'DEFAULT': 'text-slate-400'
+};
+
+export const NOTATION_HINT = "También acepta ~ & | -> <- <->, and/or/not/xor/nand/nor, true/false y \\neg \\land \\lor \\oplus \\to \\top \\bot";
+
+// onChange helper for formula inputs: normalizes the typed notation and keeps the caret in place
+export const normalizeInputEvent = (e) => {
+    const el = e.target;
+    const { text, caret } = normalizeNotation(el.value, el.selectionStart);
+    if (text !== el.value) {
+        setTimeout(() => el.setSelectionRange(caret, caret), 0);
+    }
+    return text;
+};
+
+// Saves `content` as a file through a temporary link (everything stays in the browser)
+export const downloadFile = (filename, content, type = 'text/plain') => {
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// --- HIGHLIGHTER HELPER ---
+export const getParenthesisColors = (inputStr, convention = DEFAULT_CONVENTION) => {
+    const colors = Array(inputStr.length).fill(null);
+    const stack = [];
+    
+    const findMainOp = (start, end) => {
+        let minPrec = 100;
+        let mainOp = 'DEFAULT';
+        let balance = 0;
+        
+        for (let i = start + 1; i < end; i++) {
+            const char = inputStr[i];
+            if (char === '(') balance++;
+            else if (char === ')') balance--;
+            else if (balance === 0) {
+                if (Object.values(SYMBOLS).includes(char)) {
+                    const prec = convention.precedence[char] || 100;
+                    if (prec <= minPrec) {
+                        minPrec = prec;
+                        mainOp = char;
+                    }
+                }
+            }
+        }
+        return OP_COLORS[mainOp] || OP_COLORS['DEFAULT'];
+    };
+
+    for (let i = 0; i < inputStr.length; i++) {
+        if (inputStr[i] === '(') {
+            stack.push(i);
+        } else if (inputStr[i] === ')') {
+            if (stack.length > 0) {
+                const start = stack.pop();
+                const colorClass = findMainOp(start, i);
+                colors[start] = colorClass;
+                colors[i] = colorClass;
+            }
+        }
+    }
+    return colors;
+};
+
+// --- SHARED COMPONENTS ---
+
+export const LogicKeyboard = ({ onInsert, extras = [] }) => {
+    const keys = [
+        { char: SYMBOLS.NOT, label: 'NEG' },
+        { char: SYMBOLS.AND, label: 'CONJ' },
+        { char: SYMBOLS.OR, label: 'DISY' },
+        { char: SYMBOLS.IMP, label: 'IMP' },
+        { char: SYMBOLS.IFF, label: 'BIC' },
+        { char: SYMBOLS.RIMP, label: 'REC' },
+        { char: SYMBOLS.XOR, label: 'XOR' },
+        { char: SYMBOLS.NAND, label: 'NAND' },
+        { char: SYMBOLS.NOR, label: 'NOR' },
+        { char: CONSTANTS.TRUE, label: 'VERUM' },
+        { char: CONSTANTS.FALSE, label: 'FALSUM' },
+        { char: '(', label: '(' },
+        { char: ')', label: ')' },
+        ...VARS.map(v => ({ char: v, label: v })),
+        ...extras
+    ];
+    return (
+        <div className="flex flex-wrap gap-2 my-2 p-2 bg-slate-100 rounded-lg border border-slate-200 justify-center">
+            {keys.map((k) => (
+                <button
+                    key={k.char}
+                    title={k.label}
+                    onClick={() => onInsert(k.char)}
+                    className="bg-white hover:bg-indigo-50 text-slate-800 border border-slate-300 px-3 py-2 rounded shadow-sm text-base font-mono font-bold transition active:scale-95"
+                >
+                    {k.char}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+// Shows a FormulaSyntaxError with the offending span of the source underlined
+export const SyntaxErrorNotice = ({ source, error }) => {
+    const start = Math.min(error.offset, source.length);
+    const end = start + error.length;
+    return (
+        <div className="inline-flex flex-col items-center gap-1 text-red-600 bg-red-50 px-4 py-2 rounded animate-shake">
+            <div className="flex items-center gap-2 font-bold">
+                <AlertCircle className="w-5 h-5" />
+                <span>{error.message}</span>
+            </div>
+            <div className="font-mono text-base whitespace-pre text-slate-600">
+                {source.slice(0, start)}
+                <span className="text-red-700 bg-red-100 underline decoration-wavy decoration-red-500">
+                    {end > start ? source.slice(start, end) : '\u00a0'}
+                </span>
+                {source.slice(end)}
+            </div>
+        </div>
+    );
+};
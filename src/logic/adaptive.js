@@ -0,0 +1,83 @@
+import { SYMBOLS } from './symbols';
+import { getGroupingTokens } from './grading';
+
+// Traits are what an attempt can get wrong: for syntax, pairs of binary connectives that
+// meet in a flat formula ("∧ ∨", in reading order); for evaluation and truth tables, single
+// connectives (¬ included). Attempts list the traits their problem contained in `traits`
+// and the ones the student got wrong in `missed`.
+
+// Adjacent binary connectives of a formula, in reading order and without repeats
+export const connectivePairs = (source) => {
+    const ops = getGroupingTokens(source).filter(t => t.type === 'BIN').map(t => t.value);
+    const pairs = [];
+    for (let i = 1; i < ops.length; i++) {
+        const pair = `${ops[i - 1]} ${ops[i]}`;
+        if (!pairs.includes(pair)) pairs.push(pair);
+    }
+    return pairs;
+};
+
+// Connectives (binary ones and ¬) that occur in a parsed formula, without repeats
+export const formulaConnectives = (ast) => {
+    const found = [];
+    const visit = (node) => {
+        if (!node || node.type === 'ATOM') return;
+        if (!found.includes(node.value)) found.push(node.value);
+        visit(node.left);
+        visit(node.right);
+    };
+    visit(ast);
+    return found;
+};
+
+// Leitner boxes: a miss puts the trait in box 0; every later attempt that contains it without
+// missing it moves it one box up. A trait in box b is due once REVIEW_SPACING[b] attempts of
+// the skill have gone by since it last came up; past the last box it counts as learned.
+export const REVIEW_SPACING = [0, 1, 3, 7];
+
+// Every trait the student has missed at least once, weakest first:
+// [{ trait, box, misses, due, learned }]
+export const reviewSchedule = (log, skill) => {
+    const attempts = log.filter(a => a.skill === skill);
+    const traits = {};
+    attempts.forEach((a, i) => {
+        const missed = a.missed || [];
+        missed.forEach(trait => {
+            traits[trait] = { trait, box: 0, misses: (traits[trait] ? traits[trait].misses : 0) + 1, last: i };
+        });
+        (a.traits || []).forEach(trait => {
+            if (!traits[trait] || missed.includes(trait)) return;
+            traits[trait].box++;
+            traits[trait].last = i;
+        });
+    });
+    return Object.values(traits)
+        .map(({ last, ...t }) => {
+            const learned = t.box >= REVIEW_SPACING.length;
+            return { ...t, learned, due: !learned && attempts.length - 1 - last >= REVIEW_SPACING[t.box] };
+        })
+        .sort((a, b) => a.box - b.box || b.misses - a.misses);
+};
+
+// The traits the next problem of `skill` should practise (at most `limit`)
+export const practiceFocus = (log, skill, limit = 2) =>
+    reviewSchedule(log, skill).filter(t => t.due).slice(0, limit).map(t => t.trait);
+
+// Generator parameters (see generateFormula) that steer `difficulty` towards the focus traits.
+// Syntax draws only the connectives of the focused pairs, with at least one precedence trap;
+// the other skills require the focused connectives and draw them more often.
+export const focusParams = (skill, focus, difficulty) => {
+    if (!focus || focus.length === 0) return difficulty;
+    if (skill === 'syntax') {
+        const connectives = [...new Set(focus.flatMap(pair => pair.split(' ')))];
+        return { ...difficulty, connectives, require: connectives, traps: Math.max(difficulty.traps, 1) };
+    }
+    const binary = focus.filter(c => c !== SYMBOLS.NOT);
+    const negated = focus.includes(SYMBOLS.NOT);
+    return {
+        ...difficulty,
+        connectives: [...difficulty.connectives, ...binary, ...binary],
+        negation: negated ? Math.max(difficulty.negation, 0.5) : difficulty.negation,
+        require: focus
+    };
+};
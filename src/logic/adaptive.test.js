@@ -0,0 +1,48 @@
+import { parseToAST, createRng, generateFormula, getDifficulty, connectivePairs, formulaConnectives, reviewSchedule, practiceFocus, focusParams } from '.';
+
+const attempt = (skill, traits, missed = []) => ({ skill, formula: 'P', correct: missed.length === 0, traits, missed, at: 0 });
+
+describe('adaptive practice', () => {
+    it('extracts the traits of a problem', () => {
+        expect(connectivePairs('P ∧ Q ∨ R ∧ ¬S')).toEqual(['∧ ∨', '∨ ∧']);
+        expect(connectivePairs('(P ⇒ Q) ⇒ R')).toEqual(['⇒ ⇒']);
+        expect(formulaConnectives(parseToAST('¬P ∨ (Q ⇒ ¬R)'))).toEqual(['∨', '¬', '⇒']);
+    });
+
+    it('moves missed traits through the Leitner boxes', () => {
+        const log = [
+            attempt('syntax', ['∧ ∨'], ['∧ ∨']),
+            attempt('syntax', ['⇒ ⇒']),
+            attempt('syntax', ['∧ ∨']),
+            attempt('evaluation', ['⇒'], ['⇒'])
+        ];
+        expect(reviewSchedule(log, 'syntax')).toEqual([{ trait: '∧ ∨', box: 1, misses: 1, due: false, learned: false }]);
+        expect(practiceFocus(log, 'syntax')).toEqual([]);
+        expect(practiceFocus([...log, attempt('syntax', ['⇒ ⇒'])], 'syntax')).toEqual(['∧ ∨']);
+        expect(practiceFocus(log, 'evaluation')).toEqual(['⇒']);
+
+        const missedAgain = [...log, attempt('syntax', ['∧ ∨'], ['∧ ∨'])];
+        expect(reviewSchedule(missedAgain, 'syntax')[0]).toMatchObject({ box: 0, misses: 2, due: true });
+
+        const learned = [...log, ...Array.from({ length: 20 }, () => attempt('syntax', ['∧ ∨']))];
+        expect(reviewSchedule(learned, 'syntax')[0]).toMatchObject({ learned: true, due: false });
+    });
+
+    it('steers the generator towards the focus', () => {
+        const rng = createRng(5);
+        const difficulty = getDifficulty(3);
+        const syntax = focusParams('syntax', ['⇔ ∧'], difficulty);
+        expect(syntax.connectives).toEqual(['⇔', '∧']);
+        for (let i = 0; i < 10; i++) {
+            const flat = generateFormula(rng, { ...syntax, shape: 'flat' });
+            expect(flat).toContain('⇔');
+            expect(flat).toContain('∧');
+        }
+        const evaluation = focusParams('evaluation', ['⇒', '¬'], difficulty);
+        for (let i = 0; i < 10; i++) {
+            const ops = formulaConnectives(parseToAST(generateFormula(rng, evaluation)));
+            expect(ops).toEqual(expect.arrayContaining(['⇒', '¬']));
+        }
+        expect(focusParams('table', [], difficulty)).toBe(difficulty);
+    });
+});
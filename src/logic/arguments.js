@@ -0,0 +1,66 @@
+import { getVariables, astEquals } from './ast';
+import { parseToAST } from './parser';
+import { EXPLICIT_CONVENTION } from './conventions';
+import { solveProposition, enumerateAssignments } from './evaluate';
+
+// Joint truth table of an argument. A row is critical when every premise is true there,
+// and a counterexample when, on top of that, the conclusion is false. The argument is
+// valid (premises ⊨ conclusion) when it has no counterexample.
+export const analyzeArgument = (premises, conclusion) => {
+    const variables = [...new Set([...premises, conclusion].flatMap(getVariables))].sort();
+    const rows = enumerateAssignments(variables).map(values => {
+        const premiseValues = premises.map(p => solveProposition(p, values));
+        const conclusionValue = solveProposition(conclusion, values);
+        const critical = premiseValues.every(Boolean);
+        return { values, premises: premiseValues, conclusion: conclusionValue, critical, counterexample: critical && !conclusionValue };
+    });
+    return { variables, rows, valid: rows.every(r => !r.counterexample) };
+};
+
+// Named forms over the metavariables A, B, C; premises may be given in any order
+const ARGUMENT_FORMS = [
+    { name: 'Modus ponens', valid: true, premises: ['(A ⇒ B)', 'A'], conclusion: 'B' },
+    { name: 'Modus tollens', valid: true, premises: ['(A ⇒ B)', '¬B'], conclusion: '¬A' },
+    { name: 'Silogismo hipotético', valid: true, premises: ['(A ⇒ B)', '(B ⇒ C)'], conclusion: '(A ⇒ C)' },
+    { name: 'Silogismo disyuntivo', valid: true, premises: ['(A ∨ B)', '¬A'], conclusion: 'B' },
+    { name: 'Afirmación del consecuente', valid: false, premises: ['(A ⇒ B)', 'B'], conclusion: 'A' },
+    { name: 'Negación del antecedente', valid: false, premises: ['(A ⇒ B)', '¬A'], conclusion: '¬B' }
+].map(form => ({
+    ...form,
+    premises: form.premises.map(p => parseToAST(p, EXPLICIT_CONVENTION)),
+    conclusion: parseToAST(form.conclusion, EXPLICIT_CONVENTION)
+}));
+
+const METAVARIABLES = ['A', 'B', 'C'];
+
+// Extends `bindings` so that `pattern` becomes `node`, or returns null
+const match = (pattern, node, bindings) => {
+    if (!bindings) return null;
+    if (pattern.type === 'ATOM' && METAVARIABLES.includes(pattern.value)) {
+        const bound = bindings[pattern.value];
+        if (bound) return astEquals(bound, node) ? bindings : null;
+        return { ...bindings, [pattern.value]: node };
+    }
+    if (pattern.type !== node.type || pattern.value !== node.value) return null;
+    let result = bindings;
+    if (pattern.left) result = match(pattern.left, node.left, result);
+    if (pattern.right) result = match(pattern.right, node.right, result);
+    return result;
+};
+
+const permutations = (list) => list.length <= 1
+    ? [list]
+    : list.flatMap((item, i) => permutations([...list.slice(0, i), ...list.slice(i + 1)]).map(rest => [item, ...rest]));
+
+// Recognizes the argument as one of ARGUMENT_FORMS by matching the ASTs.
+// Returns { name, valid, bindings } or null.
+export const recognizeArgumentForm = (premises, conclusion) => {
+    for (const form of ARGUMENT_FORMS) {
+        if (form.premises.length !== premises.length) continue;
+        for (const ordered of permutations(premises)) {
+            const bindings = form.premises.reduce((acc, pattern, i) => match(pattern, ordered[i], acc), match(form.conclusion, conclusion, {}));
+            if (bindings) return { name: form.name, valid: form.valid, bindings };
+        }
+    }
+    return null;
+};
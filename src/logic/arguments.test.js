@@ -0,0 +1,30 @@
+import { parseToAST, analyzeArgument, recognizeArgumentForm } from '.';
+
+const argument = (premises, conclusion) => [premises.map(p => parseToAST(p)), parseToAST(conclusion)];
+
+describe('analyzeArgument', () => {
+    it('marks critical rows and counterexamples', () => {
+        const { valid, rows } = analyzeArgument(...argument(['P ⇒ Q', 'Q'], 'P'));
+        expect(valid).toBe(false);
+        expect(rows.map(r => r.critical)).toEqual([true, false, true, false]);
+        expect(rows.filter(r => r.counterexample).map(r => r.values)).toEqual([{ P: false, Q: true }]);
+    });
+
+    it('accepts valid arguments', () => {
+        expect(analyzeArgument(...argument(['P ∨ Q', '¬P', 'Q ⇒ R'], 'R')).valid).toBe(true);
+    });
+});
+
+describe('recognizeArgumentForm', () => {
+    it('names the classic forms whatever the premise order', () => {
+        expect(recognizeArgumentForm(...argument(['P ∧ R', '(P ∧ R) ⇒ ¬Q'], '¬Q')).name).toBe('Modus ponens');
+        expect(recognizeArgumentForm(...argument(['¬Q', 'P ⇒ Q'], '¬P')).name).toBe('Modus tollens');
+        expect(recognizeArgumentForm(...argument(['P ⇒ Q', 'Q ⇒ R'], 'P ⇒ R')).name).toBe('Silogismo hipotético');
+        const fallacy = recognizeArgumentForm(...argument(['P ⇒ Q', 'Q'], 'P'));
+        expect(fallacy).toMatchObject({ name: 'Afirmación del consecuente', valid: false });
+    });
+
+    it('does not force a name on other arguments', () => {
+        expect(recognizeArgumentForm(...argument(['P ⇒ Q', 'R'], 'Q'))).toBeNull();
+    });
+});
@@ -0,0 +1,67 @@
+import { SYMBOLS, CONSTANTS } from './symbols';
+
+// AST Node
+export class ASTNode {
+    constructor(type, value, left = null, right = null, span = null, opSpan = null) {
+        this.type = type; 
+        this.value = value;
+        this.left = left;
+        this.right = right;
+        // Character range [start, end) of this node in the source formula
+        this.span = span;
+        // Range of the connective symbol itself (null for atoms)
+        this.opSpan = opSpan;
+    }
+    
+    toFullString() {
+        if (this.type === 'ATOM') return this.value;
+        if (this.type === 'NOT') return `(${SYMBOLS.NOT} ${this.left.toFullString()})`;
+        return `(${this.left.toFullString()} ${this.value} ${this.right.toFullString()})`;
+    }
+}
+
+export const getSubExpressions = (ast, list = new Set()) => {
+    if (!ast) return list;
+    if (ast.type === 'BIN') {
+        list.add(ast.toFullString());
+        getSubExpressions(ast.left, list);
+        getSubExpressions(ast.right, list);
+    } else if (ast.type === 'NOT') {
+        list.add(ast.toFullString());
+        getSubExpressions(ast.left, list);
+    }
+    return list;
+};
+
+// Variable names in the formula, upper-cased and sorted. T and F count as truth constants.
+export const getVariables = (ast) => {
+    const found = new Set();
+    const visit = (node) => {
+        if (!node) return;
+        if (node.type === 'ATOM') {
+            const upper = node.value.toUpperCase();
+            if (!['T', 'F', '1', '0', CONSTANTS.TRUE, CONSTANTS.FALSE].includes(upper)) found.add(upper);
+            return;
+        }
+        visit(node.left);
+        visit(node.right);
+    };
+    visit(ast);
+    return Array.from(found).sort();
+};
+
+// Structural equality: same connectives and atoms in the same shape (spans are ignored)
+export const astEquals = (a, b) => {
+    if (!a || !b) return a === b;
+    return a.type === b.type && a.value === b.value && astEquals(a.left, b.left) && astEquals(a.right, b.right);
+};
+
+// astEquals up to the case of variable names, which the engine reads as one (p is P)
+export const sameFormula = (a, b) => {
+    if (!a || !b) return a === b;
+    const value = (node) => node.type === 'ATOM' ? node.value.toUpperCase() : node.value;
+    return a.type === b.type && value(a) === value(b) && sameFormula(a.left, b.left) && sameFormula(a.right, b.right);
+};
+
+// Subtree reached by following 'L' / 'R' steps from the root ('' is the root itself)
+export const nodeAt = (ast, path) => [...path].reduce((node, step) => step === 'L' ? node.left : node.right, ast);
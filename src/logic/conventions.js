@@ -0,0 +1,67 @@
+import { SYMBOLS, BINARY_OPS } from './symbols';
+
+// A convention decides how a formula without parentheses is grouped:
+//   precedence:    rank per operator, higher binds tighter (¬ is always on top)
+//   associativity: 'left' | 'right' | 'none' per binary operator; 'none' means a
+//                  chain of equal-rank operators is rejected and needs parentheses
+
+export const DEFAULT_ASSOCIATIVITY = {
+    [SYMBOLS.AND]: 'left',
+    [SYMBOLS.NAND]: 'left',
+    [SYMBOLS.OR]: 'left',
+    [SYMBOLS.NOR]: 'left',
+    [SYMBOLS.XOR]: 'left',
+    [SYMBOLS.IMP]: 'right',
+    [SYMBOLS.RIMP]: 'right',
+    [SYMBOLS.IFF]: 'right'
+};
+
+// `tiers` lists the binary operators grouped by rank, tightest first
+export const buildConvention = (id, name, tiers, associativity = {}) => {
+    const precedence = { [SYMBOLS.NOT]: tiers.length + 1 };
+    tiers.forEach((tier, i) => tier.forEach(op => { precedence[op] = tiers.length - i; }));
+    return { id, name, precedence, associativity: { ...DEFAULT_ASSOCIATIVITY, ...associativity } };
+};
+
+const STANDARD_TIERS = [
+    [SYMBOLS.AND, SYMBOLS.NAND],
+    [SYMBOLS.OR, SYMBOLS.NOR],
+    [SYMBOLS.XOR],
+    [SYMBOLS.IMP, SYMBOLS.RIMP],
+    [SYMBOLS.IFF]
+];
+
+// Standard hierarchy: ¬ > ∧ ↑ > ∨ ↓ > ⊕ > ⇒ ⇐ > ⇔. NAND and NOR share the rank of the
+// connective they negate; ∧ ↑ ∨ ↓ ⊕ group to the left and ⇒ ⇐ ⇔ to the right.
+export const DEFAULT_CONVENTION = buildConvention('standard', 'Estándar', STANDARD_TIERS);
+
+// Not offered to users: every binary connective has the same rank and none associates, so a
+// formula only parses if each binary subformula inside another is explicitly parenthesized
+export const EXPLICIT_CONVENTION = buildConvention('explicit', 'Agrupación explícita', [BINARY_OPS],
+    Object.fromEntries(BINARY_OPS.map(op => [op, 'none'])));
+
+export const BUILTIN_CONVENTIONS = [
+    DEFAULT_CONVENTION,
+    buildConvention('andor-equal', '∧ y ∨ al mismo nivel', [
+        [SYMBOLS.AND, SYMBOLS.NAND, SYMBOLS.OR, SYMBOLS.NOR],
+        [SYMBOLS.XOR],
+        [SYMBOLS.IMP, SYMBOLS.RIMP],
+        [SYMBOLS.IFF]
+    ]),
+    buildConvention('left-imp', '⇒ asociativa a la izquierda', STANDARD_TIERS, {
+        [SYMBOLS.IMP]: 'left',
+        [SYMBOLS.RIMP]: 'left'
+    }),
+    buildConvention('strict-imp', '⇒ ⇔ sin asociatividad', STANDARD_TIERS, {
+        [SYMBOLS.IMP]: 'none',
+        [SYMBOLS.RIMP]: 'none',
+        [SYMBOLS.IFF]: 'none'
+    })
+];
+
+// Operators grouped by rank, tightest first (e.g. [['¬'], ['∧', '↑'], ...])
+export const getPrecedenceTiers = (convention = DEFAULT_CONVENTION) => {
+    const { precedence } = convention;
+    const ranks = [...new Set(Object.values(precedence))].sort((a, b) => b - a);
+    return ranks.map(rank => Object.keys(precedence).filter(op => precedence[op] === rank));
+};
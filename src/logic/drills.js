@@ -0,0 +1,73 @@
+import { SYMBOLS } from './symbols';
+import { DEFAULT_CONVENTION, getPrecedenceTiers } from './conventions';
+
+const SIDES = { left: 'la izquierda', right: 'la derecha' };
+
+// Binary connectives of tokens[first..last] that are not inside a parenthesis of the range
+const topLevelBinaries = (tokens, first, last) => {
+    const slice = tokens.slice(first, last + 1).map((t, i) => ({ ...t, index: first + i }));
+    const depth = Math.min(...slice.map(t => t.depth));
+    return slice.filter(t => t.type === 'BIN' && t.depth === depth);
+};
+
+// Step-by-step hints for finding the main connective of the grouping tokens
+// tokens[first..last] (see getGroupingTokens): a general rule first, then a
+// pointer to the connective itself. The last step, revealing it, is up to the UI.
+export const mainConnectiveHints = (tokens, first, last, convention = DEFAULT_CONVENTION) => {
+    const binaries = topLevelBinaries(tokens, first, last);
+    if (binaries.length === 0) {
+        return [
+            "No hay conectores binarios fuera de paréntesis: fíjate en el primer símbolo.",
+            `El conector principal es el ${SYMBOLS.NOT} inicial: niega todo lo que le sigue.`
+        ];
+    }
+
+    const { precedence, associativity } = convention;
+    const tiers = getPrecedenceTiers(convention).map(tier => tier.join(' ')).join(' > ');
+    const lowest = Math.min(...binaries.map(t => precedence[t.value]));
+    const weakest = binaries.filter(t => precedence[t.value] === lowest);
+    const ops = [...new Set(weakest.map(t => t.value))];
+    const general = `El conector principal es el que se aplica al final: el de menor prioridad fuera de paréntesis (${tiers}).`;
+
+    if (weakest.length === 1) {
+        return [general, `Aquí el de menor prioridad es ${ops[0]}.`];
+    }
+    const sides = new Set(ops.map(op => associativity[op]));
+    const side = sides.size === 1 ? [...sides][0] : null;
+    const rule = side === 'right' ? 'el principal es el de más a la izquierda'
+        : side === 'left' ? 'el principal es el de más a la derecha'
+        : 'decide su asociatividad';
+    return [
+        general,
+        `Hay ${weakest.length} conectores con la menor prioridad (${ops.join(' ')})${side ? `; como se agrupan por ${SIDES[side]}` : ''}, ${rule}.`
+    ];
+};
+
+// Explains why tokens[chosen] is not the main connective of `expected`, the node the
+// parser built for that range.
+export const explainWrongConnective = (tokens, chosen, expected, convention = DEFAULT_CONVENTION) => {
+    const { precedence, associativity } = convention;
+    const picked = tokens[chosen];
+    const correct = tokens.find(t => t.start === expected.opSpan.start);
+
+    if (picked.depth > correct.depth) {
+        return "Ese conector está dentro de paréntesis: se agrupa antes que lo que queda fuera.";
+    }
+    if (picked.type === 'NOT') {
+        return `${SYMBOLS.NOT} solo afecta a lo que tiene inmediatamente a su derecha, así que aquí no es el principal.`;
+    }
+    const theirs = picked.value;
+    const ours = correct.value;
+    if (precedence[theirs] > precedence[ours]) {
+        return `${theirs} liga más fuerte que ${ours}: se agrupa antes, así que no puede ser el principal.`;
+    }
+    if (precedence[theirs] === precedence[ours]) {
+        const side = SIDES[associativity[ours]];
+        if (side) {
+            return theirs === ours
+                ? `${ours} se asocia por ${side}: ese no es el que se aplica al final.`
+                : `${theirs} y ${ours} tienen la misma prioridad y se agrupan por ${side}: ese no es el que se aplica al final.`;
+        }
+    }
+    return "Ese no es el conector principal de esta subfórmula.";
+};
@@ -0,0 +1,34 @@
+import { parseToAST, getGroupingTokens, getGroupRanges, mainConnectiveHints, explainWrongConnective, BUILTIN_CONVENTIONS } from '.';
+
+const setup = (source, convention) => {
+    const ast = parseToAST(source, convention);
+    return { ast, tokens: getGroupingTokens(source), groups: getGroupRanges(ast, source) };
+};
+
+describe('getGroupRanges', () => {
+    it('locates the connective of every subformula', () => {
+        const { groups } = setup('(P ∨ Q) ∧ ¬R');
+        expect(groups.map(({ first, last, op }) => [first, last, op])).toEqual([[0, 5, 3], [0, 2, 1], [4, 5, 4]]);
+    });
+});
+
+describe('main connective drill', () => {
+    it('hints at the weakest connective and at associativity', () => {
+        const { tokens } = setup('P ∧ Q ∨ R');
+        expect(mainConnectiveHints(tokens, 0, 4)[1]).toBe('Aquí el de menor prioridad es ∨.');
+        const chain = setup('P ⇒ Q ⇒ R').tokens;
+        expect(mainConnectiveHints(chain, 0, 4)[1])
+            .toBe('Hay 2 conectores con la menor prioridad (⇒); como se agrupan por la derecha, el principal es el de más a la izquierda.');
+        expect(mainConnectiveHints(setup('¬(P ∨ Q)').tokens, 0, 3)[1]).toBe('El conector principal es el ¬ inicial: niega todo lo que le sigue.');
+    });
+
+    it('explains a wrong pick', () => {
+        const { ast, tokens } = setup('¬P ∧ Q ∨ R');
+        expect(explainWrongConnective(tokens, 2, ast)).toBe('∧ liga más fuerte que ∨: se agrupa antes, así que no puede ser el principal.');
+        expect(explainWrongConnective(tokens, 0, ast)).toBe('¬ solo afecta a lo que tiene inmediatamente a su derecha, así que aquí no es el principal.');
+
+        const leftImp = BUILTIN_CONVENTIONS.find(c => c.id === 'left-imp');
+        const chain = setup('P ⇒ Q ⇒ R', leftImp);
+        expect(explainWrongConnective(chain.tokens, 1, chain.ast, leftImp)).toBe('⇒ se asocia por la izquierda: ese no es el que se aplica al final.');
+    });
+});
@@ -0,0 +1,86 @@
+import { ASTNode, getVariables } from './ast';
+import { parseToAST } from './parser';
+import { EXPLICIT_CONVENTION } from './conventions';
+import { SYMBOLS } from './symbols';
+import { solveProposition, enumerateAssignments } from './evaluate';
+import { createRng, randomSeed } from './random';
+
+// Evaluates both formulas on every assignment of their combined variables.
+// Returns { variables, rows: [{ values, left, right }], equivalent, counterexample }
+// where counterexample is the first row on which they differ (or null).
+export const compareFormulas = (left, right) => {
+    const variables = [...new Set([...getVariables(left), ...getVariables(right)])].sort();
+    const rows = enumerateAssignments(variables).map(values => ({
+        values,
+        left: solveProposition(left, values),
+        right: solveProposition(right, values)
+    }));
+    const counterexample = rows.find(r => r.left !== r.right) || null;
+    return { variables, rows, equivalent: counterexample === null, counterexample };
+};
+
+// Laws and tempting mistakes over the metavariables A, B, C, written with every pair of
+// parentheses so they read the same under any convention.
+const EQUIVALENCE_LAWS = [
+    { law: 'De Morgan', left: '¬(A ∧ B)', right: '(¬A ∨ ¬B)' },
+    { law: 'De Morgan', left: '¬(A ∨ B)', right: '(¬A ∧ ¬B)' },
+    { law: 'Contraposición', left: '(A ⇒ B)', right: '(¬B ⇒ ¬A)' },
+    { law: 'Implicación material', left: '(A ⇒ B)', right: '(¬A ∨ B)' },
+    { law: 'Negación de la implicación', left: '¬(A ⇒ B)', right: '(A ∧ ¬B)' },
+    { law: 'Distributividad', left: '(A ∧ (B ∨ C))', right: '((A ∧ B) ∨ (A ∧ C))' },
+    { law: 'Distributividad', left: '(A ∨ (B ∧ C))', right: '((A ∨ B) ∧ (A ∨ C))' },
+    { law: 'Exportación', left: '((A ∧ B) ⇒ C)', right: '(A ⇒ (B ⇒ C))' },
+    { law: 'Bicondicional', left: '(A ⇔ B)', right: '((A ⇒ B) ∧ (B ⇒ A))' },
+    { law: 'Absorción', left: '(A ∨ (A ∧ B))', right: 'A' },
+    { law: 'Doble negación', left: '¬¬A', right: 'A' },
+    { law: `Definición de ${SYMBOLS.XOR}`, left: `(A ${SYMBOLS.XOR} B)`, right: '¬(A ⇔ B)' }
+];
+
+const NON_EQUIVALENCES = [
+    { law: 'De Morgan mal aplicado', left: '¬(A ∧ B)', right: '(¬A ∧ ¬B)' },
+    { law: 'De Morgan mal aplicado', left: '¬(A ∨ B)', right: '(¬A ∨ ¬B)' },
+    { law: 'Recíproca', left: '(A ⇒ B)', right: '(B ⇒ A)' },
+    { law: 'Inversa', left: '(A ⇒ B)', right: '(¬A ⇒ ¬B)' },
+    { law: 'Negación de la implicación mal aplicada', left: '¬(A ⇒ B)', right: '(¬A ⇒ ¬B)' },
+    { law: 'Distributividad incompleta', left: '(A ∧ (B ∨ C))', right: '((A ∧ B) ∨ C)' },
+    { law: 'Exportación mal agrupada', left: '((A ∧ B) ⇒ C)', right: '((A ⇒ B) ⇒ C)' },
+    { law: '⇒ no es asociativa', left: '(A ⇒ (B ⇒ C))', right: '((A ⇒ B) ⇒ C)' },
+    { law: 'Bicondicional a medias', left: '(A ⇔ B)', right: '(A ⇒ B)' }
+];
+
+// Metavariables become atoms, negated atoms or small binary formulas over P, Q, R
+const randomInstance = (rng) => {
+    const atom = () => new ASTNode('ATOM', rng.pick(['P', 'Q', 'R']));
+    const roll = rng.next();
+    if (roll < 0.5) return atom();
+    if (roll < 0.7) return new ASTNode('NOT', SYMBOLS.NOT, atom());
+    return new ASTNode('BIN', rng.pick([SYMBOLS.AND, SYMBOLS.OR, SYMBOLS.IMP]), atom(), atom());
+};
+
+const instantiate = (node, bindings) => {
+    if (node.type === 'ATOM') return bindings[node.value] || node;
+    return new ASTNode(node.type, node.value,
+        node.left && instantiate(node.left, bindings),
+        node.right && instantiate(node.right, bindings));
+};
+
+// A pair of formulas for the "are these equivalent?" exercise: { left, right, equivalent, law }.
+// `equivalent` comes from the truth tables, not from the template, and trap instances that
+// happen to coincide are drawn again, so the law name always matches the verdict.
+export const generateEquivalencePair = (rng = createRng(randomSeed()), wantEquivalent = rng.chance(0.5)) => {
+    for (let attempts = 0; attempts < 50; attempts++) {
+        const template = rng.pick(wantEquivalent ? EQUIVALENCE_LAWS : NON_EQUIVALENCES);
+        const bindings = { A: randomInstance(rng), B: randomInstance(rng), C: randomInstance(rng) };
+        const left = instantiate(parseToAST(template.left, EXPLICIT_CONVENTION), bindings);
+        const right = instantiate(parseToAST(template.right, EXPLICIT_CONVENTION), bindings);
+        const { equivalent } = compareFormulas(left, right);
+        if (equivalent === wantEquivalent) return { left, right, equivalent, law: template.law };
+    }
+    // Only a trap can keep coinciding (laws hold for any instance). Fall back on pairs whose
+    // verdict holds by construction: a double negation, or a formula against its negation.
+    const instance = randomInstance(rng);
+    const negated = new ASTNode('NOT', SYMBOLS.NOT, instance);
+    return wantEquivalent
+        ? { left: new ASTNode('NOT', SYMBOLS.NOT, negated), right: instance, equivalent: true, law: 'Doble negación' }
+        : { left: instance, right: negated, equivalent: false, law: 'Una fórmula y su negación' };
+};
@@ -0,0 +1,40 @@
+import { parseToAST, compareFormulas, generateEquivalencePair, createRng } from '.';
+
+const compare = (a, b) => compareFormulas(parseToAST(a), parseToAST(b));
+
+describe('compareFormulas', () => {
+    it('recognizes equivalent formulas over different variable sets', () => {
+        const result = compare('P ⇒ Q', '¬Q ⇒ ¬P');
+        expect(result.equivalent).toBe(true);
+        expect(result.counterexample).toBeNull();
+        expect(compare('P ∨ (P ∧ Q)', 'P').variables).toEqual(['P', 'Q']);
+        expect(compare('P ∨ (P ∧ Q)', 'P').equivalent).toBe(true);
+    });
+
+    it('reports the first assignment where the formulas differ', () => {
+        const { equivalent, counterexample } = compare('P ⇒ Q', 'Q ⇒ P');
+        expect(equivalent).toBe(false);
+        expect(counterexample).toEqual({ values: { P: true, Q: false }, left: false, right: true });
+    });
+});
+
+describe('generateEquivalencePair', () => {
+    it('labels every pair by its truth tables', () => {
+        for (let i = 0; i < 20; i++) {
+            const want = i % 2 === 0;
+            const pair = generateEquivalencePair(createRng(i), want);
+            expect(pair.equivalent).toBe(want);
+            expect(compareFormulas(pair.left, pair.right).equivalent).toBe(want);
+        }
+    });
+
+    it('still draws a non-equivalent pair when every trap coincides', () => {
+        // Every draw lands at the start of its list: the first trap over P, P, P is
+        // ¬(P ∧ P) against ¬P ∧ ¬P, equivalent on every attempt
+        const rng = { next: () => 0, int: () => 0, pick: (list) => list[0], chance: () => true };
+        const pair = generateEquivalencePair(rng, false);
+        expect(pair.equivalent).toBe(false);
+        expect(pair.law).toBe('Una fórmula y su negación');
+        expect(compareFormulas(pair.left, pair.right).equivalent).toBe(false);
+    });
+});
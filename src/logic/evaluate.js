@@ -0,0 +1,123 @@
+import { SYMBOLS, CONSTANTS } from './symbols';
+import { DEFAULT_CONVENTION } from './conventions';
+import { parseToAST } from './parser';
+import { ASTNode, getVariables } from './ast';
+
+// Truth function of each binary connective on booleans
+export const applyOp = (l, op, r) => {
+    switch(op) {
+        case SYMBOLS.AND: return l && r;
+        case SYMBOLS.OR: return l || r;
+        case SYMBOLS.IMP: return !l || r;
+        case SYMBOLS.IFF: return l === r;
+        case SYMBOLS.XOR: return l !== r;
+        case SYMBOLS.NAND: return !(l && r);
+        case SYMBOLS.NOR: return !(l || r);
+        case SYMBOLS.RIMP: return l || !r;
+        default: return false;
+    }
+};
+
+export const evaluateOp = (left, op, right) => applyOp(left === '1', op, right === '1') ? '1' : '0';
+
+export const evaluateNot = (val) => val === '1' ? '0' : '1';
+
+// Evaluates a formula (string or already parsed AST). Syntax errors propagate as FormulaSyntaxError.
+export const solveProposition = (formula, values, convention = DEFAULT_CONVENTION) => {
+    const ast = typeof formula === 'string' ? parseToAST(formula, convention) : formula;
+
+    const evalAST = (node) => {
+        if (node.type === 'ATOM') {
+            if (node.value === '1' || node.value === 'T' || node.value === CONSTANTS.TRUE) return true;
+            if (node.value === '0' || node.value === 'F' || node.value === CONSTANTS.FALSE) return false;
+            const key = node.value.toUpperCase();
+            return !!values[key];
+        }
+        if (node.type === 'NOT') return !evalAST(node.left);
+        
+        return applyOp(evalAST(node.left), node.value, evalAST(node.right));
+    };
+    return evalAST(ast);
+};
+
+// Every assignment of the given variables as { name: boolean }, true first (1 1 1, 1 1 0, ...)
+export const enumerateAssignments = (vars) => {
+    const count = 1 << vars.length;
+    const assignments = [];
+    for (let i = count - 1; i >= 0; i--) {
+        const values = {};
+        vars.forEach((v, idx) => {
+            const shift = vars.length - 1 - idx;
+            values[v] = ((i >> shift) & 1) === 1;
+        });
+        assignments.push(values);
+    }
+    return assignments;
+};
+
+// Tautology, contradiction or contingency, decided on the full truth table.
+// `results` follows enumerateAssignments order and `models` holds the assignments
+// that make the formula true.
+export const classifyFormula = (ast) => {
+    const variables = getVariables(ast);
+    const assignments = enumerateAssignments(variables);
+    const results = assignments.map(values => solveProposition(ast, values));
+    const models = assignments.filter((values, i) => results[i]);
+    const kind = models.length === assignments.length ? 'tautology'
+        : models.length === 0 ? 'contradiction'
+        : 'contingency';
+    return { kind, variables, results, models };
+};
+
+// --- Step-by-step reduction on the tree ---
+
+const TRUE_LEAVES = ['1', 'T', CONSTANTS.TRUE];
+const FALSE_LEAVES = ['0', 'F', CONSTANTS.FALSE];
+
+export const isTruthValue = (node) => node.type === 'ATOM' && (node.value === '1' || node.value === '0');
+
+// Replaces the variables named in `values` ({ P: true, ... }) with 1 / 0 leaves, and the
+// constants ⊤ / ⊥ (T / F) with 1 / 0. Variables left out of `values` stay in place, so
+// passing a single variable substitutes just that one.
+export const substituteValues = (ast, values) => {
+    const visit = (node) => {
+        if (node.type === 'ATOM') {
+            const key = node.value.toUpperCase();
+            if (TRUE_LEAVES.includes(key)) return new ASTNode('ATOM', '1');
+            if (FALSE_LEAVES.includes(key)) return new ASTNode('ATOM', '0');
+            if (Object.prototype.hasOwnProperty.call(values, key)) return new ASTNode('ATOM', values[key] ? '1' : '0');
+            return new ASTNode('ATOM', node.value);
+        }
+        return new ASTNode(node.type, node.value, visit(node.left), node.right && visit(node.right));
+    };
+    return visit(ast);
+};
+
+// The innermost evaluable subtrees: connectives whose operands are already 1 / 0 leaves.
+// Returns [{ path, node }] from left to right, with paths of 'L' / 'R' steps.
+export const findRedexes = (ast) => {
+    const found = [];
+    const visit = (node, path) => {
+        if (node.type === 'ATOM') return;
+        if (isTruthValue(node.left) && (node.type === 'NOT' || isTruthValue(node.right))) {
+            found.push({ path, node });
+            return;
+        }
+        visit(node.left, path + 'L');
+        if (node.right) visit(node.right, path + 'R');
+    };
+    visit(ast, '');
+    return found;
+};
+
+// Replaces the redex at `path` with the 1 / 0 leaf it evaluates to
+export const reduceAt = (ast, path) => {
+    if (path === '') {
+        const value = ast.type === 'NOT' ? evaluateNot(ast.left.value) : evaluateOp(ast.left.value, ast.value, ast.right.value);
+        return new ASTNode('ATOM', value);
+    }
+    const [step, rest] = [path[0], path.slice(1)];
+    return step === 'L'
+        ? new ASTNode(ast.type, ast.value, reduceAt(ast.left, rest), ast.right)
+        : new ASTNode(ast.type, ast.value, ast.left, reduceAt(ast.right, rest));
+};
@@ -0,0 +1,93 @@
+import { parseToAST, toMinimalString, solveProposition, evaluateOp, enumerateAssignments, classifyFormula, getSubExpressions, getVariables, substituteValues, findRedexes, reduceAt, SYMBOLS } from '.';
+
+describe('solveProposition', () => {
+    it('evaluates every connective', () => {
+        const table = {
+            [SYMBOLS.AND]: [true, false, false, false],
+            [SYMBOLS.OR]: [true, true, true, false],
+            [SYMBOLS.IMP]: [true, false, true, true],
+            [SYMBOLS.IFF]: [true, false, false, true],
+            [SYMBOLS.XOR]: [false, true, true, false],
+            [SYMBOLS.NAND]: [false, true, true, true],
+            [SYMBOLS.NOR]: [false, false, false, true],
+            [SYMBOLS.RIMP]: [true, true, false, true]
+        };
+        Object.entries(table).forEach(([op, expected]) => {
+            const results = enumerateAssignments(['P', 'Q']).map(values => solveProposition(`P ${op} Q`, values));
+            expect(results).toEqual(expected);
+        });
+    });
+
+    it('understands constants and already parsed trees', () => {
+        expect(solveProposition('⊤ ∧ ¬⊥', {})).toBe(true);
+        expect(solveProposition('1 ⇒ 0', {})).toBe(false);
+        expect(solveProposition('t ∧ ¬f', {})).toBe(true);
+        expect(solveProposition(parseToAST('¬P'), { P: false })).toBe(true);
+    });
+
+    it('throws on malformed formulas instead of returning false', () => {
+        expect(() => solveProposition('P ∧', {})).toThrow();
+    });
+});
+
+describe('evaluateOp', () => {
+    it('works on 0/1 strings', () => {
+        expect(evaluateOp('1', SYMBOLS.IMP, '0')).toBe('0');
+        expect(evaluateOp('0', SYMBOLS.NOR, '0')).toBe('1');
+    });
+});
+
+describe('enumerateAssignments', () => {
+    it('lists every row, true first', () => {
+        const rows = enumerateAssignments(['P', 'Q']);
+        expect(rows).toEqual([
+            { P: true, Q: true },
+            { P: true, Q: false },
+            { P: false, Q: true },
+            { P: false, Q: false }
+        ]);
+        expect(enumerateAssignments(['A', 'B', 'C'])).toHaveLength(8);
+    });
+});
+
+describe('subformulas', () => {
+    it('lists compound subformulas, including the whole formula', () => {
+        const subs = getSubExpressions(parseToAST('¬P ∧ (Q ∨ P)'));
+        expect(Array.from(subs)).toEqual(['((¬ P) ∧ (Q ∨ P))', '(¬ P)', '(Q ∨ P)']);
+    });
+
+    it('collects variables without constants', () => {
+        expect(getVariables(parseToAST('q ∧ ⊤ ∨ P1 ⇒ q'))).toEqual(['P1', 'Q']);
+        expect(getVariables(parseToAST('t ∨ P ∧ f'))).toEqual(['P']);
+    });
+});
+
+describe('classifyFormula', () => {
+    it('tells tautologies, contradictions and contingencies apart', () => {
+        expect(classifyFormula(parseToAST('P ∨ ¬P')).kind).toBe('tautology');
+        expect(classifyFormula(parseToAST('P ∧ ¬P')).kind).toBe('contradiction');
+        const { kind, results, models } = classifyFormula(parseToAST('P ⇒ Q'));
+        expect(kind).toBe('contingency');
+        expect(results).toEqual([true, false, true, true]);
+        expect(models).toEqual([{ P: true, Q: true }, { P: false, Q: true }, { P: false, Q: false }]);
+    });
+});
+
+describe('step-by-step reduction', () => {
+    it('substitutes whole variable names, one at a time if asked', () => {
+        const ast = parseToAST('P1 ∧ (P ∨ ⊥)');
+        expect(toMinimalString(substituteValues(ast, { P: true }))).toBe('P1 ∧ (1 ∨ 0)');
+        expect(toMinimalString(substituteValues(ast, { P: true, P1: false }))).toBe('0 ∧ (1 ∨ 0)');
+    });
+
+    it('offers exactly the innermost evaluable subtrees', () => {
+        const ast = substituteValues(parseToAST('¬(P) ∧ (Q ∨ ¬R)'), { P: true, Q: false, R: false });
+        expect(findRedexes(ast).map(r => r.path)).toEqual(['L', 'RR']);
+    });
+
+    it('reduces until a single value remains', () => {
+        let ast = substituteValues(parseToAST('¬(P ⇒ Q) ∨ Q'), { P: true, Q: false });
+        while (findRedexes(ast).length > 0) ast = reduceAt(ast, findRedexes(ast)[0].path);
+        expect(ast.value).toBe('1');
+    });
+});
@@ -0,0 +1,117 @@
+import { DEFAULT_CONVENTION, EXPLICIT_CONVENTION } from './conventions';
+import { parseToAST, tryParse } from './parser';
+import { getVariables } from './ast';
+import { toMinimalString } from './printer';
+import { diagnoseGrouping } from './grading';
+import { solveProposition, enumerateAssignments } from './evaluate';
+import { createRng, mixSeed } from './random';
+import { getDifficulty, generateFormula, generateTableFormula } from './generators';
+
+// Exam items, in the order they are asked:
+//   { kind: 'syntax', formula }               group a flat formula with every pair of parentheses
+//   { kind: 'evaluation', formula, values }   truth value under the assignment (values: { P: true, ... })
+//   { kind: 'table', formula }                final column of the truth table, one value per row
+// Answers are a string for syntax, '1' / '0' for evaluation and an array of '1' / '0' for tables.
+export const EXAM_KINDS = { syntax: 'Sintaxis', evaluation: 'Evaluación', table: 'Tabla de verdad' };
+
+export const DEFAULT_EXAM_COUNTS = { syntax: 3, evaluation: 3, table: 2 };
+
+const bit = (value) => value ? '1' : '0';
+
+// Flat formulas whose full parenthesization actually adds something
+const drawSyntaxItem = (rng, difficulty, convention) => {
+    let formula = null;
+    for (let attempt = 0; attempt < 50; attempt++) {
+        formula = generateFormula(rng, { ...difficulty, shape: 'flat' }, convention);
+        const { ast } = tryParse(formula, convention);
+        if (ast && ast.toFullString().length > formula.length + 2) break;
+    }
+    return { kind: 'syntax', formula };
+};
+
+const drawEvaluationItem = (rng, difficulty, convention) => {
+    let formula = "";
+    for (let attempt = 0; attempt < 50 && formula.length < 15; attempt++) {
+        formula = generateFormula(rng, { ...difficulty, depth: difficulty.depth + 1, constants: 0.1 });
+    }
+    const ast = parseToAST(formula, convention);
+    const values = Object.fromEntries(getVariables(ast).map(v => [v, rng.chance(0.5)]));
+    return { kind: 'evaluation', formula: toMinimalString(ast, convention), values };
+};
+
+const drawTableItem = (rng, difficulty, convention) => {
+    const formula = generateTableFormula(rng, difficulty);
+    return { kind: 'table', formula: toMinimalString(parseToAST(formula, convention), convention) };
+};
+
+const DRAW = { syntax: drawSyntaxItem, evaluation: drawEvaluationItem, table: drawTableItem };
+
+// The exam of a seed and level: the same for everyone who uses them. counts gives the
+// number of items of each kind; they are asked kind by kind.
+export const buildExam = (seed, level, counts = DEFAULT_EXAM_COUNTS, convention = DEFAULT_CONVENTION) => {
+    const difficulty = getDifficulty(level);
+    return Object.keys(EXAM_KINDS).flatMap(kind =>
+        Array.from({ length: counts[kind] || 0 }, (_, i) => DRAW[kind](createRng(mixSeed(seed, level, 'exam', kind, i + 1)), difficulty, convention)));
+};
+
+// Rows of a table item, in the order enumerateAssignments gives them (true first)
+export const examTableRows = (item, convention = DEFAULT_CONVENTION) => {
+    const ast = parseToAST(item.formula, convention);
+    const variables = getVariables(ast);
+    return enumerateAssignments(variables).map(values => ({ values, result: bit(solveProposition(ast, values)) }));
+};
+
+// Grades one answer: { expected, score (0..1), correct, note } where note explains a
+// wrong syntax answer
+export const gradeExamItem = (item, answer, convention = DEFAULT_CONVENTION) => {
+    if (item.kind === 'syntax') {
+        const ast = parseToAST(item.formula, convention);
+        const expected = ast.toFullString();
+        const given = (answer || '').trim();
+        const fail = (note) => ({ expected, score: 0, correct: false, note });
+        if (given === '') return fail('Sin respuesta.');
+        const { ast: answerAst, error } = tryParse(given, convention);
+        if (error) return fail(error.message);
+        const strip = (s) => s.replace(/[\s()]/g, '');
+        if (strip(given) !== strip(item.formula)) return fail('Cambió variables o conectores.');
+        const diagnosis = diagnoseGrouping(ast, item.formula, answerAst, given, convention);
+        if (diagnosis) return fail(diagnosis.message);
+        if (tryParse(given, EXPLICIT_CONVENTION).error) return fail('Faltan paréntesis: no agrupa explícitamente cada conector.');
+        return { expected, score: 1, correct: true, note: null };
+    }
+    if (item.kind === 'evaluation') {
+        const expected = bit(solveProposition(item.formula, item.values, convention));
+        const correct = answer === expected;
+        return { expected, score: correct ? 1 : 0, correct, note: answer ? null : 'Sin respuesta.' };
+    }
+    const rows = examTableRows(item, convention);
+    const given = answer || [];
+    const right = rows.filter((row, i) => given[i] === row.result).length;
+    return {
+        expected: rows.map(r => r.result).join(''),
+        score: right / rows.length,
+        correct: right === rows.length,
+        note: `${right} de ${rows.length} filas`
+    };
+};
+
+// Scored report: every item with its answer and the expected one, plus the totals.
+// session is { seed, level, startedAt, finishedAt } (timestamps).
+export const examReport = (items, answers, session, convention = DEFAULT_CONVENTION) => {
+    const graded = items.map((item, i) => {
+        const answer = answers[i] === undefined ? null : answers[i];
+        return { number: i + 1, ...item, answer, ...gradeExamItem(item, answer, convention) };
+    });
+    const score = graded.reduce((sum, g) => sum + g.score, 0);
+    return {
+        seed: session.seed,
+        level: session.level,
+        convention: convention.name,
+        startedAt: new Date(session.startedAt).toISOString(),
+        finishedAt: new Date(session.finishedAt).toISOString(),
+        durationMs: session.finishedAt - session.startedAt,
+        score: Math.round(score * 100) / 100,
+        total: items.length,
+        items: graded
+    };
+};
@@ -0,0 +1,42 @@
+import { buildExam, examTableRows, gradeExamItem, examReport, parseToAST, getVariables } from '.';
+
+describe('exams', () => {
+    it('builds the same sequence for the same seed and level', () => {
+        const exam = buildExam(4821, 3, { syntax: 2, evaluation: 2, table: 1 });
+        expect(exam.map(i => i.kind)).toEqual(['syntax', 'syntax', 'evaluation', 'evaluation', 'table']);
+        expect(buildExam(4821, 3, { syntax: 2, evaluation: 2, table: 1 })).toEqual(exam);
+        expect(buildExam(4822, 3, { syntax: 2, evaluation: 2, table: 1 })).not.toEqual(exam);
+        exam.filter(i => i.kind === 'evaluation').forEach(item => {
+            expect(Object.keys(item.values).sort()).toEqual(getVariables(parseToAST(item.formula)).sort());
+        });
+        exam.filter(i => i.kind === 'table').forEach(item => {
+            expect(getVariables(parseToAST(item.formula)).length).toBeLessThanOrEqual(3);
+        });
+    });
+
+    it('grades syntax answers like the practice section', () => {
+        const item = { kind: 'syntax', formula: 'P ∧ Q ∨ R' };
+        expect(gradeExamItem(item, '((P ∧ Q) ∨ R)')).toMatchObject({ expected: '((P ∧ Q) ∨ R)', score: 1, correct: true });
+        expect(gradeExamItem(item, '(P ∧ Q) ∨ R').correct).toBe(true);
+        expect(gradeExamItem(item, 'P ∧ Q ∨ R').note).toMatch(/Faltan paréntesis/);
+        expect(gradeExamItem(item, 'P ∧ (Q ∨ R)').note).toMatch(/∧ liga más fuerte que ∨/);
+        expect(gradeExamItem(item, '').score).toBe(0);
+    });
+
+    it('grades evaluations and tables', () => {
+        const evaluation = { kind: 'evaluation', formula: 'P ⇒ Q', values: { P: true, Q: false } };
+        expect(gradeExamItem(evaluation, '0')).toMatchObject({ expected: '0', correct: true });
+        expect(gradeExamItem(evaluation, '1').score).toBe(0);
+
+        const table = { kind: 'table', formula: 'P ∨ Q' };
+        expect(examTableRows(table).map(r => r.result)).toEqual(['1', '1', '1', '0']);
+        expect(gradeExamItem(table, ['1', '1', '0', '0'])).toMatchObject({ expected: '1110', score: 0.75, correct: false, note: '3 de 4 filas' });
+    });
+
+    it('reports every answer against the expected one', () => {
+        const items = [{ kind: 'evaluation', formula: 'P', values: { P: true } }, { kind: 'table', formula: 'P' }];
+        const report = examReport(items, ['1'], { seed: 7, level: 2, startedAt: 0, finishedAt: 90000 });
+        expect(report).toMatchObject({ seed: 7, level: 2, convention: 'Estándar', durationMs: 90000, score: 1, total: 2 });
+        expect(report.items[1]).toMatchObject({ number: 2, answer: null, expected: '10', score: 0 });
+    });
+});
@@ -0,0 +1,100 @@
+import { SYMBOLS, CONSTANTS, BINARY_OPS, VARS } from './symbols';
+import { DEFAULT_CONVENTION } from './conventions';
+import { tryParse } from './parser';
+import { createRng, randomSeed } from './random';
+
+// vars: variable count (from VARS) or explicit names; depth: nesting of structured
+// formulas; length: binary connectives in flat ones; connectives: allowed binary ones;
+// negation: chance of a ¬ at each position; traps: minimum precedence traps in flat ones;
+// constants: chance of a ⊤ / ⊥ leaf in structured ones; require: connectives (¬ included)
+// that must appear. A connective listed several times in `connectives` is drawn more often.
+export const DIFFICULTY_LEVELS = [
+    { level: 1, name: 'Inicial', vars: 2, depth: 2, length: 2, connectives: [SYMBOLS.AND, SYMBOLS.OR], negation: 0.15, traps: 0 },
+    { level: 2, name: 'Básico', vars: 3, depth: 3, length: 3, connectives: [SYMBOLS.AND, SYMBOLS.OR, SYMBOLS.IMP], negation: 0.2, traps: 1 },
+    { level: 3, name: 'Intermedio', vars: 4, depth: 3, length: 3, connectives: [SYMBOLS.AND, SYMBOLS.OR, SYMBOLS.IMP, SYMBOLS.IFF], negation: 0.3, traps: 1 },
+    { level: 4, name: 'Avanzado', vars: 5, depth: 4, length: 4, connectives: [SYMBOLS.AND, SYMBOLS.OR, SYMBOLS.IMP, SYMBOLS.IFF, SYMBOLS.XOR, SYMBOLS.RIMP], negation: 0.3, traps: 2 },
+    { level: 5, name: 'Experto', vars: 5, depth: 4, length: 4, connectives: BINARY_OPS, negation: 0.35, traps: 2 }
+];
+
+export const DEFAULT_LEVEL = 3;
+
+export const getDifficulty = (level) => DIFFICULTY_LEVELS.find(d => d.level === level) || DIFFICULTY_LEVELS[DEFAULT_LEVEL - 1];
+
+// Binary connectives a left-to-right reading gets wrong: those whose right operand
+// groups first (by precedence or right associativity)
+export const countPrecedenceTraps = (ast) => {
+    if (ast.type === 'ATOM') return 0;
+    const own = ast.type === 'BIN' && ast.right.type === 'BIN' ? 1 : 0;
+    return own + countPrecedenceTraps(ast.left) + (ast.right ? countPrecedenceTraps(ast.right) : 0);
+};
+
+// Candidates that miss the trap quota or a required connective are redrawn this many times
+const MAX_DRAW_ATTEMPTS = 100;
+
+// The single formula generator. shape 'flat' draws a formula without parentheses that
+// parses under `convention` and has at least `traps` precedence traps (or as many as
+// could be found); shape 'structured' draws a fully parenthesized one. Both give up on
+// `require` after MAX_DRAW_ATTEMPTS. Every choice comes from `rng`, so the same seed
+// gives the same formula.
+export const generateFormula = (rng = createRng(randomSeed()), params = {}, convention = DEFAULT_CONVENTION) => {
+    const { shape = 'structured', vars, depth, length, connectives, negation, traps = 0, constants = 0, require = [] } = { ...getDifficulty(DEFAULT_LEVEL), ...params };
+    const names = Array.isArray(vars) ? vars : VARS.slice(0, vars);
+    const variable = () => rng.pick(names);
+    const op = () => rng.pick(connectives);
+    const complete = (source) => require.every(c => source.includes(c));
+
+    if (shape === 'flat') {
+        const term = () => rng.chance(negation) ? `${SYMBOLS.NOT} ${variable()}` : variable();
+        const draw = (count) => {
+            const parts = [term()];
+            for (let i = 0; i < count; i++) parts.push(op(), term());
+            return parts.join(' ');
+        };
+        let best = null;
+        for (let attempt = 0; attempt < MAX_DRAW_ATTEMPTS; attempt++) {
+            const source = draw(length);
+            const { ast } = tryParse(source, convention);
+            if (!ast) continue;
+            const found = countPrecedenceTraps(ast);
+            if (found >= traps && complete(source)) return source;
+            if (!best || found > best.found) best = { source, found };
+        }
+        // A single binary connective parses under every convention
+        return best ? best.source : draw(1);
+    }
+
+    const leaf = () => rng.chance(constants) ? rng.pick([CONSTANTS.TRUE, CONSTANTS.FALSE]) : variable();
+    const build = (level) => {
+        if (level >= depth || (level > 0 && rng.chance(0.2))) return leaf();
+        if (rng.chance(negation)) return `${SYMBOLS.NOT} (${build(level + 1)})`;
+        const left = build(level + 1);
+        const right = build(level + 1);
+        return `(${left} ${op()} ${right})`;
+    };
+    let source = build(0);
+    for (let attempt = 1; attempt < MAX_DRAW_ATTEMPTS && !complete(source); attempt++) source = build(0);
+    return source;
+};
+
+// A formula for a truth-table exercise, drawn again while it is too short to need a table.
+// At most three variables keep the table at eight rows.
+export const generateTableFormula = (rng, params) => {
+    const capped = { ...params, vars: Math.min(params.vars, 3), depth: Math.min(params.depth, 3) };
+    let formula = generateFormula(rng, capped);
+    for (let attempt = 0; attempt < 50 && formula.length < 5; attempt++) formula = generateFormula(rng, capped);
+    return formula;
+};
+
+// Random 3-CNF over X1..X{varCount}, too wide for a truth table; around 4.2 clauses
+// per variable the result is about as likely to be satisfiable as not
+export const generateClausalFormula = (rng = createRng(randomSeed()), varCount = 25, clauseCount = 105) => {
+    const literal = () => {
+        const name = `X${rng.int(varCount) + 1}`;
+        return rng.chance(0.5) ? `${SYMBOLS.NOT}${name}` : name;
+    };
+    const clauses = [];
+    for (let i = 0; i < clauseCount; i++) {
+        clauses.push(`(${literal()} ${SYMBOLS.OR} ${literal()} ${SYMBOLS.OR} ${literal()})`);
+    }
+    return clauses.join(` ${SYMBOLS.AND} `);
+};
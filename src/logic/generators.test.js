@@ -0,0 +1,44 @@
+import { parseToAST, getVariables, createRng, mixSeed, generateFormula, generateTableFormula, getDifficulty, countPrecedenceTraps, generateEquivalencePair, astEquals } from '.';
+
+describe('generateFormula', () => {
+    it('gives the same flat formula for the same seed and level', () => {
+        const draw = () => generateFormula(createRng(mixSeed(4821, 3, 'syntax', 1)), { shape: 'flat', ...getDifficulty(3) });
+        expect(draw()).toBe(draw());
+    });
+
+    it('gives the same formula for the same seed with the default parameters', () => {
+        expect(generateFormula(createRng(7))).toBe(generateFormula(createRng(7)));
+    });
+
+    it('gives the same equivalence pair for the same seed', () => {
+        const pair = (seed) => generateEquivalencePair(createRng(seed));
+        expect(astEquals(pair(9).left, pair(9).left)).toBe(true);
+        expect(astEquals(pair(9).right, pair(9).right)).toBe(true);
+    });
+
+    it('respects the difficulty parameters', () => {
+        const rng = createRng(11);
+        for (let i = 0; i < 30; i++) {
+            const flat = generateFormula(rng, { shape: 'flat', vars: 3, length: 3, connectives: ['∧', '∨', '⇒'], negation: 0, traps: 1 });
+            expect(flat).toMatch(/^[PQR]( [∧∨⇒] [PQR]){3}$/);
+            expect(countPrecedenceTraps(parseToAST(flat))).toBeGreaterThanOrEqual(1);
+        }
+    });
+
+    it('keeps truth-table formulas to three variables', () => {
+        const rng = createRng(13);
+        for (let i = 0; i < 30; i++) {
+            const formula = generateTableFormula(rng, getDifficulty(5));
+            expect(formula.length).toBeGreaterThanOrEqual(5);
+            expect(getVariables(parseToAST(formula)).length).toBeLessThanOrEqual(3);
+        }
+    });
+
+    it('keeps structured formulas within the depth', () => {
+        const depth = (node) => node.type === 'ATOM' ? 0 : 1 + Math.max(depth(node.left), node.right ? depth(node.right) : 0);
+        const rng = createRng(12);
+        for (let i = 0; i < 30; i++) {
+            expect(depth(parseToAST(generateFormula(rng, { depth: 3 })))).toBeLessThanOrEqual(3);
+        }
+    });
+});
@@ -0,0 +1,88 @@
+import { SYMBOLS } from './symbols';
+import { DEFAULT_CONVENTION } from './conventions';
+import { tokenize } from './parser';
+import { astEquals } from './ast';
+import { toMinimalString } from './printer';
+
+// Tokens that take part in grouping (everything but parentheses), each tagged with
+// the parenthesis depth it sits at.
+export const getGroupingTokens = (source) => {
+    let depth = 0;
+    const tokens = [];
+    tokenize(source).forEach(t => {
+        if (t.type === 'LPAREN') depth++;
+        else if (t.type === 'RPAREN') depth--;
+        else if (t.type !== 'EOF') tokens.push({ ...t, depth });
+    });
+    return tokens;
+};
+
+// Compound nodes with the range [first, last] of grouping tokens they cover and the
+// index `op` of their connective. Two parses of the same token sequence can be compared
+// through these ranges even when the sources place their parentheses differently.
+export const getGroupRanges = (ast, source) => {
+    const tokens = getGroupingTokens(source);
+    const groups = [];
+    const visit = (node) => {
+        if (!node || node.type === 'ATOM') return;
+        groups.push({
+            node,
+            first: tokens.findIndex(t => t.start === node.span.start),
+            last: tokens.findIndex(t => t.end === node.span.end),
+            op: tokens.findIndex(t => t.start === node.opSpan.start)
+        });
+        visit(node.left);
+        visit(node.right);
+    };
+    visit(ast);
+    return groups;
+};
+
+const size = (g) => g.last - g.first;
+const crosses = (a, b) => a.first <= b.last && b.first <= a.last &&
+    !(a.first <= b.first && b.last <= a.last) && !(b.first <= a.first && a.last <= b.last);
+
+// Explains why `actual` groups the same tokens differently than `expected`. Returns null
+// when the trees match, otherwise { node, expectedNode, pair, message } where `node` is the
+// smallest subtree the student built that the expected tree does not have and `pair` the
+// two binary connectives it confused, in reading order (null when ¬ is involved).
+export const diagnoseGrouping = (expected, expectedSource, actual, actualSource, convention = DEFAULT_CONVENTION) => {
+    if (astEquals(expected, actual)) return null;
+
+    const expectedGroups = getGroupRanges(expected, expectedSource);
+    const known = new Set(expectedGroups.map(g => `${g.first}:${g.last}`));
+    const misplaced = getGroupRanges(actual, actualSource)
+        .filter(g => g.node.type === 'BIN' && !known.has(`${g.first}:${g.last}`))
+        .sort((a, b) => size(a) - size(b) || a.first - b.first)[0];
+    const rival = misplaced && expectedGroups
+        .filter(g => crosses(g, misplaced))
+        .sort((a, b) => size(a) - size(b) || a.first - b.first)[0];
+
+    if (!rival) {
+        return { node: null, expectedNode: null, pair: null, message: "La agrupación es incorrecta. Revisa la jerarquía y asociatividad." };
+    }
+
+    const theirs = misplaced.node.value;
+    const ours = rival.node.value;
+    const grouped = `Agrupaste ${toMinimalString(misplaced.node, convention)}`;
+    const instead = `aquí se agrupa ${toMinimalString(rival.node, convention)}`;
+    const { precedence, associativity } = convention;
+
+    let reason;
+    if (ours === SYMBOLS.NOT) {
+        reason = `${SYMBOLS.NOT} solo afecta a lo que tiene inmediatamente a su derecha`;
+    } else if (precedence[ours] > precedence[theirs]) {
+        reason = `${ours} liga más fuerte que ${theirs}`;
+    } else if (precedence[ours] === precedence[theirs]) {
+        const side = associativity[ours] === 'right' ? 'la derecha' : 'la izquierda';
+        reason = ours === theirs
+            ? `${ours} se asocia por ${side}`
+            : `${ours} y ${theirs} tienen la misma prioridad y se agrupan por ${side}`;
+    }
+    return {
+        node: misplaced.node,
+        expectedNode: rival.node,
+        pair: ours === SYMBOLS.NOT ? null : misplaced.op < rival.op ? [theirs, ours] : [ours, theirs],
+        message: reason ? `${grouped}, pero ${reason}: ${instead}.` : `${grouped}, pero ${instead}.`
+    };
+};
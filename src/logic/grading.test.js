@@ -0,0 +1,34 @@
+import { parseToAST, tryParse, diagnoseGrouping, EXPLICIT_CONVENTION } from '.';
+
+const diagnose = (raw, answer) => diagnoseGrouping(parseToAST(raw), raw, parseToAST(answer), answer);
+
+describe('diagnoseGrouping', () => {
+    it('accepts answers that only differ in redundant parentheses', () => {
+        expect(diagnose('P ∧ Q ∨ R', '(((P ∧ Q)) ∨ R)')).toBeNull();
+        expect(diagnose('¬P ⇒ Q', '(¬P) ⇒ Q')).toBeNull();
+        expect(diagnose('¬P ⇒ Q', '((¬ P) ⇒ Q)')).toBeNull();
+    });
+
+    it('points at the group that breaks precedence', () => {
+        const answer = 'P ∧ (Q ∨ R)';
+        const result = diagnose('P ∧ Q ∨ R', answer);
+        expect(result.message).toBe('Agrupaste Q ∨ R, pero ∧ liga más fuerte que ∨: aquí se agrupa P ∧ Q.');
+        expect(answer.slice(result.node.span.start, result.node.span.end)).toBe('Q ∨ R');
+        expect(result.pair).toEqual(['∧', '∨']);
+    });
+
+    it('explains associativity and negation scope', () => {
+        expect(diagnose('P ⇒ Q ⇒ R', '(P ⇒ Q) ⇒ R').message)
+            .toBe('Agrupaste P ⇒ Q, pero ⇒ se asocia por la derecha: aquí se agrupa Q ⇒ R.');
+        expect(diagnose('¬P ∧ Q', '¬(P ∧ Q)').message)
+            .toBe('Agrupaste P ∧ Q, pero ¬ solo afecta a lo que tiene inmediatamente a su derecha: aquí se agrupa ¬P.');
+        expect(diagnose('¬P ∧ Q', '¬(P ∧ Q)').pair).toBeNull();
+    });
+});
+
+describe('EXPLICIT_CONVENTION', () => {
+    it('only accepts formulas whose binary groups are all parenthesized', () => {
+        expect(tryParse('(P ∧ Q) ∨ ¬R', EXPLICIT_CONVENTION).error).toBeNull();
+        expect(tryParse('P ∧ Q ∨ R', EXPLICIT_CONVENTION).error.offset).toBe(6);
+    });
+});
@@ -0,0 +1,46 @@
+// Public API of the logic engine. Components import from here, never from the files directly.
+//   parse:      parseToAST / tryParse (string -> ASTNode), tokenize
+//   print:      ASTNode#toFullString (every pair), toMinimalString (only the required ones)
+//   evaluate:   solveProposition, evaluateOp / evaluateNot for single steps,
+//               substituteValues + findRedexes + reduceAt (step-by-step reduction on the tree)
+//   enumerate:  enumerateAssignments, classifyFormula (tautology / contradiction / contingency)
+//   subformulas: getSubExpressions, getVariables
+//   grading:    astEquals (sameFormula ignores the case of names), diagnoseGrouping, getGroupRanges (token ranges of each subformula)
+//   drills:     mainConnectiveHints, explainWrongConnective
+//   equivalence: compareFormulas (side-by-side truth tables), generateEquivalencePair
+//   arguments:  analyzeArgument (critical rows, counterexamples), recognizeArgumentForm
+//   natural deduction: checkProof (Fitch proofs, line by line), PROOF_RULES
+//   tableaux:   tableauRule (α / β), buildTableau (whole tree), expandEntry + checkExpansion (guided)
+//   satisfiability: tseitin, dpll, solveSAT (for formulas too wide for a truth table)
+//   normal forms: toNormalForm (NNF / CNF / DNF with rewrite steps), canonicalForms (from the truth table)
+//   exercises:  generateFormula (seeded rng + DIFFICULTY_LEVELS), generateTableFormula, createRng / mixSeed for reproducible seeds
+//   progress:   recordAttempt (attempt log), summarizeProgress, accuracyByDay, mostMissedFormulas
+//   exams:      buildExam (seeded item sequence), gradeExamItem, examReport (scored, exportable)
+//   problem sets: validateProblemSet / parseProblemSet (instructor JSON files), serializeProblemSet
+//   table export: buildTruthTable + exportTruthTable (CSV / LaTeX / Markdown / HTML, key or blank worksheet)
+//   links:      parseRoute / formatRoute (URL hash of the open tab and exercise), LINKED_EXERCISE_TABS
+//   adaptive:   reviewSchedule (Leitner boxes of missed traits), practiceFocus + focusParams (targeted generator params)
+
+export { SYMBOLS, CONSTANTS, BINARY_OPS, VARS } from './symbols';
+export { DEFAULT_ASSOCIATIVITY, buildConvention, DEFAULT_CONVENTION, EXPLICIT_CONVENTION, BUILTIN_CONVENTIONS, getPrecedenceTiers } from './conventions';
+export { NOTATION_ALIASES, readSymbol, normalizeNotation } from './notation';
+export { ASTNode, getSubExpressions, getVariables, astEquals, sameFormula, nodeAt } from './ast';
+export { FormulaSyntaxError, tokenize, parseToAST, tryParse } from './parser';
+export { toMinimalString, findParenPairs, findRedundantParens } from './printer';
+export { getGroupingTokens, getGroupRanges, diagnoseGrouping } from './grading';
+export { mainConnectiveHints, explainWrongConnective } from './drills';
+export { applyOp, evaluateOp, evaluateNot, solveProposition, enumerateAssignments, classifyFormula, isTruthValue, substituteValues, findRedexes, reduceAt } from './evaluate';
+export { compareFormulas, generateEquivalencePair } from './equivalence';
+export { analyzeArgument, recognizeArgumentForm } from './arguments';
+export { PROOF_RULES, checkProof } from './naturalDeduction';
+export { MAX_TABLEAU_NODES, tableauRule, createTableau, branchEntries, branchClosure, openLeavesThrough, expandEntry, pendingEntries, tableauStatus, buildTableau, checkExpansion } from './tableaux';
+export { MAX_TRACE_ENTRIES, tseitin, dpll, solveSAT } from './sat';
+export { MAX_REWRITE_STEPS, toNormalForm, canonicalForms } from './normalForms';
+export { createRng, mixSeed, randomSeed } from './random';
+export { DIFFICULTY_LEVELS, DEFAULT_LEVEL, getDifficulty, countPrecedenceTraps, generateFormula, generateTableFormula, generateClausalFormula } from './generators';
+export { SKILLS, ERROR_CATEGORIES, MAX_PROGRESS_ATTEMPTS, isAttempt, recordAttempt, dayKey, summarizeProgress, accuracyByDay, mostMissedFormulas } from './progress';
+export { connectivePairs, formulaConnectives, REVIEW_SPACING, reviewSchedule, practiceFocus, focusParams } from './adaptive';
+export { EXAM_KINDS, DEFAULT_EXAM_COUNTS, buildExam, examTableRows, gradeExamItem, examReport } from './exam';
+export { PROBLEM_SET_FORMAT, PROBLEM_SET_VERSION, PROBLEM_ITEM_KINDS, emptyProblemSet, validateProblemItem, validateProblemSet, parseProblemSet, serializeProblemSet } from './problemSets';
+export { parseRoute, formatRoute, LINKED_EXERCISE_TABS } from './routes';
+export { TABLE_EXPORT_FORMATS, buildTruthTable, formulaToLatex, exportTruthTable } from './tableExport';
@@ -0,0 +1,214 @@
+import { SYMBOLS, CONSTANTS } from './symbols';
+import { DEFAULT_CONVENTION } from './conventions';
+import { sameFormula } from './ast';
+import { tryParse } from './parser';
+import { toMinimalString } from './printer';
+
+const isFalsum = (node) => node.type === 'ATOM' && (node.value === CONSTANTS.FALSE || node.value === '0');
+const isBin = (node, op) => node.type === 'BIN' && node.value === op;
+const isNegationOf = (node, inner) => node.type === 'NOT' && sameFormula(node.left, inner);
+
+// Each rule cites `lines` single lines and `subproofs` closed subproofs (in that order).
+// check(goal, lines, subproofs, show) returns null when the step is sound, or the reason
+// it is not; lines are ASTs and subproofs { assumption, result } ASTs. Formulas are
+// compared up to the case of variable names, as everywhere else (p is P).
+const RULES = {
+    'Premisa': { lines: 0, subproofs: 0, check: () => null },
+    'Sup': { lines: 0, subproofs: 0, check: () => null },
+    'Reit': {
+        lines: 1, subproofs: 0,
+        check: (goal, [a]) => sameFormula(goal, a) ? null : 'solo se puede repetir la misma fórmula.'
+    },
+    [`${SYMBOLS.AND}I`]: {
+        lines: 2, subproofs: 0,
+        check: (goal, [a, b], _, show) => {
+            if (!isBin(goal, SYMBOLS.AND)) return 'la fórmula debería ser una conjunción.';
+            const matches = (x, y) => sameFormula(goal.left, x) && sameFormula(goal.right, y);
+            return matches(a, b) || matches(b, a) ? null : `las líneas citadas dan ${show(a)} y ${show(b)}, que no son los lados de la conjunción.`;
+        }
+    },
+    [`${SYMBOLS.AND}E`]: {
+        lines: 1, subproofs: 0,
+        check: (goal, [a], _, show) => {
+            if (!isBin(a, SYMBOLS.AND)) return `la línea citada (${show(a)}) no es una conjunción.`;
+            return sameFormula(goal, a.left) || sameFormula(goal, a.right) ? null : `${show(goal)} no es ninguno de los lados de ${show(a)}.`;
+        }
+    },
+    [`${SYMBOLS.OR}I`]: {
+        lines: 1, subproofs: 0,
+        check: (goal, [a], _, show) => {
+            if (!isBin(goal, SYMBOLS.OR)) return 'la fórmula debería ser una disyunción.';
+            return sameFormula(goal.left, a) || sameFormula(goal.right, a) ? null : `${show(a)} no es ninguno de los lados de la disyunción.`;
+        }
+    },
+    [`${SYMBOLS.OR}E`]: {
+        lines: 1, subproofs: 2,
+        check: (goal, [a], [s, t], show) => {
+            if (!isBin(a, SYMBOLS.OR)) return `la línea citada (${show(a)}) no es una disyunción.`;
+            const cases = (x, y) => sameFormula(x.assumption, a.left) && sameFormula(y.assumption, a.right);
+            if (!cases(s, t) && !cases(t, s)) return `los subproofs deben suponer ${show(a.left)} y ${show(a.right)}, uno cada uno.`;
+            return sameFormula(s.result, goal) && sameFormula(t.result, goal) ? null : `ambos subproofs deben terminar en ${show(goal)}.`;
+        }
+    },
+    [`${SYMBOLS.IMP}I`]: {
+        lines: 0, subproofs: 1,
+        check: (goal, _, [s], show) => {
+            const expected = `${show(s.assumption)} ${SYMBOLS.IMP} ${show(s.result)}`;
+            return isBin(goal, SYMBOLS.IMP) && sameFormula(goal.left, s.assumption) && sameFormula(goal.right, s.result)
+                ? null : `del subproof citado se obtiene ${expected} (supuesto ${SYMBOLS.IMP} última línea).`;
+        }
+    },
+    [`${SYMBOLS.IMP}E`]: {
+        lines: 2, subproofs: 0,
+        check: (goal, [a, b], _, show) => {
+            const apply = (imp, ante) => isBin(imp, SYMBOLS.IMP) && sameFormula(imp.left, ante) && sameFormula(imp.right, goal);
+            if (apply(a, b) || apply(b, a)) return null;
+            const imp = isBin(a, SYMBOLS.IMP) ? a : isBin(b, SYMBOLS.IMP) ? b : null;
+            if (!imp) return 'ninguna de las líneas citadas es una implicación.';
+            const other = imp === a ? b : a;
+            if (!sameFormula(imp.left, other)) return `${show(other)} no es el antecedente de ${show(imp)}.`;
+            return `de ${show(imp)} y ${show(other)} se obtiene ${show(imp.right)}.`;
+        }
+    },
+    [`${SYMBOLS.NOT}I`]: {
+        lines: 0, subproofs: 1,
+        check: (goal, _, [s], show) => {
+            if (!isFalsum(s.result)) return `el subproof debe terminar en ${CONSTANTS.FALSE}.`;
+            return isNegationOf(goal, s.assumption) ? null : `del subproof se obtiene ${SYMBOLS.NOT}(${show(s.assumption)}), la negación del supuesto.`;
+        }
+    },
+    [`${SYMBOLS.NOT}E`]: {
+        lines: 2, subproofs: 0,
+        check: (goal, [a, b], _, show) => {
+            if (!isNegationOf(a, b) && !isNegationOf(b, a)) return `${show(a)} y ${show(b)} no son una fórmula y su negación.`;
+            return isFalsum(goal) ? null : `de una contradicción se obtiene ${CONSTANTS.FALSE}.`;
+        }
+    },
+    'RAA': {
+        lines: 0, subproofs: 1,
+        check: (goal, _, [s], show) => {
+            if (!isFalsum(s.result)) return `el subproof debe terminar en ${CONSTANTS.FALSE}.`;
+            return isNegationOf(s.assumption, goal) ? null : `el supuesto del subproof debe ser ${SYMBOLS.NOT}(${show(goal)}).`;
+        }
+    },
+    [`${SYMBOLS.IFF}I`]: {
+        lines: 0, subproofs: 2,
+        check: (goal, _, [s, t], show) => {
+            if (!isBin(goal, SYMBOLS.IFF)) return 'la fórmula debería ser un bicondicional.';
+            const directions = (x, y) => sameFormula(x.assumption, goal.left) && sameFormula(x.result, goal.right)
+                && sameFormula(y.assumption, goal.right) && sameFormula(y.result, goal.left);
+            return directions(s, t) || directions(t, s) ? null
+                : `hace falta un subproof de ${show(goal.left)} a ${show(goal.right)} y otro de ${show(goal.right)} a ${show(goal.left)}.`;
+        }
+    },
+    [`${SYMBOLS.IFF}E`]: {
+        lines: 2, subproofs: 0,
+        check: (goal, [a, b], _, show) => {
+            const apply = (iff, side) => isBin(iff, SYMBOLS.IFF) && (
+                (sameFormula(iff.left, side) && sameFormula(iff.right, goal)) ||
+                (sameFormula(iff.right, side) && sameFormula(iff.left, goal)));
+            if (apply(a, b) || apply(b, a)) return null;
+            return isBin(a, SYMBOLS.IFF) || isBin(b, SYMBOLS.IFF)
+                ? `la otra línea debe ser un lado del bicondicional y la fórmula, el otro lado.`
+                : 'ninguna de las líneas citadas es un bicondicional.';
+        }
+    }
+};
+
+export const PROOF_RULES = Object.keys(RULES);
+
+// "1, 3-5" -> [{ line: 1 }, { from: 3, to: 5 }] (1-based), or null if unreadable
+const parseCitations = (text) => {
+    const items = text.split(',').map(s => s.trim()).filter(Boolean);
+    const cited = [];
+    for (const item of items) {
+        const single = item.match(/^\d+$/);
+        const range = item.match(/^(\d+)\s*[-–]\s*(\d+)$/);
+        if (single) cited.push({ line: Number(item) });
+        else if (range) cited.push({ from: Number(range[1]), to: Number(range[2]) });
+        else return null;
+    }
+    return cited;
+};
+
+// Checks a Fitch-style proof. Each line is { depth, formula, rule, refs } where depth 0
+// is the main proof and every 'Sup' line opens a subproof one level deeper. Returns
+// { lines: [{ ast, ok, message }], valid } with a message explaining every rejected line;
+// valid also needs the last line back at depth 0, with every assumption discharged.
+export const checkProof = (proofLines, convention = DEFAULT_CONVENTION) => {
+    const show = (ast) => toMinimalString(ast, convention);
+    const subproofs = {}; // index of the opening 'Sup' line -> { start, end, parents }
+    const scopes = [];    // scopes[i]: opening lines of the subproofs that contain line i
+    const stack = [];
+    const results = [];
+    let premisesDone = false;
+
+    const checkLine = (line, i) => {
+        let structural = null;
+
+        // Structure first, so scopes stay consistent even on rejected lines
+        if (line.rule === 'Sup') {
+            while (stack.length >= Math.max(line.depth, 1)) stack.pop();
+            if (line.depth !== stack.length + 1) structural = 'un supuesto abre un subproof exactamente un nivel más adentro.';
+            const opened = { start: i, end: i, parents: stack.map(s => s.start) };
+            subproofs[i] = opened;
+            stack.push(opened);
+        } else {
+            while (stack.length > line.depth) stack.pop();
+            if (line.depth !== stack.length) structural = 'solo un supuesto (Sup) puede abrir un subproof.';
+        }
+        stack.forEach(s => { s.end = i; });
+        scopes[i] = stack.map(s => s.start);
+
+        if (line.rule === 'Premisa') {
+            if (premisesDone || line.depth !== 0) structural = 'las premisas van al comienzo, fuera de todo subproof.';
+        } else {
+            premisesDone = true;
+        }
+
+        const { ast, error } = tryParse(line.formula, convention);
+        if (error) return { ast: null, ok: false, message: error.message };
+        const rule = RULES[line.rule];
+        if (!rule) return { ast, ok: false, message: `Regla desconocida: ${line.rule}.` };
+        if (structural) return { ast, ok: false, message: `${line.rule}: ${structural}` };
+
+        const cited = parseCitations(line.refs || '');
+        if (!cited) return { ast, ok: false, message: `No se entiende la cita «${line.refs}»: usa números de línea (3) o subproofs (3-5) separados por comas.` };
+        const citedLines = cited.filter(c => c.line !== undefined);
+        const citedSubproofs = cited.filter(c => c.from !== undefined);
+        if (citedLines.length !== rule.lines || citedSubproofs.length !== rule.subproofs) {
+            const want = [
+                rule.lines && (rule.lines === 1 ? '1 línea' : `${rule.lines} líneas`),
+                rule.subproofs && (rule.subproofs === 1 ? '1 subproof (a-b)' : `${rule.subproofs} subproofs (a-b)`)
+            ].filter(Boolean).join(' y ') || 'ninguna cita';
+            return { ast, ok: false, message: `${line.rule} necesita ${want}.` };
+        }
+
+        const lineAsts = [];
+        for (const { line: n } of citedLines) {
+            const j = n - 1;
+            if (j < 0 || j >= i) return { ast, ok: false, message: `${line.rule}: solo se pueden citar líneas anteriores (${n}).` };
+            if (!scopes[j].every(s => scopes[i].includes(s))) return { ast, ok: false, message: `${line.rule}: la línea ${n} está dentro de un subproof ya cerrado.` };
+            if (!results[j].ast) return { ast, ok: false, message: `${line.rule}: la línea ${n} no tiene una fórmula válida.` };
+            lineAsts.push(results[j].ast);
+        }
+
+        const subproofAsts = [];
+        for (const { from, to } of citedSubproofs) {
+            const opened = subproofs[from - 1];
+            if (!opened || opened.end !== to - 1) return { ast, ok: false, message: `${line.rule}: ${from}-${to} no es un subproof completo (de su supuesto a su última línea).` };
+            if (scopes[i].includes(opened.start) || to - 1 >= i) return { ast, ok: false, message: `${line.rule}: el subproof ${from}-${to} debe estar cerrado antes de citarlo.` };
+            if (!opened.parents.every(s => scopes[i].includes(s))) return { ast, ok: false, message: `${line.rule}: el subproof ${from}-${to} no es accesible desde aquí.` };
+            if (!results[from - 1].ast || !results[to - 1].ast) return { ast, ok: false, message: `${line.rule}: el subproof ${from}-${to} tiene fórmulas no válidas.` };
+            subproofAsts.push({ assumption: results[from - 1].ast, result: results[to - 1].ast });
+        }
+
+        const problem = rule.check(ast, lineAsts, subproofAsts, show);
+        return problem ? { ast, ok: false, message: `${line.rule}: ${problem}` } : { ast, ok: true, message: null };
+    };
+
+    proofLines.forEach((line, i) => results.push(checkLine(line, i)));
+
+    const closed = proofLines.length > 0 && proofLines[proofLines.length - 1].depth === 0;
+    return { lines: results, valid: closed && results.every(r => r.ok) };
+};
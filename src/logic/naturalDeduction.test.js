@@ -0,0 +1,84 @@
+import { checkProof } from '.';
+
+// [depth, formula, rule, refs]
+const proof = (...rows) => rows.map(([depth, formula, rule, refs = '']) => ({ depth, formula, rule, refs }));
+
+describe('checkProof', () => {
+    it('accepts a hypothetical syllogism with a subproof', () => {
+        const { valid } = checkProof(proof(
+            [0, 'P ⇒ Q', 'Premisa'],
+            [0, 'Q ⇒ R', 'Premisa'],
+            [1, 'P', 'Sup'],
+            [1, 'Q', '⇒E', '1, 3'],
+            [1, 'R', '⇒E', '2, 4'],
+            [0, 'P ⇒ R', '⇒I', '3-5']
+        ));
+        expect(valid).toBe(true);
+    });
+
+    it('accepts disjunction elimination and reductio', () => {
+        expect(checkProof(proof(
+            [0, 'P ∨ Q', 'Premisa'],
+            [1, 'P', 'Sup'],
+            [1, 'Q ∨ P', '∨I', '2'],
+            [1, 'Q', 'Sup'],
+            [1, 'Q ∨ P', '∨I', '4'],
+            [0, 'Q ∨ P', '∨E', '1, 2-3, 4-5']
+        )).valid).toBe(true);
+        expect(checkProof(proof(
+            [0, '¬¬P', 'Premisa'],
+            [1, '¬P', 'Sup'],
+            [1, '⊥', '¬E', '1, 2'],
+            [0, 'P', 'RAA', '2-3']
+        )).valid).toBe(true);
+    });
+
+    it('matches variable names in any case', () => {
+        expect(checkProof(proof(
+            [0, 'p', 'Premisa'],
+            [0, 'P ∨ Q', '∨I', '1']
+        )).valid).toBe(true);
+    });
+
+    it('is not valid while an assumption is still open', () => {
+        const { lines, valid } = checkProof(proof(
+            [0, 'P ⇒ Q', 'Premisa'],
+            [1, 'P', 'Sup'],
+            [1, 'Q', '⇒E', '1, 2']
+        ));
+        expect(lines.every(l => l.ok)).toBe(true);
+        expect(valid).toBe(false);
+    });
+
+    it('explains a wrong rule application', () => {
+        const { lines } = checkProof(proof(
+            [0, 'P ⇒ Q', 'Premisa'],
+            [0, 'Q', 'Premisa'],
+            [0, 'P', '⇒E', '1, 2']
+        ));
+        expect(lines[2].ok).toBe(false);
+        expect(lines[2].message).toBe('⇒E: Q no es el antecedente de P ⇒ Q.');
+    });
+
+    it('forbids citing lines inside a closed subproof', () => {
+        const { lines } = checkProof(proof(
+            [0, 'P', 'Premisa'],
+            [1, 'Q', 'Sup'],
+            [1, 'P ∧ Q', '∧I', '1, 2'],
+            [0, 'Q ⇒ P ∧ Q', '⇒I', '2-3'],
+            [0, 'P ∧ Q', 'Reit', '3']
+        ));
+        expect(lines.slice(0, 4).every(l => l.ok)).toBe(true);
+        expect(lines[4].message).toMatch(/subproof ya cerrado/);
+    });
+
+    it('checks the citation shape and the subproof structure', () => {
+        const { lines } = checkProof(proof(
+            [0, 'P ∧ Q', 'Premisa'],
+            [0, 'P', '∧E', '1-1'],
+            [1, 'Q', '∧E', '1']
+        ));
+        expect(lines[1].message).toBe('∧E necesita 1 línea.');
+        expect(lines[2].message).toMatch(/solo un supuesto/);
+    });
+});
@@ -0,0 +1,102 @@
+import { SYMBOLS, CONSTANTS } from './symbols';
+import { ASTNode, getVariables } from './ast';
+import { solveProposition, enumerateAssignments } from './evaluate';
+
+// Conversions stop after this many rewrites: distributing can grow the formula exponentially
+export const MAX_REWRITE_STEPS = 200;
+
+const not = (a) => new ASTNode('NOT', SYMBOLS.NOT, a);
+const bin = (op, a, b) => new ASTNode('BIN', op, a, b);
+const isBin = (node, op) => node.type === 'BIN' && node.value === op;
+const isNot = (node) => node.type === 'NOT';
+
+// Each rule returns the rewritten node, or a falsy value when it does not apply
+const ELIMINATION_RULES = [
+    { law: 'Bicondicional', apply: n => isBin(n, SYMBOLS.IFF) && bin(SYMBOLS.AND, bin(SYMBOLS.IMP, n.left, n.right), bin(SYMBOLS.IMP, n.right, n.left)) },
+    { law: 'Implicación material', apply: n => isBin(n, SYMBOLS.IMP) && bin(SYMBOLS.OR, not(n.left), n.right) },
+    { law: 'Implicación material', apply: n => isBin(n, SYMBOLS.RIMP) && bin(SYMBOLS.OR, n.left, not(n.right)) },
+    { law: `Definición de ${SYMBOLS.XOR}`, apply: n => isBin(n, SYMBOLS.XOR) && bin(SYMBOLS.OR, bin(SYMBOLS.AND, n.left, not(n.right)), bin(SYMBOLS.AND, not(n.left), n.right)) },
+    { law: `Definición de ${SYMBOLS.NAND}`, apply: n => isBin(n, SYMBOLS.NAND) && not(bin(SYMBOLS.AND, n.left, n.right)) },
+    { law: `Definición de ${SYMBOLS.NOR}`, apply: n => isBin(n, SYMBOLS.NOR) && not(bin(SYMBOLS.OR, n.left, n.right)) }
+];
+
+const NEGATION_RULES = [
+    { law: 'Doble negación', apply: n => isNot(n) && isNot(n.left) && n.left.left },
+    { law: 'De Morgan', apply: n => isNot(n) && isBin(n.left, SYMBOLS.AND) && bin(SYMBOLS.OR, not(n.left.left), not(n.left.right)) },
+    { law: 'De Morgan', apply: n => isNot(n) && isBin(n.left, SYMBOLS.OR) && bin(SYMBOLS.AND, not(n.left.left), not(n.left.right)) }
+];
+
+// outer distributes over inner: A outer (B inner C) = (A outer B) inner (A outer C)
+const distributionRules = (outer, inner) => [
+    { law: `Distributividad de ${outer} sobre ${inner}`, apply: n => isBin(n, outer) && isBin(n.right, inner) && bin(inner, bin(outer, n.left, n.right.left), bin(outer, n.left, n.right.right)) },
+    { law: `Distributividad de ${outer} sobre ${inner}`, apply: n => isBin(n, outer) && isBin(n.left, inner) && bin(inner, bin(outer, n.left.left, n.right), bin(outer, n.left.right, n.right)) }
+];
+
+const PHASES = {
+    nnf: [ELIMINATION_RULES, NEGATION_RULES],
+    cnf: [ELIMINATION_RULES, NEGATION_RULES, distributionRules(SYMBOLS.OR, SYMBOLS.AND)],
+    dnf: [ELIMINATION_RULES, NEGATION_RULES, distributionRules(SYMBOLS.AND, SYMBOLS.OR)]
+};
+
+// Applies the first matching rule at the outermost, leftmost position.
+// Paths use the same 'L' / 'R' steps as the syntax tree view ('' is the root).
+const rewriteOnce = (node, rules, path = '') => {
+    for (const rule of rules) {
+        const result = rule.apply(node);
+        if (result) return { node: result, law: rule.law, path };
+    }
+    for (const side of ['left', 'right']) {
+        if (!node[side]) continue;
+        const inner = rewriteOnce(node[side], rules, path + (side === 'left' ? 'L' : 'R'));
+        if (inner) {
+            const copy = new ASTNode(node.type, node.value, node.left, node.right);
+            copy[side] = inner.node;
+            return { ...inner, node: copy };
+        }
+    }
+    return null;
+};
+
+// Rewrites `ast` into negation ('nnf'), conjunctive ('cnf') or disjunctive ('dnf') normal
+// form. Returns { result, steps, complete } where each step is { law, path, before, after }:
+// the whole formula before and after rewriting the subtree at `path`. `complete` is false
+// when MAX_REWRITE_STEPS ran out first.
+export const toNormalForm = (ast, target) => {
+    const steps = [];
+    let current = ast;
+    for (const rules of PHASES[target]) {
+        let rewrite = rewriteOnce(current, rules);
+        while (rewrite) {
+            if (steps.length === MAX_REWRITE_STEPS) return { result: current, steps, complete: false };
+            steps.push({ law: rewrite.law, path: rewrite.path, before: current, after: rewrite.node });
+            current = rewrite.node;
+            rewrite = rewriteOnce(current, rules);
+        }
+    }
+    return { result: current, steps, complete: true };
+};
+
+// Joins the formulas with a chain of `op`, or returns `empty` for an empty list
+const chain = (op, formulas, empty) => formulas.length === 0
+    ? new ASTNode('ATOM', empty)
+    : formulas.reduce((acc, f) => bin(op, acc, f));
+
+// Canonical forms read off the truth table: the disjunction of one minterm per true row
+// and the conjunction of one maxterm per false row, over the formula's variables.
+export const canonicalForms = (ast) => {
+    const vars = getVariables(ast);
+    const rows = enumerateAssignments(vars).map(values => ({ values, result: solveProposition(ast, values) }));
+    const literal = (v, positive) => positive ? new ASTNode('ATOM', v) : not(new ASTNode('ATOM', v));
+
+    const minterms = rows.filter(r => r.result)
+        .map(r => chain(SYMBOLS.AND, vars.map(v => literal(v, r.values[v])), CONSTANTS.TRUE));
+    const maxterms = rows.filter(r => !r.result)
+        .map(r => chain(SYMBOLS.OR, vars.map(v => literal(v, !r.values[v])), CONSTANTS.FALSE));
+
+    return {
+        dnf: chain(SYMBOLS.OR, minterms, CONSTANTS.FALSE),
+        cnf: chain(SYMBOLS.AND, maxterms, CONSTANTS.TRUE),
+        minterms,
+        maxterms
+    };
+};
@@ -0,0 +1,41 @@
+import { parseToAST, toMinimalString, toNormalForm, canonicalForms, solveProposition, enumerateAssignments, getVariables, createRng, generateFormula } from '.';
+
+const convert = (formula, target) => toNormalForm(parseToAST(formula), target);
+const equivalent = (a, b) => {
+    const vars = [...new Set([...getVariables(a), ...getVariables(b)])];
+    return enumerateAssignments(vars).every(values => solveProposition(a, values) === solveProposition(b, values));
+};
+
+describe('toNormalForm', () => {
+    it('lists each law applied on the way to NNF', () => {
+        const { result, steps } = convert('¬(P ⇒ Q)', 'nnf');
+        expect(steps.map(s => s.law)).toEqual(['Implicación material', 'De Morgan', 'Doble negación']);
+        expect(steps.map(s => s.path)).toEqual(['L', '', 'L']);
+        expect(toMinimalString(result)).toBe('P ∧ ¬Q');
+    });
+
+    it('distributes to reach CNF and DNF', () => {
+        expect(toMinimalString(convert('P ∨ Q ∧ R', 'cnf').result)).toBe('(P ∨ Q) ∧ (P ∨ R)');
+        expect(toMinimalString(convert('(P ∨ Q) ∧ R', 'dnf').result)).toBe('P ∧ R ∨ Q ∧ R');
+    });
+
+    it('preserves the meaning of the formula', () => {
+        const rng = createRng(3);
+        for (let i = 0; i < 20; i++) {
+            const ast = parseToAST(generateFormula(rng, { vars: ['P', 'Q', 'R'], depth: 3 }));
+            ['nnf', 'cnf', 'dnf'].forEach(target => {
+                const { result, complete } = toNormalForm(ast, target);
+                if (complete) expect(equivalent(ast, result)).toBe(true);
+            });
+        }
+    });
+});
+
+describe('canonicalForms', () => {
+    it('reads minterms and maxterms off the truth table', () => {
+        const { dnf, cnf } = canonicalForms(parseToAST('P ⊕ Q'));
+        expect(toMinimalString(dnf)).toBe('P ∧ ¬Q ∨ ¬P ∧ Q');
+        expect(toMinimalString(cnf)).toBe('(¬P ∨ ¬Q) ∧ (P ∨ Q)');
+        expect(toMinimalString(canonicalForms(parseToAST('P ∧ ¬P')).dnf)).toBe('⊥');
+    });
+});
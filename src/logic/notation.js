@@ -0,0 +1,76 @@
+import { SYMBOLS, CONSTANTS } from './symbols';
+
+// Alternative ASCII / word / LaTeX spellings accepted for each connective and constant
+export const NOTATION_ALIASES = {
+    [SYMBOLS.NOT]: ['~', '!', 'not', '\\neg', '\\lnot'],
+    [SYMBOLS.AND]: ['&', 'and', '\\land', '\\wedge'],
+    [SYMBOLS.OR]: ['|', 'or', '\\lor', '\\vee'],
+    [SYMBOLS.IMP]: ['->', '=>', '\\to', '\\rightarrow', '\\Rightarrow', '\\implies'],
+    [SYMBOLS.IFF]: ['<->', '<=>', '\\leftrightarrow', '\\Leftrightarrow', '\\iff'],
+    [SYMBOLS.XOR]: ['xor', '\\oplus', '\\veebar'],
+    [SYMBOLS.NAND]: ['nand', '\\uparrow', '\\barwedge'],
+    [SYMBOLS.NOR]: ['nor', '\\downarrow'],
+    [SYMBOLS.RIMP]: ['<-', '<=', '\\leftarrow', '\\Leftarrow', '\\gets'],
+    [CONSTANTS.TRUE]: ['true', '\\top'],
+    [CONSTANTS.FALSE]: ['false', '\\bot']
+};
+
+const ALIAS_ENTRIES = Object.entries(NOTATION_ALIASES)
+    .flatMap(([symbol, aliases]) => aliases.map(alias => ({ alias, symbol })));
+const WORD_ALIASES = Object.fromEntries(ALIAS_ENTRIES.filter(e => /^[a-z]+$/.test(e.alias)).map(e => [e.alias, e.symbol]));
+const LATEX_ALIASES = Object.fromEntries(ALIAS_ENTRIES.filter(e => e.alias.startsWith('\\')).map(e => [e.alias, e.symbol]));
+// Longest first, so '<->' wins over '->'
+const PUNCT_ALIASES = ALIAS_ENTRIES.filter(e => !WORD_ALIASES[e.alias] && !LATEX_ALIASES[e.alias])
+    .sort((a, b) => b.alias.length - a.alias.length);
+
+// Reads the connective or constant starting at `i`, written canonically or through an alias.
+// Returns { symbol, length, extensible } or null. `extensible` means more typing could
+// still turn it into something else (a longer alias, a variable name, another command).
+export const readSymbol = (text, i) => {
+    const char = text[i];
+    if (Object.values(SYMBOLS).includes(char) || Object.values(CONSTANTS).includes(char)) return { symbol: char, length: 1, extensible: false };
+
+    if (/[a-z]/i.test(char)) {
+        const word = text.slice(i).match(/^[a-z][a-z0-9_]*/i)[0];
+        const symbol = WORD_ALIASES[word.toLowerCase()];
+        return symbol ? { symbol, length: word.length, extensible: true } : null;
+    }
+
+    if (char === '\\') {
+        const command = text.slice(i).match(/^\\[a-z]*/i)[0];
+        const symbol = LATEX_ALIASES[command];
+        return symbol ? { symbol, length: command.length, extensible: true } : null;
+    }
+
+    const entry = PUNCT_ALIASES.find(e => text.startsWith(e.alias, i));
+    if (!entry) return null;
+    const extensible = PUNCT_ALIASES.some(e => e.alias.length > entry.alias.length && e.alias.startsWith(entry.alias));
+    return { symbol: entry.symbol, length: entry.alias.length, extensible };
+};
+
+// Rewrites every alias to its canonical symbol. When `caret` is given (live typing), an
+// alias ending right at the caret is left alone if further keystrokes could change it.
+export const normalizeNotation = (text, caret = null) => {
+    let out = '';
+    let newCaret = caret;
+    let i = 0;
+    while (i < text.length) {
+        const conn = readSymbol(text, i);
+        if (!conn) {
+            // Copy identifiers whole so that e.g. 'Pand' is never split
+            const word = /[a-z]/i.test(text[i]) ? text.slice(i).match(/^[a-z][a-z0-9_]*/i)[0] : text[i];
+            out += word;
+            i += word.length;
+            continue;
+        }
+        const end = i + conn.length;
+        if (conn.extensible && end === caret) {
+            out += text.slice(i, end);
+        } else {
+            out += conn.symbol;
+            if (caret !== null && end <= caret) newCaret -= conn.length - 1;
+        }
+        i = end;
+    }
+    return { text: out, caret: newCaret };
+};
@@ -0,0 +1,27 @@
+import { normalizeNotation, parseToAST } from '.';
+
+describe('normalizeNotation', () => {
+    it('rewrites ASCII, word and LaTeX aliases', () => {
+        expect(normalizeNotation('~P & Q | R -> S <-> T').text).toBe('¬P ∧ Q ∨ R ⇒ S ⇔ T');
+        expect(normalizeNotation('not P and Q or R').text).toBe('¬ P ∧ Q ∨ R');
+        expect(normalizeNotation('\\neg P \\land Q \\lor R \\to S \\leftrightarrow T').text).toBe('¬ P ∧ Q ∨ R ⇒ S ⇔ T');
+        expect(normalizeNotation('P xor \\top <= false').text).toBe('P ⊕ ⊤ ⇐ ⊥');
+    });
+
+    it('leaves identifiers that merely contain a keyword alone', () => {
+        expect(normalizeNotation('Pand ∧ order').text).toBe('Pand ∧ order');
+    });
+
+    it('waits while an alias at the caret could still grow', () => {
+        expect(normalizeNotation('P <-', 4)).toEqual({ text: 'P <-', caret: 4 });
+        expect(normalizeNotation('P and', 5)).toEqual({ text: 'P and', caret: 5 });
+        expect(normalizeNotation('P and ', 6)).toEqual({ text: 'P ∧ ', caret: 4 });
+        expect(normalizeNotation('P -> Q', 4)).toEqual({ text: 'P ⇒ Q', caret: 3 });
+    });
+});
+
+describe('parser aliases', () => {
+    it('parses aliases directly', () => {
+        expect(parseToAST('P -> Q <=> ~R').toFullString()).toBe('((P ⇒ Q) ⇔ (¬ R))');
+    });
+});
@@ -0,0 +1,150 @@
+import { SYMBOLS, CONSTANTS } from './symbols';
+import { DEFAULT_CONVENTION } from './conventions';
+import { readSymbol } from './notation';
+import { ASTNode } from './ast';
+
+// Raised by the tokenizer and parser. Carries enough position info to underline the culprit.
+export class FormulaSyntaxError extends Error {
+    constructor(message, { tokenIndex, offset, length, expected, found }) {
+        super(message);
+        this.name = 'FormulaSyntaxError';
+        this.tokenIndex = tokenIndex; // index into the token list (-1 for lexical errors)
+        this.offset = offset;         // character offset in the source string
+        this.length = length;         // characters to underline (0 at end of input)
+        this.expected = expected;     // human-readable list of what would have been valid
+        this.found = found;           // offending text, or null at end of input
+    }
+}
+
+// Splits a formula into tokens { type, value, start, end }, ending with an EOF token.
+export const tokenize = (input) => {
+    const tokens = [];
+    let i = 0;
+    while (i < input.length) {
+        const char = input[i];
+        if (/\s/.test(char)) { i++; continue; }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'LPAREN' : 'RPAREN', value: char, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        const conn = readSymbol(input, i);
+        if (conn) {
+            const type = conn.symbol === SYMBOLS.NOT ? 'NOT' : Object.values(CONSTANTS).includes(conn.symbol) ? 'CONST' : 'BIN';
+            tokens.push({ type, value: conn.symbol, start: i, end: i + conn.length });
+            i += conn.length;
+        } else if (char === '0' || char === '1') {
+            tokens.push({ type: 'CONST', value: char, start: i, end: i + 1 });
+            i++;
+        } else if (/[a-z]/i.test(char)) {
+            const match = input.slice(i).match(/^[a-z][a-z0-9_]*/i)[0];
+            // Names are case-insensitive, so t and f are the constants T and F as well
+            if (/^[tf]$/i.test(match)) tokens.push({ type: 'CONST', value: match.toUpperCase(), start: i, end: i + 1 });
+            else tokens.push({ type: 'VAR', value: match, start: i, end: i + match.length });
+            i += match.length;
+        } else if (char === '\\') {
+            const command = input.slice(i).match(/^\\[a-z]*/i)[0];
+            throw new FormulaSyntaxError(`Comando LaTeX desconocido '${command}' en la posición ${i + 1}.`, {
+                tokenIndex: -1, offset: i, length: command.length, expected: ['un conector'], found: command
+            });
+        } else {
+            throw new FormulaSyntaxError(`Carácter no reconocido '${char}' en la posición ${i + 1}.`, {
+                tokenIndex: -1, offset: i, length: 1, expected: ['una variable', 'un conector', "'('", "')'"], found: char
+            });
+        }
+    }
+    tokens.push({ type: 'EOF', value: null, start: input.length, end: input.length });
+    return tokens;
+};
+
+// Quotes the token as the user wrote it, so aliases like '->' are reported verbatim
+const describeToken = (tok, input) => tok.type === 'EOF' ? 'el final de la fórmula' : `'${input.slice(tok.start, tok.end)}'`;
+
+const joinExpected = (items) => items.length < 2 ? items.join('') : `${items.slice(0, -1).join(', ')} o ${items[items.length - 1]}`;
+
+// Precedence-climbing parser. Accepts a formula string and returns an ASTNode,
+// or throws FormulaSyntaxError pointing at the first token that does not fit.
+export const parseToAST = (input, convention = DEFAULT_CONVENTION) => {
+    const { precedence, associativity } = convention;
+    const tokens = tokenize(input);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+
+    const fail = (expected, tok = peek(), message = null) => {
+        const where = tok.type === 'EOF' ? '' : ` en la posición ${tok.start + 1}`;
+        throw new FormulaSyntaxError(
+            message || `Se esperaba ${joinExpected(expected)}, pero se encontró ${describeToken(tok, input)}${where}.`,
+            { tokenIndex: pos, offset: tok.start, length: tok.end - tok.start, expected, found: tok.type === 'EOF' ? null : input.slice(tok.start, tok.end) }
+        );
+    };
+
+    const parseOperand = () => {
+        const tok = peek();
+        if (tok.type === 'VAR' || tok.type === 'CONST') {
+            pos++;
+            return new ASTNode('ATOM', tok.value, null, null, { start: tok.start, end: tok.end });
+        }
+        if (tok.type === 'NOT') {
+            pos++;
+            // Negation binds tighter than every binary connective
+            const operand = parseOperand();
+            return new ASTNode('NOT', SYMBOLS.NOT, operand, null, { start: tok.start, end: operand.span.end }, { start: tok.start, end: tok.end });
+        }
+        if (tok.type === 'LPAREN') {
+            pos++;
+            const inner = parseExpression(0);
+            if (peek().type !== 'RPAREN') {
+                fail(["')'"], peek(), `Falta ')' para cerrar el paréntesis abierto en la posición ${tok.start + 1}; se encontró ${describeToken(peek(), input)}.`);
+            }
+            pos++;
+            return inner;
+        }
+        return fail(['una variable', `'${SYMBOLS.NOT}'`, "'('"]);
+    };
+
+    // `outerOp` is the operator whose right operand is being parsed; together with the
+    // last operator folded at this level it detects chains of non-associative operators.
+    const parseExpression = (minPrec, outerOp = null) => {
+        let left = parseOperand();
+        let prevOp = outerOp;
+        while (peek().type === 'BIN' && precedence[peek().value] >= minPrec) {
+            const opTok = peek();
+            const op = opTok.value;
+            const prec = precedence[op];
+            if (prevOp && precedence[prevOp] === prec && (associativity[prevOp] === 'none' || associativity[op] === 'none')) {
+                fail(["'('"], opTok, `En la convención «${convention.name}» '${prevOp}' y '${op}' no se pueden encadenar sin paréntesis (posición ${opTok.start + 1}).`);
+            }
+            pos++;
+            // Right-associative operators accept an equal-rank operator on their right side
+            const right = parseExpression(associativity[op] === 'right' ? prec : prec + 1, op);
+            left = new ASTNode('BIN', op, left, right, { start: left.span.start, end: right.span.end }, { start: opTok.start, end: opTok.end });
+            prevOp = op;
+        }
+        return left;
+    };
+
+    if (peek().type === 'EOF') {
+        return fail(['una fórmula'], peek(), 'La fórmula está vacía.');
+    }
+    const ast = parseExpression(0);
+    if (peek().type === 'RPAREN') {
+        fail(['un conector', 'el final de la fórmula'], peek(), `Paréntesis ')' sin abrir en la posición ${peek().start + 1}.`);
+    }
+    if (peek().type !== 'EOF') {
+        fail(['un conector', 'el final de la fórmula']);
+    }
+    return ast;
+};
+
+// Returns the parsed AST, or the FormulaSyntaxError explaining why there isn't one.
+export const tryParse = (input, convention = DEFAULT_CONVENTION) => {
+    try {
+        return { ast: parseToAST(input, convention), error: null };
+    } catch (e) {
+        if (e instanceof FormulaSyntaxError) return { ast: null, error: e };
+        throw e;
+    }
+};
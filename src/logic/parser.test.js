@@ -0,0 +1,115 @@
+import { parseToAST, tryParse, tokenize, FormulaSyntaxError, BUILTIN_CONVENTIONS, BINARY_OPS, VARS, createRng, generateFormula } from '.';
+
+const full = (formula, convention) => parseToAST(formula, convention).toFullString();
+const convention = (id) => BUILTIN_CONVENTIONS.find(c => c.id === id);
+
+describe('precedence', () => {
+    it('groups ∧ before ∨ before ⇒ before ⇔', () => {
+        expect(full('P ∨ Q ∧ R')).toBe('(P ∨ (Q ∧ R))');
+        expect(full('P ⇒ Q ∨ R')).toBe('(P ⇒ (Q ∨ R))');
+        expect(full('P ⇔ Q ⇒ R')).toBe('(P ⇔ (Q ⇒ R))');
+        expect(full('P ∧ Q ⇔ R ∨ S')).toBe('((P ∧ Q) ⇔ (R ∨ S))');
+    });
+
+    it('ranks the extended connectives', () => {
+        expect(full('P ⊕ Q ∨ R')).toBe('(P ⊕ (Q ∨ R))');
+        expect(full('P ↑ Q ∨ R')).toBe('((P ↑ Q) ∨ R)');
+        expect(full('P ↓ Q ⊕ R')).toBe('((P ↓ Q) ⊕ R)');
+        expect(full('P ⇐ Q ⊕ R')).toBe('(P ⇐ (Q ⊕ R))');
+    });
+
+    it('lets parentheses override the hierarchy', () => {
+        expect(full('(P ∨ Q) ∧ R')).toBe('((P ∨ Q) ∧ R)');
+        expect(full('((P))')).toBe('P');
+    });
+});
+
+describe('associativity', () => {
+    it('groups ∧ and ∨ to the left', () => {
+        expect(full('P ∧ Q ∧ R')).toBe('((P ∧ Q) ∧ R)');
+        expect(full('P ∨ Q ∨ R')).toBe('((P ∨ Q) ∨ R)');
+    });
+
+    it('groups ⇒ and ⇔ to the right', () => {
+        expect(full('P ⇒ Q ⇒ R')).toBe('(P ⇒ (Q ⇒ R))');
+        expect(full('P ⇔ Q ⇔ R')).toBe('(P ⇔ (Q ⇔ R))');
+    });
+
+    it('follows the selected convention', () => {
+        expect(full('P ⇒ Q ⇒ R', convention('left-imp'))).toBe('((P ⇒ Q) ⇒ R)');
+        expect(full('P ∧ Q ∨ R ∧ S', convention('andor-equal'))).toBe('(((P ∧ Q) ∨ R) ∧ S)');
+    });
+
+    it('rejects chains of non-associative operators', () => {
+        const { error } = tryParse('P ⇒ Q ⇒ R', convention('strict-imp'));
+        expect(error).toBeInstanceOf(FormulaSyntaxError);
+        expect(error.offset).toBe(6);
+        expect(full('(P ⇒ Q) ⇒ R', convention('strict-imp'))).toBe('((P ⇒ Q) ⇒ R)');
+    });
+});
+
+describe('negation', () => {
+    it('binds tighter than every binary connective', () => {
+        expect(full('¬P ∧ Q')).toBe('((¬ P) ∧ Q)');
+        expect(full('¬P ⇒ ¬Q')).toBe('((¬ P) ⇒ (¬ Q))');
+    });
+
+    it('stacks and applies to parenthesized groups', () => {
+        expect(full('¬¬P')).toBe('(¬ (¬ P))');
+        expect(full('¬(P ∨ Q) ∧ R')).toBe('((¬ (P ∨ Q)) ∧ R)');
+    });
+});
+
+describe('syntax errors', () => {
+    const errorOf = (formula) => tryParse(formula).error;
+
+    it('points at a doubled operator', () => {
+        const error = errorOf('P ∧ ∧ Q');
+        expect(error.offset).toBe(4);
+        expect(error.tokenIndex).toBe(2);
+        expect(error.found).toBe('∧');
+    });
+
+    it('reports an unclosed parenthesis at the end of input', () => {
+        const error = errorOf('(P ∨');
+        expect(error.offset).toBe(4);
+        expect(error.length).toBe(0);
+        expect(error.found).toBeNull();
+    });
+
+    it('reports unknown characters and stray closing parentheses', () => {
+        expect(errorOf('P # Q').offset).toBe(2);
+        expect(errorOf('P ∨ Q)').offset).toBe(5);
+        expect(errorOf('P Q').found).toBe('Q');
+        expect(errorOf('')).toBeInstanceOf(FormulaSyntaxError);
+    });
+});
+
+describe('round trip', () => {
+    it('reparses toFullString into the same tree', () => {
+        const rng = createRng(1);
+        for (let i = 0; i < 200; i++) {
+            const formula = generateFormula(rng, { shape: i % 2 ? 'flat' : 'structured', vars: 5, depth: 4, length: 4, connectives: BINARY_OPS, negation: 0.3, traps: 0 });
+            BUILTIN_CONVENTIONS.forEach(c => {
+                const { ast } = tryParse(formula, c);
+                if (!ast) return;
+                const printed = ast.toFullString();
+                expect(full(printed, c)).toBe(printed);
+            });
+        }
+    });
+
+    it('records the source span of every node', () => {
+        const ast = parseToAST('¬P ∧ (Q ∨ R)');
+        expect(ast.span).toEqual({ start: 0, end: 11 });
+        expect(ast.left.span).toEqual({ start: 0, end: 2 });
+        expect(ast.right.span).toEqual({ start: 6, end: 11 });
+    });
+});
+
+describe('atoms', () => {
+    it('reads every offered variable name as a variable, and T / F as constants', () => {
+        VARS.forEach(v => expect(tokenize(v)[0].type).toBe('VAR'));
+        expect(tokenize('t F').slice(0, 2).map(t => [t.type, t.value])).toEqual([['CONST', 'T'], ['CONST', 'F']]);
+    });
+});
@@ -0,0 +1,55 @@
+import { SYMBOLS } from './symbols';
+import { DEFAULT_CONVENTION } from './conventions';
+import { tryParse } from './parser';
+import { astEquals } from './ast';
+
+// Does `child`, sitting on `side` of the binary node `parent`, need parentheses to keep
+// its grouping when printed? Mirrors the precedence-climbing rules of parseToAST.
+const needsParens = (child, parent, side, convention) => {
+    if (child.type !== 'BIN') return false;
+    const { precedence, associativity } = convention;
+    const childPrec = precedence[child.value];
+    const parentPrec = precedence[parent.value];
+    if (childPrec !== parentPrec) return childPrec < parentPrec;
+
+    const childAssoc = associativity[child.value];
+    const parentAssoc = associativity[parent.value];
+    if (childAssoc === 'none' || parentAssoc === 'none') return true;
+    return side === 'left' ? childAssoc !== 'left' : parentAssoc !== 'right';
+};
+
+// Prints the formula with only the parentheses the convention requires
+export const toMinimalString = (node, convention = DEFAULT_CONVENTION) => {
+    if (node.type === 'ATOM') return node.value;
+    if (node.type === 'NOT') {
+        const inner = toMinimalString(node.left, convention);
+        return node.left.type === 'BIN' ? `${SYMBOLS.NOT}(${inner})` : `${SYMBOLS.NOT}${inner}`;
+    }
+    const wrap = (child, side) => {
+        const text = toMinimalString(child, convention);
+        return needsParens(child, node, side, convention) ? `(${text})` : text;
+    };
+    return `${wrap(node.left, 'left')} ${node.value} ${wrap(node.right, 'right')}`;
+};
+
+// Every matching '(' ... ')' pair in the text as { open, close } character offsets
+export const findParenPairs = (text) => {
+    const pairs = [];
+    const stack = [];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '(') stack.push(i);
+        else if (text[i] === ')' && stack.length > 0) pairs.push({ open: stack.pop(), close: i });
+    }
+    return pairs.sort((a, b) => a.open - b.open);
+};
+
+// Parenthesis pairs whose removal leaves the parse tree unchanged
+export const findRedundantParens = (text, convention = DEFAULT_CONVENTION) => {
+    const { ast } = tryParse(text, convention);
+    if (!ast) return [];
+    return findParenPairs(text).filter(({ open, close }) => {
+        const without = text.slice(0, open) + ' ' + text.slice(open + 1, close) + ' ' + text.slice(close + 1);
+        const { ast: reparsed } = tryParse(without, convention);
+        return reparsed !== null && astEquals(ast, reparsed);
+    });
+};
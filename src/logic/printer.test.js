@@ -0,0 +1,47 @@
+import { parseToAST, toMinimalString, findRedundantParens, astEquals, BUILTIN_CONVENTIONS, BINARY_OPS, createRng, generateFormula } from '.';
+
+const minimal = (formula, convention) => toMinimalString(parseToAST(formula, convention), convention);
+const convention = (id) => BUILTIN_CONVENTIONS.find(c => c.id === id);
+
+describe('toMinimalString', () => {
+    it('drops parentheses implied by precedence', () => {
+        expect(minimal('((P ∧ Q) ∨ R)')).toBe('P ∧ Q ∨ R');
+        expect(minimal('(P ∧ (Q ∨ R))')).toBe('P ∧ (Q ∨ R)');
+        expect(minimal('((¬ P) ⇒ (¬ (Q ∧ R)))')).toBe('¬P ⇒ ¬(Q ∧ R)');
+    });
+
+    it('drops parentheses implied by associativity only on the associative side', () => {
+        expect(minimal('((P ∧ Q) ∧ R)')).toBe('P ∧ Q ∧ R');
+        expect(minimal('(P ∧ (Q ∧ R))')).toBe('P ∧ (Q ∧ R)');
+        expect(minimal('(P ⇒ (Q ⇒ R))')).toBe('P ⇒ Q ⇒ R');
+        expect(minimal('((P ⇒ Q) ⇒ R)')).toBe('(P ⇒ Q) ⇒ R');
+    });
+
+    it('depends on the convention', () => {
+        expect(minimal('((P ⇒ Q) ⇒ R)', convention('left-imp'))).toBe('P ⇒ Q ⇒ R');
+        expect(minimal('(P ⇒ (Q ⇒ R))', convention('strict-imp'))).toBe('P ⇒ (Q ⇒ R)');
+        expect(minimal('((P ∧ Q) ∨ R)', convention('andor-equal'))).toBe('P ∧ Q ∨ R');
+        expect(minimal('(P ∧ (Q ∨ R))', convention('andor-equal'))).toBe('P ∧ (Q ∨ R)');
+    });
+
+    it('parses back to the same tree under every convention', () => {
+        const rng = createRng(2);
+        for (let i = 0; i < 200; i++) {
+            const formula = generateFormula(rng, { vars: 5, depth: 4, connectives: BINARY_OPS, negation: 0.3, constants: 0.1 });
+            BUILTIN_CONVENTIONS.forEach(c => {
+                const ast = parseToAST(formula, c);
+                const printed = toMinimalString(ast, c);
+                expect(astEquals(parseToAST(printed, c), ast)).toBe(true);
+                expect(findRedundantParens(printed, c)).toEqual([]);
+            });
+        }
+    });
+});
+
+describe('findRedundantParens', () => {
+    it('reports only the pairs that can go', () => {
+        expect(findRedundantParens('((P ∧ Q) ∨ R)')).toEqual([{ open: 0, close: 12 }, { open: 1, close: 7 }]);
+        expect(findRedundantParens('(P ∨ Q) ∧ R')).toEqual([]);
+        expect(findRedundantParens('¬(P)')).toEqual([{ open: 1, close: 3 }]);
+    });
+});
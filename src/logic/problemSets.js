@@ -0,0 +1,172 @@
+import { SYMBOLS, BINARY_OPS } from './symbols';
+import { DEFAULT_CONVENTION, BUILTIN_CONVENTIONS } from './conventions';
+import { getSubExpressions, getVariables } from './ast';
+import { tryParse } from './parser';
+
+// Problem sets written by an instructor, exchanged as JSON:
+//   {
+//     "format": "logimaster-problem-set", "version": 1,
+//     "title": "...", "instructions": "...",
+//     "convention": "standard" | { "name", "precedence": { "∧": 5, ... }, "associativity": { "⇒": "right", ... } },
+//     "items": [
+//       { "kind": "syntax", "formula": "P ∧ Q ∨ R" },                                 flat: no parentheses
+//       { "kind": "evaluation", "formula": "P ⇒ Q", "values": { "P": true, "Q": false } },
+//       { "kind": "table", "formula": "(P ∨ Q) ∧ ¬R", "columns": ["P ∨ Q", "¬R"] }    columns: required sub-expressions
+//     ]
+//   }
+// The convention is the precedence profile every formula of the set is read with: the id of a
+// built-in convention or a full one. Values may also be written as 1 / 0.
+
+export const PROBLEM_SET_FORMAT = 'logimaster-problem-set';
+export const PROBLEM_SET_VERSION = 1;
+
+export const PROBLEM_ITEM_KINDS = { syntax: 'Sintaxis', evaluation: 'Evaluación', table: 'Tabla de verdad' };
+
+// Same limit as the truth-table section: more variables do not fit a table to fill in
+const MAX_SET_TABLE_VARS = 6;
+
+const ASSOCIATIVITIES = ['left', 'right', 'none'];
+
+// Id of every convention a set spells out. Ids written in the file are ignored, so a
+// custom convention can never pass for a built-in one.
+const SET_CONVENTION_ID = 'problem-set';
+
+// A blank set in file form (the convention by id), for the editor
+export const emptyProblemSet = () => ({
+    format: PROBLEM_SET_FORMAT,
+    version: PROBLEM_SET_VERSION,
+    title: '',
+    instructions: '',
+    convention: DEFAULT_CONVENTION.id,
+    items: []
+});
+
+// The convention a set refers to, or an error message
+const readConvention = (value) => {
+    if (value === undefined) return { convention: DEFAULT_CONVENTION };
+    if (typeof value === 'string') {
+        const builtin = BUILTIN_CONVENTIONS.find(c => c.id === value);
+        return builtin ? { convention: builtin } : { error: `Convención desconocida: «${value}».` };
+    }
+    if (!value || typeof value !== 'object' || !value.precedence || !value.associativity) {
+        return { error: 'La convención debe ser el id de una predefinida o un objeto con precedence y associativity.' };
+    }
+    // Same rule as the convention editor: the parser starts climbing at rank 1
+    const badRank = BINARY_OPS.find(op => !Number.isInteger(value.precedence[op]) || value.precedence[op] < 1);
+    if (badRank) return { error: `La prioridad de ${badRank} debe ser un entero mayor o igual a 1.` };
+    const badAssoc = BINARY_OPS.find(op => !ASSOCIATIVITIES.includes(value.associativity[op]));
+    if (badAssoc) return { error: `La asociatividad de ${badAssoc} debe ser left, right o none.` };
+    const precedence = { ...value.precedence };
+    // ¬ always binds tightest
+    precedence[SYMBOLS.NOT] = Math.max(...BINARY_OPS.map(op => precedence[op])) + 1;
+    return {
+        convention: {
+            id: SET_CONVENTION_ID,
+            name: typeof value.name === 'string' && value.name ? value.name : 'Convención del conjunto',
+            precedence,
+            associativity: Object.fromEntries(BINARY_OPS.map(op => [op, value.associativity[op]]))
+        }
+    };
+};
+
+// Checks one item under `convention`: { item (normalized), error (message or null) }
+export const validateProblemItem = (item, convention = DEFAULT_CONVENTION) => {
+    const fail = (error) => ({ item, error });
+    if (!item || typeof item !== 'object') return fail('Cada ítem debe ser un objeto.');
+    if (!PROBLEM_ITEM_KINDS[item.kind]) return fail(`Tipo de ítem desconocido: «${item.kind}» (syntax, evaluation o table).`);
+    if (typeof item.formula !== 'string' || item.formula.trim() === '') return fail('Falta la fórmula.');
+    const { ast, error } = tryParse(item.formula, convention);
+    if (error) return fail(`Fórmula no válida: ${error.message}`);
+    const variables = getVariables(ast);
+
+    if (item.kind === 'syntax') {
+        if (/[()]/.test(item.formula)) return fail('Un ítem de sintaxis lleva la fórmula sin paréntesis.');
+        if (ast.type === 'ATOM') return fail('La fórmula no tiene nada que agrupar.');
+        return { item: { kind: 'syntax', formula: item.formula.trim() }, error: null };
+    }
+
+    if (item.kind === 'evaluation') {
+        const given = item.values && typeof item.values === 'object' ? item.values : {};
+        const values = {};
+        for (const v of variables) {
+            const value = given[v];
+            if (value !== true && value !== false && value !== 0 && value !== 1) return fail(`Falta el valor (true / false) de ${v}.`);
+            values[v] = value === true || value === 1;
+        }
+        return { item: { kind: 'evaluation', formula: item.formula.trim(), values }, error: null };
+    }
+
+    if (variables.length === 0) return fail('La tabla necesita al menos una variable.');
+    if (variables.length > MAX_SET_TABLE_VARS) return fail(`La tabla tendría ${variables.length} variables; el máximo es ${MAX_SET_TABLE_VARS}.`);
+    const columns = item.columns === undefined ? [] : item.columns;
+    if (!Array.isArray(columns)) return fail('columns debe ser una lista de sub-expresiones.');
+    const subformulas = getSubExpressions(ast);
+    subformulas.delete(ast.toFullString());
+    for (const column of columns) {
+        const parsed = typeof column === 'string' ? tryParse(column, convention) : { ast: null };
+        if (!parsed.ast) return fail(`Columna no válida: «${column}».`);
+        if (!subformulas.has(parsed.ast.toFullString())) return fail(`«${column}» no es una sub-expresión de la fórmula.`);
+    }
+    return { item: { kind: 'table', formula: item.formula.trim(), columns: columns.map(c => c.trim()) }, error: null };
+};
+
+// Validates a parsed JSON value. Returns { set, errors } where set is the normalized problem
+// set (with the convention resolved to a full one) and errors [{ item, message }] with item
+// the index of the offending item, or null for the metadata. Only an error-free set is usable.
+export const validateProblemSet = (data) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { set: null, errors: [{ item: null, message: 'El archivo no contiene un conjunto de problemas.' }] };
+    }
+    const errors = [];
+    if (data.format !== undefined && data.format !== PROBLEM_SET_FORMAT) errors.push({ item: null, message: `Formato desconocido: «${data.format}».` });
+    if (data.version !== undefined && data.version > PROBLEM_SET_VERSION) errors.push({ item: null, message: `Versión ${data.version} no soportada.` });
+    const { convention, error } = readConvention(data.convention);
+    if (error) errors.push({ item: null, message: error });
+    if (!Array.isArray(data.items) || data.items.length === 0) errors.push({ item: null, message: 'El conjunto no tiene ítems.' });
+
+    const items = (Array.isArray(data.items) ? data.items : []).map((raw, i) => {
+        const checked = validateProblemItem(raw, convention || DEFAULT_CONVENTION);
+        if (checked.error) errors.push({ item: i, message: checked.error });
+        return checked.item;
+    });
+    return {
+        set: {
+            format: PROBLEM_SET_FORMAT,
+            version: PROBLEM_SET_VERSION,
+            title: typeof data.title === 'string' ? data.title : '',
+            instructions: typeof data.instructions === 'string' ? data.instructions : '',
+            convention: convention || DEFAULT_CONVENTION,
+            items
+        },
+        errors
+    };
+};
+
+// Reads the text of a problem-set file (see validateProblemSet for the result)
+export const parseProblemSet = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return { set: null, errors: [{ item: null, message: `El archivo no es JSON válido: ${e.message}` }] };
+    }
+    return validateProblemSet(data);
+};
+
+// JSON text of a set; built-in conventions are written by id
+export const serializeProblemSet = (set) => {
+    const { id, precedence, associativity, name } = set.convention;
+    const convention = BUILTIN_CONVENTIONS.includes(set.convention) ? id : {
+        name,
+        precedence: Object.fromEntries(BINARY_OPS.map(op => [op, precedence[op]])),
+        associativity
+    };
+    return JSON.stringify({
+        format: PROBLEM_SET_FORMAT,
+        version: PROBLEM_SET_VERSION,
+        title: set.title,
+        instructions: set.instructions,
+        convention,
+        items: set.items
+    }, null, 2);
+};
@@ -0,0 +1,63 @@
+import { parseProblemSet, validateProblemSet, validateProblemItem, serializeProblemSet, emptyProblemSet, BUILTIN_CONVENTIONS, SYMBOLS } from '.';
+
+const SET = {
+    format: 'logimaster-problem-set',
+    version: 1,
+    title: 'Repaso tema 1',
+    instructions: 'Sin apuntes.',
+    convention: 'left-imp',
+    items: [
+        { kind: 'syntax', formula: 'P ⇒ Q ⇒ R' },
+        { kind: 'evaluation', formula: 'P ⇒ Q', values: { P: 1, Q: false } },
+        { kind: 'table', formula: '(P ∨ Q) ∧ ¬R', columns: ['P ∨ Q', '¬R'] }
+    ]
+};
+
+describe('problem sets', () => {
+    it('reads a valid set and resolves its convention', () => {
+        const { set, errors } = validateProblemSet(SET);
+        expect(errors).toEqual([]);
+        expect(set.convention).toBe(BUILTIN_CONVENTIONS.find(c => c.id === 'left-imp'));
+        expect(set.items[1].values).toEqual({ P: true, Q: false });
+        expect(parseProblemSet(serializeProblemSet(set))).toEqual({ set, errors: [] });
+    });
+
+    it('reports each broken item by index', () => {
+        const { errors } = validateProblemSet({
+            ...SET,
+            items: [
+                { kind: 'syntax', formula: '(P ∧ Q) ∨ R' },
+                { kind: 'evaluation', formula: 'P ∧ Q', values: { P: true } },
+                { kind: 'table', formula: 'P ∧ Q ∨ R', columns: ['Q ∨ R'] },
+                { kind: 'table', formula: 'P ∧ (Q' },
+                { kind: 'proof', formula: 'P' }
+            ]
+        });
+        expect(errors.map(e => e.item)).toEqual([0, 1, 2, 3, 4]);
+        expect(errors[1].message).toMatch(/valor .* de Q/);
+        expect(errors[2].message).toMatch(/no es una sub-expresión/);
+        expect(validateProblemItem({ kind: 'table', formula: 'P ∧ Q ∨ R', columns: ['P ∧ Q'] }).error).toBeNull();
+    });
+
+    it('checks the metadata and embedded conventions', () => {
+        expect(parseProblemSet('{ nope').errors[0].message).toMatch(/JSON/);
+        expect(validateProblemSet(emptyProblemSet()).errors.map(e => e.message)).toEqual(['El conjunto no tiene ítems.']);
+        expect(validateProblemSet({ ...SET, convention: 'reverse' }).errors[0].message).toMatch(/desconocida/);
+
+        const precedence = { '∧': 2, '∨': 3, '⇒': 2, '⇔': 1, '⊕': 1, '↑': 3, '↓': 3, '⇐': 2 };
+        const associativity = { '∧': 'left', '∨': 'left', '⇒': 'right', '⇔': 'none', '⊕': 'left', '↑': 'none', '↓': 'none', '⇐': 'left' };
+        const { set, errors } = validateProblemSet({ ...SET, convention: { name: 'Al revés', precedence, associativity } });
+        expect(errors).toEqual([]);
+        expect(set.convention.precedence[SYMBOLS.NOT]).toBe(4);
+        expect(JSON.parse(serializeProblemSet(set)).convention).toEqual({ name: 'Al revés', precedence, associativity });
+        expect(validateProblemSet({ ...SET, convention: { precedence, associativity: { ...associativity, '∧': 'up' } } }).errors[0].message).toMatch(/asociatividad de ∧/);
+        expect(validateProblemSet({ ...SET, convention: { precedence: { ...precedence, '⇔': -1 }, associativity } }).errors[0].message)
+            .toBe('La prioridad de ⇔ debe ser un entero mayor o igual a 1.');
+        expect(validateProblemSet({ ...SET, convention: { precedence: { ...precedence, '∧': 1.5 }, associativity } }).errors).toHaveLength(1);
+
+        // A custom convention that claims a built-in id keeps its own ranks
+        const impostor = validateProblemSet({ ...SET, convention: { id: 'standard', name: 'Al revés', precedence, associativity } }).set;
+        expect(impostor.convention.id).not.toBe('standard');
+        expect(JSON.parse(serializeProblemSet(impostor)).convention).toEqual({ name: 'Al revés', precedence, associativity });
+    });
+});
@@ -0,0 +1,106 @@
+// Attempt log of the practice sections. Every attempt is
+// { skill, formula, correct, ms, error, detail, traits, missed, at }: skill is a key of
+// SKILLS, error a key of ERROR_CATEGORIES[skill] (null when correct), detail optional text
+// that pinpoints the mistake (the misgrouped subformula, the wrong column...), traits and
+// missed the traits the problem had and the ones it got wrong (see adaptive.js) and at a
+// timestamp.
+
+export const SKILLS = { syntax: 'Sintaxis', evaluation: 'Evaluación', table: 'Tablas de verdad' };
+
+export const ERROR_CATEGORIES = {
+    syntax: {
+        syntax: 'Error de sintaxis',
+        edited: 'Variables o conectores cambiados',
+        grouping: 'Agrupación incorrecta',
+        implicit: 'Agrupación implícita',
+        redundant: 'Paréntesis redundantes'
+    },
+    evaluation: {
+        value: 'Conector mal calculado',
+        order: 'Conector evaluado antes de tiempo'
+    },
+    table: {
+        subexpression: 'Columna intermedia',
+        final: 'Columna final',
+        classification: 'Clasificación'
+    }
+};
+
+// Older attempts are dropped past this many, so the log stays small in localStorage
+export const MAX_PROGRESS_ATTEMPTS = 2000;
+
+export const isAttempt = (entry) => !!entry && typeof entry === 'object' && Object.prototype.hasOwnProperty.call(SKILLS, entry.skill) &&
+    typeof entry.formula === 'string' && typeof entry.correct === 'boolean' && Number.isFinite(entry.at);
+
+// Returns the log with `attempt` appended (stamped with `at` unless it has a time already)
+export const recordAttempt = (log, attempt, at = Date.now()) =>
+    [...log, { error: null, detail: null, traits: [], missed: [], ms: 0, at, ...attempt }].slice(-MAX_PROGRESS_ATTEMPTS);
+
+// Local calendar day of a timestamp, as YYYY-MM-DD
+export const dayKey = (at) => {
+    const d = new Date(at);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// Per skill: attempts, correct, accuracy (0..1, null without attempts), average time,
+// current and best run of correct answers and the error categories by frequency
+export const summarizeProgress = (log) => Object.fromEntries(Object.keys(SKILLS).map(skill => {
+    const attempts = log.filter(a => a.skill === skill);
+    const correct = attempts.filter(a => a.correct).length;
+    let streak = 0;
+    let bestStreak = 0;
+    attempts.forEach(a => {
+        streak = a.correct ? streak + 1 : 0;
+        bestStreak = Math.max(bestStreak, streak);
+    });
+    const errors = {};
+    attempts.forEach(a => { if (!a.correct && a.error) errors[a.error] = (errors[a.error] || 0) + 1; });
+    return [skill, {
+        attempts: attempts.length,
+        correct,
+        accuracy: attempts.length > 0 ? correct / attempts.length : null,
+        averageMs: attempts.length > 0 ? attempts.reduce((sum, a) => sum + (a.ms || 0), 0) / attempts.length : null,
+        streak,
+        bestStreak,
+        errors: Object.entries(errors).map(([category, count]) => ({ category, count })).sort((a, b) => b.count - a.count)
+    }];
+}));
+
+// Accuracy of one skill per calendar day, oldest first: [{ day, attempts, correct, accuracy }]
+export const accuracyByDay = (log, skill) => {
+    const days = {};
+    log.filter(a => a.skill === skill).forEach(a => {
+        const day = dayKey(a.at);
+        days[day] = days[day] || { day, attempts: 0, correct: 0 };
+        days[day].attempts++;
+        if (a.correct) days[day].correct++;
+    });
+    return Object.values(days)
+        .sort((a, b) => a.day.localeCompare(b.day))
+        .map(d => ({ ...d, accuracy: d.correct / d.attempts }));
+};
+
+// Formulas with the most failed attempts: [{ skill, formula, misses, attempts, error }]
+// where error is the category most often behind the misses
+export const mostMissedFormulas = (log, limit = 5) => {
+    const groups = {};
+    log.forEach(a => {
+        const key = `${a.skill}|${a.formula}`;
+        groups[key] = groups[key] || { skill: a.skill, formula: a.formula, misses: 0, attempts: 0, errors: {} };
+        const group = groups[key];
+        group.attempts++;
+        if (!a.correct) {
+            group.misses++;
+            if (a.error) group.errors[a.error] = (group.errors[a.error] || 0) + 1;
+        }
+    });
+    return Object.values(groups)
+        .filter(g => g.misses > 0)
+        .sort((a, b) => b.misses - a.misses || b.misses / b.attempts - a.misses / a.attempts)
+        .slice(0, limit)
+        .map(({ errors, ...g }) => ({
+            ...g,
+            error: Object.keys(errors).sort((x, y) => errors[y] - errors[x])[0] || null
+        }));
+};
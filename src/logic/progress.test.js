@@ -0,0 +1,49 @@
+import { recordAttempt, summarizeProgress, accuracyByDay, mostMissedFormulas, isAttempt, MAX_PROGRESS_ATTEMPTS } from '.';
+
+const day = (d, h = 12) => new Date(2024, 2, d, h).getTime();
+
+const LOG = [
+    { skill: 'syntax', formula: 'P ∧ Q ∨ R', correct: false, error: 'grouping', ms: 4000, at: day(1) },
+    { skill: 'syntax', formula: 'P ∧ Q ∨ R', correct: true, ms: 2000, at: day(1, 13) },
+    { skill: 'syntax', formula: 'P ⇒ Q ⇒ R', correct: false, error: 'grouping', ms: 3000, at: day(2) },
+    { skill: 'syntax', formula: 'P ⇒ Q ⇒ R', correct: false, error: 'implicit', ms: 5000, at: day(2, 13) },
+    { skill: 'syntax', formula: 'P ⇒ Q ⇒ R', correct: true, ms: 1000, at: day(2, 14) },
+    { skill: 'table', formula: 'P ∨ ¬P', correct: true, ms: 9000, at: day(2, 15) }
+].reduce((log, attempt) => recordAttempt(log, attempt), []);
+
+describe('progress', () => {
+    it('fills in the optional fields and caps the log', () => {
+        const log = recordAttempt([], { skill: 'evaluation', formula: 'P', correct: true }, 42);
+        expect(log).toEqual([{ skill: 'evaluation', formula: 'P', correct: true, error: null, detail: null, traits: [], missed: [], ms: 0, at: 42 }]);
+        expect(isAttempt(log[0])).toBe(true);
+        expect(isAttempt({ skill: 'chess', formula: 'P', correct: true, at: 1 })).toBe(false);
+
+        const full = Array.from({ length: MAX_PROGRESS_ATTEMPTS }, (_, i) => ({ skill: 'syntax', formula: `${i}`, correct: true, at: i }));
+        const capped = recordAttempt(full, { skill: 'syntax', formula: 'new', correct: false });
+        expect(capped.length).toBe(MAX_PROGRESS_ATTEMPTS);
+        expect(capped[0].formula).toBe('1');
+    });
+
+    it('summarizes accuracy, streaks and error categories per skill', () => {
+        const { syntax, evaluation, table } = summarizeProgress(LOG);
+        expect(syntax).toMatchObject({ attempts: 5, correct: 2, accuracy: 0.4, averageMs: 3000, streak: 1, bestStreak: 1 });
+        expect(syntax.errors).toEqual([{ category: 'grouping', count: 2 }, { category: 'implicit', count: 1 }]);
+        expect(evaluation).toMatchObject({ attempts: 0, accuracy: null, averageMs: null });
+        expect(table).toMatchObject({ attempts: 1, accuracy: 1, streak: 1 });
+    });
+
+    it('groups accuracy by day', () => {
+        expect(accuracyByDay(LOG, 'syntax')).toEqual([
+            { day: '2024-03-01', attempts: 2, correct: 1, accuracy: 0.5 },
+            { day: '2024-03-02', attempts: 3, correct: 1, accuracy: 1 / 3 }
+        ]);
+    });
+
+    it('ranks the most missed formulas with their usual mistake', () => {
+        expect(mostMissedFormulas(LOG)).toEqual([
+            { skill: 'syntax', formula: 'P ⇒ Q ⇒ R', misses: 2, attempts: 3, error: 'grouping' },
+            { skill: 'syntax', formula: 'P ∧ Q ∨ R', misses: 1, attempts: 2, error: 'grouping' }
+        ]);
+        expect(mostMissedFormulas(LOG, 1).length).toBe(1);
+    });
+});
@@ -0,0 +1,32 @@
+// Seeded pseudo-random numbers, so an exercise can be reproduced from its seed
+
+// mulberry32: small, fast and good enough for drawing formulas
+export const createRng = (seed) => {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        next,
+        int: (n) => Math.floor(next() * n),
+        pick: (list) => list[Math.floor(next() * list.length)],
+        chance: (p) => next() < p
+    };
+};
+
+// Folds any number of parts (seed, level, exercise kind, counter...) into one 32-bit seed (FNV-1a)
+export const mixSeed = (...parts) => {
+    let hash = 0x811C9DC5;
+    for (const char of parts.join(':')) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+};
+
+// A fresh seed short enough to read out loud in class
+export const randomSeed = () => 1 + Math.floor(Math.random() * 9999);
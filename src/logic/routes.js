@@ -0,0 +1,49 @@
+import { normalizeNotation } from './notation';
+
+// Shareable links: the URL hash names the tab and, optionally, the exercise open in it.
+//   #/satisfaction?f=(P ∨ Q) ⇒ R&m=practice
+//   #/evaluation?f=P ⇒ Q&m=auto&v=P1.Q0       v: each variable followed by its value, '.'-separated
+// The formula may use any notation the inputs accept (ASCII aliases included); it comes
+// back normalized. Which tabs and modes exist is up to the app.
+
+// Tabs whose exercise is one formula the link can carry. The rest link to the tab alone:
+// equivalences, arguments and proofs span several formulas, and normal forms and tableaux
+// are worked step by step from a formula the student types.
+export const LINKED_EXERCISE_TABS = ['syntax', 'evaluation', 'satisfaction'];
+
+// { tab, formula, mode, values } of a location hash; missing parts are null, and so is the
+// exercise of a tab outside LINKED_EXERCISE_TABS
+export const parseRoute = (hash) => {
+    const [path, query = ''] = (hash || '').replace(/^#\/?/, '').split('?');
+    const tab = path || null;
+    const params = new URLSearchParams(LINKED_EXERCISE_TABS.includes(tab) ? query : '');
+    const formula = params.get('f');
+    const assignment = params.get('v');
+    let values = null;
+    if (assignment) {
+        values = {};
+        for (const entry of assignment.split('.')) {
+            const match = entry.match(/^([a-z][a-z0-9_]*)([01])$/i);
+            if (match) values[match[1].toUpperCase()] = match[2] === '1';
+        }
+    }
+    return {
+        tab,
+        formula: formula && formula.trim() ? normalizeNotation(formula.trim()).text : null,
+        mode: params.get('m') || null,
+        values
+    };
+};
+
+// Location hash of a route (the inverse of parseRoute)
+export const formatRoute = ({ tab, formula = null, mode = null, values = null }) => {
+    if (!LINKED_EXERCISE_TABS.includes(tab)) return `#/${tab}`;
+    const params = new URLSearchParams();
+    if (formula) params.set('f', formula);
+    if (mode) params.set('m', mode);
+    if (values && Object.keys(values).length > 0) {
+        params.set('v', Object.entries(values).map(([v, value]) => `${v}${value ? 1 : 0}`).join('.'));
+    }
+    const query = params.toString();
+    return `#/${tab}${query ? `?${query}` : ''}`;
+};
@@ -0,0 +1,26 @@
+import { parseRoute, formatRoute, LINKED_EXERCISE_TABS } from '.';
+
+describe('routes', () => {
+    it('round-trips the tab, formula, mode and assignment', () => {
+        const route = { tab: 'evaluation', formula: '(P ∨ Q) ⇒ R', mode: 'auto', values: { P: true, Q: false, R: true } };
+        const hash = formatRoute(route);
+        expect(hash).toMatch(/^#\/evaluation\?/);
+        expect(hash).toContain('v=P1.Q0.R1');
+        expect(parseRoute(hash)).toEqual(route);
+        expect(formatRoute({ tab: 'progress' })).toBe('#/progress');
+    });
+
+    it('reads hand-written links', () => {
+        expect(parseRoute('#/satisfaction?f=(P|Q)->R')).toEqual({ tab: 'satisfaction', formula: '(P∨Q)⇒R', mode: null, values: null });
+        expect(parseRoute('#/evaluation?f=p1 %26 q&v=p11.q0.x').values).toEqual({ P1: true, Q: false });
+        expect(parseRoute('')).toEqual({ tab: null, formula: null, mode: null, values: null });
+    });
+
+    it('links the other tabs without an exercise', () => {
+        expect(LINKED_EXERCISE_TABS).toEqual(['syntax', 'evaluation', 'satisfaction']);
+        for (const tab of ['normal', 'equivalence', 'arguments', 'proofs', 'tableaux']) {
+            expect(parseRoute(`#/${tab}?f=P%26Q&m=auto`)).toEqual({ tab, formula: null, mode: null, values: null });
+            expect(formatRoute({ tab, formula: 'P ∧ Q', mode: 'auto' })).toBe(`#/${tab}`);
+        }
+    });
+});
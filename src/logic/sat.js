@@ -0,0 +1,171 @@
+import { SYMBOLS, CONSTANTS } from './symbols';
+
+// Trace entries kept for the teaching view; the search itself is not limited
+export const MAX_TRACE_ENTRIES = 500;
+
+const TRUE_ATOMS = ['1', 'T', CONSTANTS.TRUE];
+const FALSE_ATOMS = ['0', 'F', CONSTANTS.FALSE];
+
+// Clauses stating x ⇔ (a op b). Literals are signed variable ids.
+const gateClauses = (op, x, a, b) => {
+    switch (op) {
+        case SYMBOLS.AND: return [[-x, a], [-x, b], [x, -a, -b]];
+        case SYMBOLS.OR: return [[x, -a], [x, -b], [-x, a, b]];
+        case SYMBOLS.IMP: return [[x, a], [x, -b], [-x, -a, b]];
+        case SYMBOLS.IFF: return [[-x, -a, b], [-x, a, -b], [x, a, b], [x, -a, -b]];
+        case SYMBOLS.RIMP: return gateClauses(SYMBOLS.IMP, x, b, a);
+        case SYMBOLS.NAND: return gateClauses(SYMBOLS.AND, -x, a, b);
+        case SYMBOLS.NOR: return gateClauses(SYMBOLS.OR, -x, a, b);
+        case SYMBOLS.XOR: return gateClauses(SYMBOLS.IFF, -x, a, b);
+        default: throw new Error(`Conector desconocido: ${op}`);
+    }
+};
+
+// Tseitin encoding: one variable per formula variable and per distinct compound
+// subformula, plus clauses tying each subformula variable to its connective. The
+// result is equisatisfiable with `ast` and only linearly larger.
+// Returns { clauses, names, atoms, definitions }: names[id] labels variable id (1-based;
+// subformula variables are t1, t2, ...), atoms maps each formula variable to its id and
+// definitions lists each subformula variable as { id, text } with text like "t2 ≡ t1 ∨ R".
+export const tseitin = (ast) => {
+    const names = [null];
+    const atoms = {};
+    const gates = new Map();
+    const definitions = [];
+    const clauses = [];
+    let truth = null;
+
+    const fresh = (name) => {
+        names.push(name);
+        return names.length - 1;
+    };
+
+    const encode = (node) => {
+        if (node.type === 'ATOM') {
+            if (TRUE_ATOMS.includes(node.value) || FALSE_ATOMS.includes(node.value)) {
+                if (truth === null) {
+                    truth = fresh(CONSTANTS.TRUE);
+                    clauses.push([truth]);
+                }
+                return TRUE_ATOMS.includes(node.value) ? truth : -truth;
+            }
+            const key = node.value.toUpperCase();
+            if (!atoms[key]) atoms[key] = fresh(key);
+            return atoms[key];
+        }
+        // Negation needs no variable of its own
+        if (node.type === 'NOT') return -encode(node.left);
+
+        const key = node.toFullString();
+        if (gates.has(key)) return gates.get(key);
+        const a = encode(node.left);
+        const b = encode(node.right);
+        const x = fresh(`t${definitions.length + 1}`);
+        const show = (lit) => lit > 0 ? names[lit] : `${SYMBOLS.NOT}${names[-lit]}`;
+        definitions.push({ id: x, text: `${names[x]} ≡ ${show(a)} ${node.value} ${show(b)}` });
+        gates.set(key, x);
+        clauses.push(...gateClauses(node.value, x, a, b));
+        return x;
+    };
+
+    clauses.push([encode(ast)]);
+    return { clauses, names, atoms, definitions };
+};
+
+// DPLL over clauses of signed ids 1..variableCount: unit propagation and pure-literal
+// elimination at every node, then a decision on the first open literal of the first
+// unsatisfied clause. Returns { satisfiable, values, trace, traceTruncated, stats } where
+// values[id] is 1, -1 or 0 (free) and trace entries are
+// { type: 'decide' | 'propagate' | 'pure' | 'conflict', literal?, clause?, depth }.
+export const dpll = (clauses, variableCount) => {
+    const values = new Array(variableCount + 1).fill(0);
+    const trail = [];
+    const trace = [];
+    const stats = { decisions: 0, propagations: 0, pureLiterals: 0, conflicts: 0 };
+
+    const log = (entry) => { if (trace.length < MAX_TRACE_ENTRIES) trace.push(entry); };
+    const valueOf = (lit) => values[Math.abs(lit)] * Math.sign(lit);
+    const assign = (lit) => {
+        values[Math.abs(lit)] = Math.sign(lit);
+        trail.push(lit);
+    };
+    const undoTo = (size) => {
+        while (trail.length > size) values[Math.abs(trail.pop())] = 0;
+    };
+    const isSatisfied = (clause) => clause.some(lit => valueOf(lit) === 1);
+
+    // Returns the clause every literal of which is false, or null
+    const propagate = (depth) => {
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const clause of clauses) {
+                if (isSatisfied(clause)) continue;
+                const open = clause.filter(lit => valueOf(lit) === 0);
+                if (open.length === 0) return clause;
+                if (open.length === 1) {
+                    assign(open[0]);
+                    stats.propagations++;
+                    log({ type: 'propagate', literal: open[0], clause, depth });
+                    changed = true;
+                }
+            }
+        }
+        return null;
+    };
+
+    // A variable seen with a single polarity among the open clauses can be set to satisfy
+    // them all; doing so never falsifies a clause, so no new propagation follows
+    const eliminatePure = (depth) => {
+        const polarity = new Map();
+        clauses.filter(clause => !isSatisfied(clause)).forEach(clause => clause.forEach(lit => {
+            if (valueOf(lit) !== 0) return;
+            const v = Math.abs(lit);
+            const seen = polarity.get(v);
+            polarity.set(v, seen === undefined || seen === Math.sign(lit) ? Math.sign(lit) : 0);
+        }));
+        polarity.forEach((sign, v) => {
+            if (sign === 0) return;
+            assign(sign * v);
+            stats.pureLiterals++;
+            log({ type: 'pure', literal: sign * v, depth });
+        });
+    };
+
+    const search = (depth) => {
+        const conflict = propagate(depth);
+        if (conflict) {
+            stats.conflicts++;
+            log({ type: 'conflict', clause: conflict, depth });
+            return false;
+        }
+        eliminatePure(depth);
+
+        const open = clauses.find(clause => !isSatisfied(clause));
+        if (!open) return true;
+        const choice = open.find(lit => valueOf(lit) === 0);
+        for (const lit of [choice, -choice]) {
+            const mark = trail.length;
+            stats.decisions++;
+            log({ type: 'decide', literal: lit, depth });
+            assign(lit);
+            if (search(depth + 1)) return true;
+            undoTo(mark);
+        }
+        return false;
+    };
+
+    const satisfiable = search(0);
+    return { satisfiable, values, trace, traceTruncated: trace.length >= MAX_TRACE_ENTRIES, stats };
+};
+
+// Decides satisfiability of `ast` through its Tseitin CNF. `model` assigns every formula
+// variable (free ones default to false) and is null when the formula is unsatisfiable.
+export const solveSAT = (ast) => {
+    const { clauses, names, atoms, definitions } = tseitin(ast);
+    const { satisfiable, values, trace, traceTruncated, stats } = dpll(clauses, names.length - 1);
+    const model = satisfiable
+        ? Object.fromEntries(Object.keys(atoms).sort().map(name => [name, values[atoms[name]] === 1]))
+        : null;
+    return { satisfiable, model, clauses, names, definitions, trace, traceTruncated, stats };
+};
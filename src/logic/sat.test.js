@@ -0,0 +1,46 @@
+import { parseToAST, tseitin, solveSAT, dpll, classifyFormula, solveProposition, createRng, generateFormula, generateClausalFormula } from '.';
+
+describe('solveSAT', () => {
+    it('agrees with the truth table and returns real models', () => {
+        const rng = createRng(4);
+        for (let i = 0; i < 30; i++) {
+            const ast = parseToAST(generateFormula(rng, { vars: ['P', 'Q', 'R'], depth: 4 }));
+            const { satisfiable, model } = solveSAT(ast);
+            expect(satisfiable).toBe(classifyFormula(ast).kind !== 'contradiction');
+            if (satisfiable) expect(solveProposition(ast, model)).toBe(true);
+        }
+    });
+
+    it('handles constants and every connective', () => {
+        expect(solveSAT(parseToAST('⊤ ∧ ¬⊥ ∧ (P ↑ Q) ∧ (P ↓ ¬Q) ∧ (P ⊕ Q) ∧ (Q ⇐ P)')).satisfiable).toBe(true);
+        expect(solveSAT(parseToAST('(P ⇔ Q) ∧ (P ⊕ Q)')).satisfiable).toBe(false);
+    });
+
+    it('solves formulas far beyond truth-table size', () => {
+        const ast = parseToAST(generateClausalFormula(createRng(5), 40, 120));
+        const { satisfiable, model } = solveSAT(ast);
+        if (satisfiable) expect(solveProposition(ast, model)).toBe(true);
+    });
+});
+
+describe('tseitin', () => {
+    it('names one variable per distinct subformula', () => {
+        const { clauses, atoms, definitions } = tseitin(parseToAST('(P ∧ Q) ∨ ¬(P ∧ Q)'));
+        expect(atoms).toEqual({ P: 1, Q: 2 });
+        expect(definitions.map(d => d.text)).toEqual(['t1 ≡ P ∧ Q', 't2 ≡ t1 ∨ ¬t1']);
+        expect(clauses[clauses.length - 1]).toEqual([4]);
+    });
+});
+
+describe('dpll', () => {
+    it('refutes the pigeonhole principle for 3 pigeons in 2 holes', () => {
+        // Variable 2p + h - 2 means pigeon p (1..3) sits in hole h (1..2)
+        const v = (p, h) => 2 * p + h - 2;
+        const clauses = [[v(1, 1), v(1, 2)], [v(2, 1), v(2, 2)], [v(3, 1), v(3, 2)]];
+        [1, 2].forEach(h => [[1, 2], [1, 3], [2, 3]].forEach(([a, b]) => clauses.push([-v(a, h), -v(b, h)])));
+        const { satisfiable, stats, trace } = dpll(clauses, 6);
+        expect(satisfiable).toBe(false);
+        expect(stats.conflicts).toBeGreaterThan(0);
+        expect(trace.some(entry => entry.type === 'propagate')).toBe(true);
+    });
+});
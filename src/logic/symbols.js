@@ -0,0 +1,24 @@
+// Canonical symbols shared by the whole logic engine
+
+export const SYMBOLS = {
+    NOT: '¬',
+    AND: '∧',
+    OR: '∨',
+    IMP: '⇒',
+    IFF: '⇔',
+    XOR: '⊕',
+    NAND: '↑',
+    NOR: '↓',
+    RIMP: '⇐'
+};
+
+// Truth constants (verum / falsum)
+export const CONSTANTS = {
+    TRUE: '⊤',
+    FALSE: '⊥'
+};
+
+export const BINARY_OPS = [SYMBOLS.AND, SYMBOLS.OR, SYMBOLS.IMP, SYMBOLS.IFF, SYMBOLS.XOR, SYMBOLS.NAND, SYMBOLS.NOR, SYMBOLS.RIMP];
+
+// Variable names on offer (keyboard, generators). T and F read as the constants ⊤ and ⊥.
+export const VARS = ['P', 'Q', 'R', 'S', 'U'];
@@ -0,0 +1,136 @@
+import { SYMBOLS } from './symbols';
+import { DEFAULT_CONVENTION } from './conventions';
+import { NOTATION_ALIASES } from './notation';
+import { parseToAST } from './parser';
+import { getSubExpressions, getVariables } from './ast';
+import { toMinimalString } from './printer';
+import { solveProposition, enumerateAssignments } from './evaluate';
+
+// Truth tables as files: the answer key, or a blank worksheet with the same rows and
+// columns (only the variable columns filled in).
+export const TABLE_EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', type: 'text/csv' },
+    latex: { label: 'LaTeX', extension: 'tex', type: 'application/x-tex' },
+    markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown' },
+    html: { label: 'HTML imprimible', extension: 'html', type: 'text/html' }
+};
+
+const bit = (value) => value ? '1' : '0';
+
+// The table of `formula` with one column per sub-expression in `columns` (any notation;
+// by default every proper subformula, innermost first, as the table section shows them):
+//   { formula, variables, columns: [label], rows: [{ values: [bool], cells: [bool], result }] }
+export const buildTruthTable = (formula, convention = DEFAULT_CONVENTION, columns = null) => {
+    const ast = parseToAST(formula, convention);
+    const variables = getVariables(ast);
+    const full = ast.toFullString();
+    const subs = (columns || [...getSubExpressions(ast)].filter(s => s !== full).sort((a, b) => a.length - b.length))
+        .map(column => parseToAST(column, convention));
+    return {
+        formula: toMinimalString(ast, convention),
+        variables,
+        columns: subs.map(sub => toMinimalString(sub, convention)),
+        rows: enumerateAssignments(variables).map(values => ({
+            values: variables.map(v => values[v]),
+            cells: subs.map(sub => solveProposition(sub, values)),
+            result: solveProposition(ast, values)
+        }))
+    };
+};
+
+// Header and body cells as text; a worksheet leaves all but the variables empty
+const tableCells = (table, blank) => ({
+    header: [...table.variables, ...table.columns, table.formula],
+    body: table.rows.map(row => [
+        ...row.values.map(bit),
+        ...(blank ? row.cells.map(() => '') : row.cells.map(bit)),
+        blank ? '' : bit(row.result)
+    ])
+});
+
+const csvField = (text) => /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+const toCsv = ({ header, body }) => [header, ...body].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+
+// The first LaTeX spelling the parser accepts for each symbol, so the output reads back in
+const LATEX_COMMANDS = Object.fromEntries(Object.entries(NOTATION_ALIASES)
+    .map(([symbol, aliases]) => [symbol, aliases.find(a => a.startsWith('\\'))]));
+
+// Formula text in math mode: connectives as commands, everything else as printed
+export const formulaToLatex = (text) => [...text].map(char => {
+    if (char === SYMBOLS.NOT) return `${LATEX_COMMANDS[char]} `;
+    return LATEX_COMMANDS[char] || char;
+}).join('');
+
+const toLatex = (table, { header, body }, blank) => {
+    const spec = [
+        'c'.repeat(table.variables.length),
+        ...(table.columns.length > 0 ? ['c'.repeat(table.columns.length)] : []),
+        'c'
+    ].join('|');
+    // Worksheet rows get some room to write in
+    const line = (cells, room = false) => `${cells.join(' & ')} \\\\${room ? '[1ex]' : ''}`;
+    return [
+        `% Tabla de verdad de ${table.formula}`,
+        `\\begin{tabular}{${spec}}`,
+        line(header.map(h => `$${formulaToLatex(h)}$`)),
+        '\\hline',
+        ...body.map(cells => line(cells, blank)),
+        '\\end{tabular}',
+        ''
+    ].join('\n');
+};
+
+const toMarkdown = ({ header, body }) => {
+    const line = (cells) => `| ${cells.map(c => c || ' ').join(' | ')} |`;
+    return [line(header), line(header.map(() => ':-:')), ...body.map(line)].join('\n') + '\n';
+};
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const toHtml = (table, { header, body }, blank) => {
+    const first = table.variables.length;
+    const last = header.length - 1;
+    // Thick borders between the variables, the sub-expressions and the result
+    const cls = (i) => i === first || i === last ? ' class="sep"' : '';
+    const row = (cells, tag) => `<tr>${cells.map((c, i) => `<${tag}${cls(i)}>${escapeHtml(c)}</${tag}>`).join('')}</tr>`;
+    const title = `Tabla de verdad: ${table.formula}`;
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Georgia, serif; margin: 2rem; color: #111; }
+h1 { font-size: 1.2rem; font-weight: normal; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #444; padding: 0.35rem 0.8rem; text-align: center; font-family: 'Courier New', monospace; min-width: 2rem; }
+th { background: #eee; }
+td { height: 1.4rem; }
+.sep { border-left: 3px double #444; }
+.name { margin-bottom: 1.5rem; }
+@media print { body { margin: 0; } th { background: none; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${blank ? '<p class="name">Nombre: ______________________________</p>\n' : ''}<table>
+<thead>${row(header, 'th')}</thead>
+<tbody>
+${body.map(cells => row(cells, 'td')).join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+};
+
+// The file text of a table in one of TABLE_EXPORT_FORMATS. blank: worksheet instead of key.
+export const exportTruthTable = (table, format, { blank = false } = {}) => {
+    const cells = tableCells(table, blank);
+    if (format === 'csv') return toCsv(cells);
+    if (format === 'latex') return toLatex(table, cells, blank);
+    if (format === 'markdown') return toMarkdown(cells);
+    if (format === 'html') return toHtml(table, cells, blank);
+    throw new Error(`Unknown table export format: ${format}`);
+};
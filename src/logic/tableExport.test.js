@@ -0,0 +1,34 @@
+import { buildTruthTable, exportTruthTable, formulaToLatex, parseToAST } from '.';
+
+describe('table export', () => {
+    const table = buildTruthTable('(P ∨ Q) ⇒ ¬Q');
+
+    it('builds the rows and sub-expression columns of the table section', () => {
+        expect(table.formula).toBe('P ∨ Q ⇒ ¬Q');
+        expect(table.variables).toEqual(['P', 'Q']);
+        expect(table.columns).toEqual(['¬Q', 'P ∨ Q']);
+        expect(table.rows.map(r => r.result)).toEqual([false, true, false, true]);
+        expect(buildTruthTable('(P ∨ Q) ⇒ ¬Q', undefined, ['P ∨ Q']).columns).toEqual(['P ∨ Q']);
+    });
+
+    it('writes the key and the blank worksheet', () => {
+        expect(exportTruthTable(table, 'csv')).toBe('P,Q,¬Q,P ∨ Q,P ∨ Q ⇒ ¬Q\n1,1,0,1,0\n1,0,1,1,1\n0,1,0,1,0\n0,0,1,0,1\n');
+        expect(exportTruthTable(table, 'csv', { blank: true }).split('\n')[2]).toBe('1,0,,,');
+        expect(exportTruthTable(table, 'markdown', { blank: true }).split('\n').slice(0, 3)).toEqual([
+            '| P | Q | ¬Q | P ∨ Q | P ∨ Q ⇒ ¬Q |', '| :-: | :-: | :-: | :-: | :-: |', '| 1 | 1 |   |   |   |'
+        ]);
+        const html = exportTruthTable(table, 'html', { blank: true });
+        expect(html).toContain('<th class="sep">¬Q</th>');
+        expect(html).toContain('Nombre:');
+        expect(html).not.toMatch(/<td[^>]*>[01]<\/td><td class="sep">[01]/);
+    });
+
+    it('typesets LaTeX that reads back as the same formula', () => {
+        const latex = exportTruthTable(table, 'latex');
+        expect(latex).toContain('\\begin{tabular}{cc|cc|c}');
+        expect(latex).toContain('$P \\lor Q \\to \\neg Q$ \\\\');
+        expect(latex).toContain('1 & 0 & 1 & 1 & 1 \\\\');
+        expect(exportTruthTable(table, 'latex', { blank: true })).toContain('1 & 0 &  &  &  \\\\[1ex]');
+        expect(parseToAST(formulaToLatex('¬(P ∧ ⊤) ⇔ Q')).toFullString()).toBe(parseToAST('¬(P ∧ ⊤) ⇔ Q').toFullString());
+    });
+});
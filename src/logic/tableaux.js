@@ -0,0 +1,186 @@
+import { SYMBOLS, CONSTANTS } from './symbols';
+import { ASTNode, sameFormula } from './ast';
+
+// Automatic trees stop growing past this many nodes: β rules double the open branches
+export const MAX_TABLEAU_NODES = 400;
+
+const TRUE_ATOMS = ['1', 'T', CONSTANTS.TRUE];
+const FALSE_ATOMS = ['0', 'F', CONSTANTS.FALSE];
+
+const not = (a) => new ASTNode('NOT', SYMBOLS.NOT, a);
+
+// Expansion of a formula: { kind: 'alpha' | 'beta', rule, branches } where an α rule has
+// one branch (all components go on the same branch) and a β rule two. Null for literals.
+export const tableauRule = (node) => {
+    const alpha = (rule, ...components) => ({ kind: 'alpha', rule, branches: [components] });
+    const beta = (rule, left, right) => ({ kind: 'beta', rule, branches: [left, right] });
+
+    if (node.type === 'BIN') {
+        const { left: a, right: b } = node;
+        switch (node.value) {
+            case SYMBOLS.AND: return alpha(SYMBOLS.AND, a, b);
+            case SYMBOLS.OR: return beta(SYMBOLS.OR, [a], [b]);
+            case SYMBOLS.IMP: return beta(SYMBOLS.IMP, [not(a)], [b]);
+            case SYMBOLS.RIMP: return beta(SYMBOLS.RIMP, [a], [not(b)]);
+            case SYMBOLS.IFF: return beta(SYMBOLS.IFF, [a, b], [not(a), not(b)]);
+            case SYMBOLS.XOR: return beta(SYMBOLS.XOR, [a, not(b)], [not(a), b]);
+            case SYMBOLS.NAND: return beta(SYMBOLS.NAND, [not(a)], [not(b)]);
+            case SYMBOLS.NOR: return alpha(SYMBOLS.NOR, not(a), not(b));
+            default: return null;
+        }
+    }
+    if (node.type !== 'NOT' || node.left.type === 'ATOM') return null;
+
+    const inner = node.left;
+    if (inner.type === 'NOT') return alpha(`${SYMBOLS.NOT}${SYMBOLS.NOT}`, inner.left);
+    const { left: a, right: b } = inner;
+    const rule = `${SYMBOLS.NOT}${inner.value}`;
+    switch (inner.value) {
+        case SYMBOLS.AND: return beta(rule, [not(a)], [not(b)]);
+        case SYMBOLS.OR: return alpha(rule, not(a), not(b));
+        case SYMBOLS.IMP: return alpha(rule, a, not(b));
+        case SYMBOLS.RIMP: return alpha(rule, not(a), b);
+        case SYMBOLS.IFF: return beta(rule, [a, not(b)], [not(a), b]);
+        case SYMBOLS.XOR: return beta(rule, [a, b], [not(a), not(b)]);
+        case SYMBOLS.NAND: return alpha(rule, a, b);
+        case SYMBOLS.NOR: return beta(rule, [a], [b]);
+        default: return null;
+    }
+};
+
+// A fresh tableau with `formulas` on its root. Nodes hold the entries added at that
+// point of the tree; entries remember the node they live on, the entry they came from
+// and whether they have been expanded already.
+export const createTableau = (formulas) => ({
+    nodes: [{ id: 0, parent: null, entries: formulas.map((_, i) => i), children: [] }],
+    entries: formulas.map((ast, i) => ({ id: i, ast, node: 0, from: null, used: false }))
+});
+
+const pathTo = (tableau, nodeId) => {
+    const path = [];
+    for (let id = nodeId; id !== null; id = tableau.nodes[id].parent) path.unshift(id);
+    return path;
+};
+
+// Entries on the branch from the root down to `nodeId`
+export const branchEntries = (tableau, nodeId) =>
+    pathTo(tableau, nodeId).flatMap(id => tableau.nodes[id].entries.map(e => tableau.entries[e]));
+
+// Returns the entries that close the branch: a formula and its negation (p closes with ¬P),
+// or a single falsum (⊥, ¬⊤). Null while the branch is open.
+export const branchClosure = (tableau, nodeId) => {
+    const entries = branchEntries(tableau, nodeId);
+    for (const entry of entries) {
+        const { ast } = entry;
+        if (ast.type === 'ATOM' && FALSE_ATOMS.includes(ast.value)) return [entry];
+        if (ast.type === 'NOT' && ast.left.type === 'ATOM' && TRUE_ATOMS.includes(ast.left.value)) return [entry];
+        if (ast.type !== 'NOT') continue;
+        const complement = entries.find(other => sameFormula(other.ast, ast.left));
+        if (complement) return [complement, entry];
+    }
+    return null;
+};
+
+const leavesUnder = (tableau, nodeId) => {
+    const node = tableau.nodes[nodeId];
+    return node.children.length === 0 ? [nodeId] : node.children.flatMap(c => leavesUnder(tableau, c));
+};
+
+// Open leaves whose branch goes through the entry: the ones an expansion would extend
+export const openLeavesThrough = (tableau, entryId) =>
+    leavesUnder(tableau, tableau.entries[entryId].node).filter(leaf => !branchClosure(tableau, leaf));
+
+// Expands the entry on every open branch through it and returns the new tableau
+export const expandEntry = (tableau, entryId) => {
+    const rule = tableauRule(tableau.entries[entryId].ast);
+    if (!rule) return tableau;
+    const nodes = tableau.nodes.map(n => ({ ...n, children: [...n.children] }));
+    const entries = tableau.entries.map(e => e.id === entryId ? { ...e, used: true } : e);
+    openLeavesThrough(tableau, entryId).forEach(leaf => {
+        rule.branches.forEach(components => {
+            const id = nodes.length;
+            const added = components.map(ast => {
+                entries.push({ id: entries.length, ast, node: id, from: entryId, used: false });
+                return entries.length - 1;
+            });
+            nodes.push({ id, parent: leaf, entries: added, children: [] });
+            nodes[leaf].children.push(id);
+        });
+    });
+    return { nodes, entries };
+};
+
+// Entries still waiting for expansion on some open branch
+export const pendingEntries = (tableau) => tableau.entries.filter(e =>
+    !e.used && tableauRule(e.ast) && openLeavesThrough(tableau, e.id).length > 0);
+
+// Summary of the leaves. An open branch is complete when every formula on it has been
+// expanded; its literals then describe a model (variables not on it are free).
+export const tableauStatus = (tableau) => {
+    const branches = leavesUnder(tableau, 0).map(leaf => {
+        const closure = branchClosure(tableau, leaf);
+        const entries = branchEntries(tableau, leaf);
+        const complete = !closure && entries.every(e => e.used || !tableauRule(e.ast));
+        const model = {};
+        if (complete) {
+            entries.forEach(({ ast }) => {
+                if (ast.type === 'ATOM' && !TRUE_ATOMS.includes(ast.value)) model[ast.value.toUpperCase()] = true;
+                if (ast.type === 'NOT' && ast.left.type === 'ATOM' && !FALSE_ATOMS.includes(ast.left.value)) model[ast.left.value.toUpperCase()] = false;
+            });
+        }
+        return { leaf, closure, complete, model: complete ? model : null };
+    });
+    const open = branches.filter(b => !b.closure);
+    return {
+        branches,
+        closed: open.length === 0,
+        finished: open.length === 0 || open.some(b => b.complete) || pendingEntries(tableau).length === 0,
+        openComplete: open.filter(b => b.complete)
+    };
+};
+
+// Builds the whole tree, α rules first so that β splits copy as little as possible.
+// Stops early once a complete open branch exists (it already proves satisfiability).
+export const buildTableau = (formulas) => {
+    let tableau = createTableau(formulas);
+    while (tableau.nodes.length < MAX_TABLEAU_NODES) {
+        const status = tableauStatus(tableau);
+        if (status.closed || status.openComplete.length > 0) return { tableau, truncated: false };
+        const pending = pendingEntries(tableau);
+        if (pending.length === 0) return { tableau, truncated: false };
+        const next = pending.find(e => tableauRule(e.ast).kind === 'alpha') || pending[0];
+        tableau = expandEntry(tableau, next.id);
+    }
+    return { tableau, truncated: true };
+};
+
+// Multiset comparison of two formula lists
+const sameFormulas = (xs, ys) => {
+    if (xs.length !== ys.length) return false;
+    const left = [...ys];
+    return xs.every(x => {
+        const i = left.findIndex(y => sameFormula(x, y));
+        if (i < 0) return false;
+        left.splice(i, 1);
+        return true;
+    });
+};
+
+// Validates a student's expansion of `ast`: kind is 'alpha' or 'beta' and branches lists
+// the formulas written on each new branch. Returns null when it matches the rule, or an
+// explanation; `show` prints a formula.
+export const checkExpansion = (ast, kind, branches, show) => {
+    const rule = tableauRule(ast);
+    if (!rule) return `${show(ast)} es un literal: no se descompone.`;
+    const expected = rule.branches.map(b => b.map(show).join(', ')).join(' | ');
+    if (kind !== rule.kind) {
+        return rule.kind === 'alpha'
+            ? `${show(ast)} es una fórmula α: sus componentes van juntos en la misma rama (${expected}).`
+            : `${show(ast)} es una fórmula β: abre dos ramas (${expected}).`;
+    }
+    const matches = rule.kind === 'alpha'
+        ? sameFormulas(branches[0], rule.branches[0])
+        : (sameFormulas(branches[0], rule.branches[0]) && sameFormulas(branches[1], rule.branches[1])) ||
+          (sameFormulas(branches[0], rule.branches[1]) && sameFormulas(branches[1], rule.branches[0]));
+    return matches ? null : `De ${show(ast)} se obtiene ${expected}.`;
+};
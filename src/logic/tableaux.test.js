@@ -0,0 +1,62 @@
+import { parseToAST, toMinimalString, tableauRule, createTableau, expandEntry, tableauStatus, buildTableau, checkExpansion } from '.';
+
+const show = (ast) => toMinimalString(ast);
+
+describe('tableauRule', () => {
+    it('tells α from β formulas', () => {
+        const rule = (text) => {
+            const { kind, branches } = tableauRule(parseToAST(text));
+            return [kind, branches.map(b => b.map(show))];
+        };
+        expect(rule('¬(P ∨ Q)')).toEqual(['alpha', [['¬P', '¬Q']]]);
+        expect(rule('P ⇒ Q')).toEqual(['beta', [['¬P'], ['Q']]]);
+        expect(rule('¬(P ⇔ Q)')).toEqual(['beta', [['P', '¬Q'], ['¬P', 'Q']]]);
+        expect(rule('¬¬P')).toEqual(['alpha', [['P']]]);
+        expect(tableauRule(parseToAST('¬P'))).toBeNull();
+    });
+});
+
+describe('buildTableau', () => {
+    it('closes every branch of an unsatisfiable formula', () => {
+        const { tableau } = buildTableau([parseToAST('(P ∨ Q) ∧ ¬P ∧ ¬Q')]);
+        expect(tableauStatus(tableau).closed).toBe(true);
+    });
+
+    it('reads variable names in any case', () => {
+        expect(tableauStatus(buildTableau([parseToAST('p ∧ ¬P')]).tableau).closed).toBe(true);
+        const { tableau } = buildTableau([parseToAST('p ∧ ¬q')]);
+        expect(tableauStatus(tableau).openComplete[0].model).toEqual({ P: true, Q: false });
+    });
+
+    it('proves validity by refuting the negation', () => {
+        const { tableau } = buildTableau([parseToAST('¬((P ⇒ Q) ∧ (Q ⇒ R) ⇒ (P ⇒ R))')]);
+        expect(tableauStatus(tableau).closed).toBe(true);
+    });
+
+    it('reads a model off a complete open branch', () => {
+        const { tableau } = buildTableau([parseToAST('¬(P ⇒ Q)')]);
+        const status = tableauStatus(tableau);
+        expect(status.closed).toBe(false);
+        expect(status.openComplete[0].model).toEqual({ P: true, Q: false });
+    });
+});
+
+describe('guided expansion', () => {
+    it('extends only the open branches through the entry', () => {
+        let tableau = createTableau([parseToAST('P ∨ Q'), parseToAST('¬P'), parseToAST('R ∧ S')]);
+        tableau = expandEntry(tableau, 0);
+        const status = tableauStatus(tableau);
+        expect(status.branches.map(b => !!b.closure)).toEqual([true, false]);
+        tableau = expandEntry(tableau, 2);
+        expect(tableau.nodes.length).toBe(4);
+        expect(tableauStatus(tableau).openComplete[0].model).toEqual({ P: false, Q: true, R: true, S: true });
+    });
+
+    it('explains a wrong expansion', () => {
+        const ast = parseToAST('¬(P ∧ Q)');
+        expect(checkExpansion(ast, 'beta', [[parseToAST('¬Q')], [parseToAST('¬P')]], show)).toBeNull();
+        expect(checkExpansion(ast, 'alpha', [[parseToAST('¬P'), parseToAST('¬Q')]], show))
+            .toBe('¬(P ∧ Q) es una fórmula β: abre dos ramas (¬P | ¬Q).');
+        expect(checkExpansion(ast, 'beta', [[parseToAST('P')], [parseToAST('¬Q')]], show)).toBe('De ¬(P ∧ Q) se obtiene ¬P | ¬Q.');
+    });
+});
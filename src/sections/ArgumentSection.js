@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { Plus, X, CheckCircle, AlertCircle, BookOpen } from 'lucide-react';
+import { tryParse, analyzeArgument, recognizeArgumentForm } from '../logic';
+import { NOTATION_HINT, normalizeInputEvent, LogicKeyboard, SyntaxErrorNotice } from '../components/common';
+
+// The joint table enumerates every row, so keep it within reason
+const MAX_ARGUMENT_VARS = 8;
+
+const bit = (value) => value ? '1' : '0';
+const parseField = (text, convention) => text.trim() === '' ? { ast: null, error: null } : tryParse(text, convention);
+
+export const ArgumentSection = ({ convention }) => {
+    const [premises, setPremises] = useState(["P ⇒ Q", "Q"]);
+    const [conclusion, setConclusion] = useState("P");
+    const [active, setActive] = useState(0); // premise index that receives keyboard inserts, or 'conclusion'
+
+    const parsedPremises = premises.map(p => parseField(p, convention));
+    const parsedConclusion = parseField(conclusion, convention);
+    const ready = parsedPremises.every(p => p.ast) && parsedConclusion.ast;
+    const analysis = ready && analyzeArgument(parsedPremises.map(p => p.ast), parsedConclusion.ast);
+    const tooBig = analysis && analysis.variables.length > MAX_ARGUMENT_VARS;
+    const form = ready && recognizeArgumentForm(parsedPremises.map(p => p.ast), parsedConclusion.ast);
+    const counterexamples = analysis ? analysis.rows.filter(r => r.counterexample).length : 0;
+    const criticalCount = analysis ? analysis.rows.filter(r => r.critical).length : 0;
+
+    const setPremise = (i, value) => setPremises(prev => prev.map((p, j) => j === i ? value : p));
+    const addPremise = () => {
+        setPremises(prev => [...prev, ""]);
+        setActive(premises.length);
+    };
+    const removePremise = (i) => {
+        setPremises(prev => prev.filter((_, j) => j !== i));
+        setActive('conclusion');
+    };
+
+    const insert = (char) => {
+        if (active === 'conclusion') setConclusion(prev => prev + char);
+        else setPremise(active, premises[active] + char);
+    };
+
+    const field = (label, value, onChange, parsed, key, extra = null) => (
+        <div key={key} className="space-y-2">
+            <div className="flex items-center gap-2">
+                <span className="font-bold text-slate-500 w-10 text-right">{label}</span>
+                <input
+                    value={value}
+                    onFocus={() => setActive(key)}
+                    onChange={e => onChange(normalizeInputEvent(e))}
+                    className={`flex-1 text-xl font-mono p-3 border-2 rounded outline-none ${parsed.error ? 'border-red-400 focus:border-red-500' : 'border-slate-300 focus:border-teal-500'}`}
+                />
+                {extra}
+            </div>
+            {parsed.error && (
+                <div className="text-center">
+                    <SyntaxErrorNotice source={value} error={parsed.error} />
+                </div>
+            )}
+        </div>
+    );
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-teal-50 p-4 rounded border-l-4 border-teal-500">
+                <h3 className="text-teal-900 font-bold">Validez de Argumentos</h3>
+                <p className="text-sm text-teal-800">
+                    Un argumento es válido si en toda fila crítica (todas las premisas verdaderas) la conclusión también es verdadera.
+                </p>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow border border-slate-200 space-y-4">
+                {premises.map((p, i) => field(`P${i + 1}`, p, value => setPremise(i, value), parsedPremises[i], i,
+                    premises.length > 1 && (
+                        <button onClick={() => removePremise(i)} title="Quitar premisa" className="text-slate-400 hover:text-red-500 p-2">
+                            <X className="w-5 h-5" />
+                        </button>
+                    )
+                ))}
+                <button onClick={addPremise} className="ml-12 text-sm font-bold text-teal-700 hover:text-teal-900 flex items-center gap-1">
+                    <Plus className="w-4 h-4" /> Añadir premisa
+                </button>
+                <div className="border-t-2 border-slate-300 ml-12" />
+                {field('⊨', conclusion, setConclusion, parsedConclusion, 'conclusion')}
+
+                <LogicKeyboard onInsert={insert} />
+                <p className="text-xs text-slate-400 font-mono text-center -mt-2">{NOTATION_HINT}</p>
+
+                {analysis && !tooBig && (
+                    <div className="space-y-4 pt-4 border-t border-slate-100">
+                        <div className="flex flex-wrap justify-center gap-3">
+                            {analysis.valid ? (
+                                <div className="inline-flex items-center gap-2 text-green-700 font-bold bg-green-50 px-4 py-2 rounded">
+                                    <CheckCircle className="w-5 h-5" />
+                                    {criticalCount === 0
+                                        ? 'Válido: las premisas nunca son verdaderas a la vez (no hay filas críticas).'
+                                        : `Válido: la conclusión es verdadera en las ${criticalCount} filas críticas.`}
+                                </div>
+                            ) : (
+                                <div className="inline-flex items-center gap-2 text-red-700 font-bold bg-red-50 px-4 py-2 rounded">
+                                    <AlertCircle className="w-5 h-5" />
+                                    Inválido: {counterexamples === 1 ? '1 contraejemplo' : `${counterexamples} contraejemplos`} (filas críticas con conclusión falsa).
+                                </div>
+                            )}
+                            {form && (
+                                <div className={`inline-flex items-center gap-2 font-bold px-4 py-2 rounded ${form.valid ? 'bg-sky-50 text-sky-800' : 'bg-amber-50 text-amber-800'}`}>
+                                    <BookOpen className="w-5 h-5" /> {form.valid ? form.name : `Falacia: ${form.name.toLowerCase()}`}
+                                </div>
+                            )}
+                        </div>
+
+                        <div className="overflow-x-auto rounded-lg border border-slate-300">
+                            <table className="w-full text-center text-sm md:text-base">
+                                <thead className="bg-slate-800 text-white">
+                                    <tr>
+                                        {analysis.variables.map(v => <th key={v} className="py-3 px-2 bg-slate-700">{v}</th>)}
+                                        {premises.map((p, i) => (
+                                            <th key={i} className="py-3 px-4 bg-slate-600 border-l border-slate-500 font-mono text-xs">P{i + 1}: {p}</th>
+                                        ))}
+                                        <th className="py-3 px-4 bg-indigo-900 border-l border-indigo-700 font-mono text-xs">⊨ {conclusion}</th>
+                                        <th className="py-3 px-2 bg-slate-700 border-l border-slate-500 text-xs"></th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-slate-200">
+                                    {analysis.rows.map((row, idx) => (
+                                        <tr key={idx} className={row.counterexample ? 'bg-red-100' : row.critical ? 'bg-teal-50' : 'text-slate-400'}>
+                                            {analysis.variables.map(v => (
+                                                <td key={v} className="py-2 px-2 font-mono font-bold">{bit(row.values[v])}</td>
+                                            ))}
+                                            {row.premises.map((value, i) => (
+                                                <td key={i} className="py-2 font-mono border-l border-slate-200">{bit(value)}</td>
+                                            ))}
+                                            <td className="py-2 font-mono font-bold border-l border-slate-200">{bit(row.conclusion)}</td>
+                                            <td className="py-2 px-2 border-l border-slate-200 text-xs font-bold">
+                                                {row.counterexample ? <span className="text-red-700">Contraejemplo</span> : row.critical ? <span className="text-teal-700">Crítica</span> : ''}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+                {tooBig && <p className="text-center text-sm text-slate-400">Con más de {MAX_ARGUMENT_VARS} variables la tabla de verdad es demasiado grande.</p>}
+                {!ready && parsedPremises.every(p => !p.error) && !parsedConclusion.error && (
+                    <p className="text-center py-6 text-slate-400">Escribe todas las premisas y la conclusión.</p>
+                )}
+            </div>
+        </div>
+    );
+};
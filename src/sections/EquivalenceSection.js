@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, CheckCircle, AlertCircle, ArrowRight } from 'lucide-react';
+import { tryParse, toMinimalString, compareFormulas, generateEquivalencePair } from '../logic';
+import { useExerciseRng, ExerciseTag } from '../components/ExerciseSeed';
+import { NOTATION_HINT, normalizeInputEvent, LogicKeyboard, SyntaxErrorNotice } from '../components/common';
+
+// Comparing enumerates every row, so keep the table within reason
+const MAX_COMPARE_VARS = 8;
+
+const bit = (value) => value ? '1' : '0';
+const describeAssignment = (values) => Object.entries(values).map(([v, value]) => `${v} = ${bit(value)}`).join(', ');
+
+// Both truth-table columns side by side; rows where they disagree are marked
+const ComparisonTable = ({ comparison, leftLabel, rightLabel }) => (
+    <div className="overflow-x-auto rounded-lg border border-slate-300">
+        <table className="w-full text-center text-sm md:text-base">
+            <thead className="bg-slate-800 text-white">
+                <tr>
+                    {comparison.variables.map(v => <th key={v} className="py-3 px-2 bg-slate-700">{v}</th>)}
+                    <th className="py-3 px-4 bg-indigo-900 border-l border-indigo-700 font-mono text-xs">{leftLabel}</th>
+                    <th className="py-3 px-4 bg-indigo-900 border-l border-indigo-700 font-mono text-xs">{rightLabel}</th>
+                </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200">
+                {comparison.rows.map((row, idx) => {
+                    const differ = row.left !== row.right;
+                    return (
+                        <tr key={idx} className={differ ? 'bg-red-50' : 'hover:bg-slate-50'}>
+                            {comparison.variables.map(v => (
+                                <td key={v} className="py-2 px-2 font-mono font-bold text-slate-600 bg-slate-50">{bit(row.values[v])}</td>
+                            ))}
+                            <td className={`py-2 font-mono font-bold border-l border-slate-200 ${differ ? 'text-red-700' : 'text-indigo-800'}`}>{bit(row.left)}</td>
+                            <td className={`py-2 font-mono font-bold border-l border-slate-200 ${differ ? 'text-red-700' : 'text-indigo-800'}`}>{bit(row.right)}</td>
+                        </tr>
+                    );
+                })}
+            </tbody>
+        </table>
+    </div>
+);
+
+const Verdict = ({ comparison }) => comparison.equivalent ? (
+    <div className="inline-flex items-center gap-2 text-green-700 font-bold bg-green-50 px-4 py-2 rounded">
+        <CheckCircle className="w-5 h-5" /> Equivalentes: coinciden en las {comparison.rows.length} filas.
+    </div>
+) : (
+    <div className="inline-flex items-center gap-2 text-red-700 font-bold bg-red-50 px-4 py-2 rounded">
+        <AlertCircle className="w-5 h-5" />
+        No equivalentes. Contraejemplo: {describeAssignment(comparison.counterexample.values) || 'sin variables'}
+        <ArrowRight className="w-4 h-4" /> A = {bit(comparison.counterexample.left)}, B = {bit(comparison.counterexample.right)}
+    </div>
+);
+
+const Checker = ({ convention }) => {
+    const [formulas, setFormulas] = useState({ left: "P ⇒ Q", right: "¬Q ⇒ ¬P" });
+    const [active, setActive] = useState('left'); // input that receives keyboard inserts
+
+    const parsed = {
+        left: formulas.left.trim() === '' ? { ast: null, error: null } : tryParse(formulas.left, convention),
+        right: formulas.right.trim() === '' ? { ast: null, error: null } : tryParse(formulas.right, convention)
+    };
+    const ready = parsed.left.ast && parsed.right.ast;
+    const comparison = ready && compareFormulas(parsed.left.ast, parsed.right.ast);
+    const tooBig = comparison && comparison.variables.length > MAX_COMPARE_VARS;
+
+    const update = (side, value) => setFormulas(prev => ({ ...prev, [side]: value }));
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow border border-slate-200 space-y-4">
+            {['left', 'right'].map(side => (
+                <div key={side} className="space-y-2">
+                    <div className="flex items-center gap-2">
+                        <span className="font-bold text-slate-500 w-6">{side === 'left' ? 'A' : 'B'}</span>
+                        <input
+                            value={formulas[side]}
+                            onFocus={() => setActive(side)}
+                            onChange={e => update(side, normalizeInputEvent(e))}
+                            className={`flex-1 text-xl font-mono p-3 border-2 rounded outline-none ${parsed[side].error ? 'border-red-400 focus:border-red-500' : 'border-slate-300 focus:border-indigo-500'}`}
+                            placeholder={side === 'left' ? "Ej: ¬(P ∧ Q)" : "Ej: ¬P ∨ ¬Q"}
+                        />
+                    </div>
+                    {parsed[side].error && (
+                        <div className="text-center">
+                            <SyntaxErrorNotice source={formulas[side]} error={parsed[side].error} />
+                        </div>
+                    )}
+                </div>
+            ))}
+            <LogicKeyboard onInsert={char => update(active, formulas[active] + char)} />
+            <p className="text-xs text-slate-400 font-mono text-center -mt-2">{NOTATION_HINT}</p>
+
+            {comparison && !tooBig && (
+                <div className="space-y-4 pt-4 border-t border-slate-100">
+                    <div className="text-center"><Verdict comparison={comparison} /></div>
+                    <ComparisonTable comparison={comparison} leftLabel={`A: ${formulas.left}`} rightLabel={`B: ${formulas.right}`} />
+                </div>
+            )}
+            {tooBig && <p className="text-center text-sm text-slate-400">Con más de {MAX_COMPARE_VARS} variables la tabla de verdad es demasiado grande.</p>}
+            {!ready && !parsed.left.error && !parsed.right.error && <p className="text-center py-6 text-slate-400">Escribe dos fórmulas válidas.</p>}
+        </div>
+    );
+};
+
+const Quiz = ({ convention, exercise }) => {
+    const [pair, setPair] = useState(null);
+    const [answer, setAnswer] = useState(null); // true = "equivalentes", false = "no equivalentes"
+    const [score, setScore] = useState({ right: 0, total: 0 });
+    const exercises = useExerciseRng(exercise, 'equivalence');
+    const nextRng = exercises.next;
+
+    // A new pair whenever the seed or the level changes
+    const next = useCallback(() => {
+        setPair(generateEquivalencePair(nextRng()));
+        setAnswer(null);
+    }, [nextRng]);
+
+    useEffect(() => { next(); }, [next]);
+
+    if (!pair) return null;
+
+    const left = toMinimalString(pair.left, convention);
+    const right = toMinimalString(pair.right, convention);
+
+    const choose = (value) => {
+        if (answer !== null) return;
+        setAnswer(value);
+        setScore(prev => ({ right: prev.right + (value === pair.equivalent ? 1 : 0), total: prev.total + 1 }));
+    };
+
+    const comparison = answer !== null && compareFormulas(pair.left, pair.right);
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow border border-slate-200 text-center space-y-6">
+            <p className="text-xs text-slate-400 uppercase font-bold">Aciertos: {score.right} / {score.total}</p>
+            <ExerciseTag exercise={exercise} number={exercises.number} />
+            <div className="flex flex-wrap items-center justify-center gap-4 font-mono text-2xl">
+                <span className="bg-slate-50 px-4 py-2 rounded border border-slate-200">{left}</span>
+                <span className="text-slate-400">≟</span>
+                <span className="bg-slate-50 px-4 py-2 rounded border border-slate-200">{right}</span>
+            </div>
+
+            {answer === null ? (
+                <div className="flex justify-center gap-4">
+                    <button onClick={() => choose(true)} className="bg-green-600 hover:bg-green-700 text-white px-6 py-3 rounded-lg font-bold transition">Equivalentes</button>
+                    <button onClick={() => choose(false)} className="bg-red-600 hover:bg-red-700 text-white px-6 py-3 rounded-lg font-bold transition">No equivalentes</button>
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    <p className={`font-bold text-lg ${answer === pair.equivalent ? 'text-green-600' : 'text-red-600'}`}>
+                        {answer === pair.equivalent ? '¡Correcto!' : 'Incorrecto.'} {pair.equivalent ? `Son equivalentes (${pair.law}).` : `Trampa: ${pair.law}.`}
+                    </p>
+                    <Verdict comparison={comparison} />
+                    <ComparisonTable comparison={comparison} leftLabel={`A: ${left}`} rightLabel={`B: ${right}`} />
+                    <button onClick={next} className="bg-slate-800 text-white px-6 py-2 rounded font-bold hover:bg-slate-900 transition flex items-center gap-2 mx-auto">
+                        <RefreshCw className="w-4 h-4" /> Siguiente Par
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export const EquivalenceSection = ({ convention, exercise }) => {
+    const [mode, setMode] = useState('check'); // check | quiz
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-cyan-50 p-4 rounded border-l-4 border-cyan-500 flex justify-between items-center flex-wrap gap-4">
+                <div>
+                    <h3 className="text-cyan-900 font-bold">Equivalencia Lógica</h3>
+                    <p className="text-sm text-cyan-800">
+                        {mode === 'check' ? "Compara dos fórmulas: son equivalentes si coinciden en todas las filas de la tabla." :
+                         "¿Son equivalentes? Clasifica cada par antes de ver las tablas."}
+                    </p>
+                </div>
+                <div className="flex gap-2">
+                    <button onClick={() => setMode('check')} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'check' ? 'bg-cyan-600 text-white' : 'bg-white text-cyan-600'}`}>
+                        Comparar
+                    </button>
+                    <button onClick={() => setMode('quiz')} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'quiz' ? 'bg-cyan-600 text-white' : 'bg-white text-cyan-600'}`}>
+                        Ejercicios
+                    </button>
+                </div>
+            </div>
+
+            {mode === 'check' ? <Checker convention={convention} /> : <Quiz convention={convention} exercise={exercise} />}
+        </div>
+    );
+};
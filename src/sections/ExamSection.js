@@ -0,0 +1,300 @@
+import React, { useState, useEffect } from 'react';
+import { Timer, Play, Download, Printer, CheckCircle, AlertCircle, ArrowRight } from 'lucide-react';
+import { DEFAULT_EXAM_COUNTS, EXAM_KINDS, buildExam, examTableRows, examReport, getDifficulty } from '../logic';
+import { NOTATION_HINT, normalizeInputEvent, LogicKeyboard, downloadFile } from '../components/common';
+
+const DEFAULT_MINUTES = 20;
+
+const bit = (value) => value ? '1' : '0';
+const describeValues = (values) => Object.entries(values).map(([v, value]) => `${v} = ${bit(value)}`).join(', ');
+
+const formatClock = (ms) => {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// The blank answer of each kind of item
+const emptyAnswer = (item, convention) => item.kind === 'table' ? examTableRows(item, convention).map(() => '') : '';
+
+// The answer being written to the current item; sessions saved before drafts were kept
+// start it blank
+const currentDraft = (session) => session.draft === undefined
+    ? emptyAnswer(session.items[session.answers.length], session.convention)
+    : session.draft;
+
+// Answer as shown in the report
+const showAnswer = (item, answer) => {
+    if (answer === null || answer === '') return '—';
+    return item.kind === 'table' ? answer.map(v => v || '·').join('') : answer;
+};
+
+const ExamSetup = ({ exercise, onStart }) => {
+    const [counts, setCounts] = useState(DEFAULT_EXAM_COUNTS);
+    const [minutes, setMinutes] = useState(DEFAULT_MINUTES);
+    const total = Object.values(counts).reduce((a, b) => a + b, 0);
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow border border-slate-200 space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {Object.entries(EXAM_KINDS).map(([kind, label]) => (
+                    <label key={kind} className="text-sm font-bold text-slate-600 space-y-1">
+                        <span>{label}</span>
+                        <input
+                            type="number" min={0} max={10}
+                            value={counts[kind]}
+                            onChange={e => setCounts(prev => ({ ...prev, [kind]: Math.min(10, Math.max(0, parseInt(e.target.value, 10) || 0)) }))}
+                            className="w-full border border-slate-300 rounded px-2 py-1 font-mono"
+                        />
+                    </label>
+                ))}
+                <label className="text-sm font-bold text-slate-600 space-y-1">
+                    <span>Minutos</span>
+                    <input
+                        type="number" min={1} max={180}
+                        value={minutes}
+                        onChange={e => setMinutes(Math.min(180, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                        className="w-full border border-slate-300 rounded px-2 py-1 font-mono"
+                    />
+                </label>
+            </div>
+            <p className="text-sm text-slate-500">
+                Semilla {exercise.seed} · nivel {exercise.level} ({getDifficulty(exercise.level).name}): quien use la misma semilla y el mismo nivel recibe el mismo examen.
+            </p>
+            <div className="text-center">
+                <button
+                    onClick={() => onStart(counts, minutes)}
+                    disabled={total === 0}
+                    className="bg-rose-600 hover:bg-rose-700 disabled:opacity-50 text-white px-6 py-2 rounded-lg font-bold transition inline-flex items-center gap-2"
+                >
+                    <Play className="w-4 h-4" /> Comenzar examen ({total} preguntas)
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// One item, answered without any feedback
+const ExamItem = ({ item, answer, onAnswer, convention }) => {
+    if (item.kind === 'syntax') {
+        return (
+            <div className="space-y-4 text-center">
+                <p className="text-slate-600">Escribe la fórmula con todos sus paréntesis, según la convención.</p>
+                <p className="font-mono text-2xl font-bold text-slate-800">{item.formula}</p>
+                <input
+                    value={answer}
+                    onChange={e => onAnswer(normalizeInputEvent(e))}
+                    className="w-full text-xl font-mono p-3 border-2 border-slate-300 rounded outline-none text-center focus:border-rose-500"
+                />
+                <LogicKeyboard onInsert={char => onAnswer(answer + char)} />
+                <p className="text-xs text-slate-400 font-mono -mt-2">{NOTATION_HINT}</p>
+            </div>
+        );
+    }
+    if (item.kind === 'evaluation') {
+        return (
+            <div className="space-y-4 text-center">
+                <p className="text-slate-600">¿Qué valor toma la fórmula con esta asignación?</p>
+                <p className="font-mono text-2xl font-bold text-slate-800">{item.formula}</p>
+                <p className="font-mono text-slate-600">{describeValues(item.values)}</p>
+                <div className="flex justify-center gap-3">
+                    {['1', '0'].map(v => (
+                        <button key={v} onClick={() => onAnswer(v)} className={`w-16 py-2 rounded font-mono text-xl font-bold border-2 ${answer === v ? 'bg-rose-600 border-rose-600 text-white' : 'border-slate-300 text-slate-700 hover:bg-slate-50'}`}>
+                            {v}
+                        </button>
+                    ))}
+                </div>
+            </div>
+        );
+    }
+    const rows = examTableRows(item, convention);
+    const variables = Object.keys(rows[0].values);
+    return (
+        <div className="space-y-4 text-center">
+            <p className="text-slate-600">Completa la columna final de la tabla de verdad.</p>
+            <div className="overflow-x-auto inline-block rounded-lg border border-slate-300">
+                <table className="text-center">
+                    <thead className="bg-slate-800 text-white">
+                        <tr>
+                            {variables.map(v => <th key={v} className="py-2 px-4 bg-slate-700">{v}</th>)}
+                            <th className="py-2 px-6 font-mono">{item.formula}</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-200">
+                        {rows.map((row, i) => (
+                            <tr key={i}>
+                                {variables.map(v => <td key={v} className="py-1 px-4 font-mono font-bold text-slate-600 bg-slate-50">{bit(row.values[v])}</td>)}
+                                <td className="py-1 px-6">
+                                    <input
+                                        value={answer[i]}
+                                        maxLength={1}
+                                        onChange={e => {
+                                            const v = e.target.value;
+                                            if (v === '' || v === '0' || v === '1') onAnswer(answer.map((a, j) => j === i ? v : a));
+                                        }}
+                                        className="w-10 text-center font-mono font-bold border border-slate-300 rounded outline-none focus:border-rose-500"
+                                    />
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+const ExamReport = ({ report, onRestart }) => {
+    const exportJson = () => downloadFile(`examen-semilla-${report.seed}-nivel-${report.level}.json`, JSON.stringify(report, null, 2), 'application/json');
+    const restart = () => {
+        if (window.confirm('¿Descartar este resultado y preparar otro examen? Exporta el informe antes si lo necesitas.')) onRestart();
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow border border-slate-200 space-y-4 print:shadow-none print:border-0">
+            <div className="flex flex-wrap justify-between items-start gap-4">
+                <div>
+                    <h3 className="text-2xl font-bold text-slate-800">Resultado: {report.score} / {report.total}</h3>
+                    <p className="text-sm text-slate-500">
+                        Semilla {report.seed} · nivel {report.level} · convención {report.convention} · {new Date(report.startedAt).toLocaleString('es')} · duración {formatClock(report.durationMs)}
+                    </p>
+                </div>
+                <div className="flex gap-2 print:hidden">
+                    <button onClick={exportJson} className="bg-slate-200 hover:bg-slate-300 text-slate-800 px-4 py-2 rounded font-bold flex items-center gap-2">
+                        <Download className="w-4 h-4" /> Exportar JSON
+                    </button>
+                    <button onClick={() => window.print()} className="bg-slate-200 hover:bg-slate-300 text-slate-800 px-4 py-2 rounded font-bold flex items-center gap-2">
+                        <Printer className="w-4 h-4" /> Imprimir
+                    </button>
+                    <button onClick={restart} className="bg-rose-600 hover:bg-rose-700 text-white px-4 py-2 rounded font-bold">
+                        Nuevo examen
+                    </button>
+                </div>
+            </div>
+            <table className="w-full text-sm text-left">
+                <thead className="text-slate-500 border-b border-slate-200">
+                    <tr>
+                        <th className="py-2 pr-2">#</th>
+                        <th className="py-2 pr-4">Pregunta</th>
+                        <th className="py-2 pr-4">Respuesta</th>
+                        <th className="py-2 pr-4">Esperada</th>
+                        <th className="py-2 text-right">Puntos</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                    {report.items.map(item => (
+                        <tr key={item.number} className="align-top">
+                            <td className="py-2 pr-2 text-slate-400">{item.number}</td>
+                            <td className="py-2 pr-4">
+                                <span className="text-xs text-slate-500">{EXAM_KINDS[item.kind]}</span>
+                                <div className="font-mono">{item.formula}</div>
+                                {item.values && <div className="font-mono text-xs text-slate-500">{describeValues(item.values)}</div>}
+                            </td>
+                            <td className={`py-2 pr-4 font-mono ${item.correct ? 'text-green-700' : 'text-red-600'}`}>
+                                <div className="flex items-start gap-1">
+                                    {item.correct ? <CheckCircle className="w-4 h-4 shrink-0 mt-0.5" /> : <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" />}
+                                    {showAnswer(item, item.answer)}
+                                </div>
+                                {item.note && <div className="font-sans text-xs text-slate-500">{item.note}</div>}
+                            </td>
+                            <td className="py-2 pr-4 font-mono">{item.expected}</td>
+                            <td className="py-2 text-right font-mono">{Math.round(item.score * 100) / 100}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+// session: null before starting, then { seed, level, convention, items, answers, draft,
+// startedAt, deadline, finishedAt }, draft being the answer being written to the current item.
+// It lives in App (and localStorage) so a reload or the other tabs cannot reset the exam;
+// answers are locked one by one, without feedback until the report. onChange is a state
+// setter: it takes the new session or an update of the previous one.
+export const ExamSection = ({ convention, exercise, session, onChange }) => {
+    const [now, setNow] = useState(Date.now());
+    const running = session && !session.finishedAt;
+    const index = session ? session.answers.length : 0;
+    const item = running ? session.items[index] : null;
+    const examConvention = session ? session.convention : convention;
+    const draft = item ? currentDraft(session) : '';
+
+    const start = (counts, minutes) => {
+        const startedAt = Date.now();
+        const items = buildExam(exercise.seed, exercise.level, counts, convention);
+        onChange({
+            seed: exercise.seed, level: exercise.level, convention, items, answers: [], draft: emptyAnswer(items[0], convention),
+            startedAt, deadline: startedAt + minutes * 60000, finishedAt: null
+        });
+    };
+
+    const setDraft = (value) => onChange({ ...session, draft: value });
+
+    const finish = (answers) => onChange({ ...session, answers, finishedAt: Math.min(Date.now(), session.deadline) });
+
+    const confirm = () => {
+        const answers = [...session.answers, draft];
+        if (answers.length === session.items.length) {
+            finish(answers);
+            return;
+        }
+        onChange({ ...session, answers, draft: emptyAnswer(session.items[answers.length], examConvention) });
+    };
+
+    const handIn = () => {
+        if (window.confirm('¿Entregar ahora? Las preguntas sin confirmar quedan en blanco, salvo la actual.')) finish([...session.answers, draft]);
+    };
+
+    useEffect(() => {
+        if (!running) return;
+        const id = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(id);
+    }, [running]);
+
+    // Time is up: whatever is written in the current item still counts
+    const timeUp = running && now >= session.deadline;
+    useEffect(() => {
+        if (timeUp) onChange(prev => ({ ...prev, answers: [...prev.answers, currentDraft(prev)], finishedAt: prev.deadline }));
+    }, [timeUp, onChange]);
+
+    const remaining = running ? session.deadline - now : 0;
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-rose-50 p-4 rounded border-l-4 border-rose-500 flex justify-between items-center flex-wrap gap-4 print:hidden">
+                <div>
+                    <h3 className="text-rose-900 font-bold">Examen</h3>
+                    <p className="text-sm text-rose-800">
+                        Preguntas fijas de sintaxis, evaluación y tablas de verdad con un tiempo total. Cada respuesta se confirma una sola vez, sin pistas ni corrección hasta el final; mientras dura, las demás pestañas quedan bloqueadas.
+                    </p>
+                </div>
+                {running && (
+                    <div className={`flex items-center gap-2 font-mono text-2xl font-bold ${remaining < 60000 ? 'text-red-600 animate-pulse' : 'text-rose-900'}`}>
+                        <Timer className="w-6 h-6" /> {formatClock(remaining)}
+                    </div>
+                )}
+            </div>
+
+            {!session && <ExamSetup exercise={exercise} onStart={start} />}
+
+            {running && (
+                <div className="bg-white p-6 rounded-lg shadow border border-slate-200 space-y-6">
+                    <div className="flex justify-between items-center text-sm">
+                        <span className="font-bold text-slate-500">Pregunta {index + 1} de {session.items.length} · {EXAM_KINDS[item.kind]}</span>
+                        <button onClick={handIn} className="font-bold text-slate-500 hover:text-rose-600">Entregar</button>
+                    </div>
+                    <ExamItem item={item} answer={draft} onAnswer={setDraft} convention={examConvention} />
+                    <div className="text-center">
+                        <button onClick={confirm} className="bg-rose-600 hover:bg-rose-700 text-white px-6 py-2 rounded-lg font-bold transition inline-flex items-center gap-2">
+                            {index + 1 === session.items.length ? 'Confirmar y terminar' : 'Confirmar y seguir'} <ArrowRight className="w-4 h-4" />
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {session && session.finishedAt && (
+                <ExamReport report={examReport(session.items, session.answers, session, examConvention)} onRestart={() => onChange(null)} />
+            )}
+        </div>
+    );
+};
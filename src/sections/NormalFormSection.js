@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { RefreshCw, ChevronDown, AlertTriangle } from 'lucide-react';
+import {
+    tryParse, parseToAST, toMinimalString, getVariables, nodeAt,
+    MAX_REWRITE_STEPS, toNormalForm, canonicalForms, getDifficulty, generateFormula
+} from '../logic';
+import { NOTATION_HINT, normalizeInputEvent, LogicKeyboard, SyntaxErrorNotice } from '../components/common';
+import { useExerciseRng, ExerciseTag } from '../components/ExerciseSeed';
+
+const TARGETS = [
+    { id: 'nnf', label: 'FNN', title: 'Forma normal negativa' },
+    { id: 'cnf', label: 'FNC', title: 'Forma normal conjuntiva' },
+    { id: 'dnf', label: 'FND', title: 'Forma normal disyuntiva' }
+];
+
+// Canonical forms enumerate every row, so keep the table within reason
+const MAX_CANONICAL_VARS = 8;
+
+// Prints `ast` minimally and locates the subtree at `path` inside the printed text.
+// The printed form parses back to the same tree, so the path still leads to that subtree.
+const printWithFocus = (ast, path, convention) => {
+    const text = toMinimalString(ast, convention);
+    if (path === null) return { text, span: null };
+    return { text, span: nodeAt(parseToAST(text, convention), path).span };
+};
+
+const Focused = ({ text, span }) => span ? (
+    <>
+        {text.slice(0, span.start)}
+        <span className="bg-violet-100 text-violet-800 rounded">{text.slice(span.start, span.end)}</span>
+        {text.slice(span.end)}
+    </>
+) : text;
+
+export const NormalFormSection = ({ convention, exercise }) => {
+    const [formula, setFormula] = useState("¬(P ⇒ Q) ∨ (R ⇔ P)");
+    const [target, setTarget] = useState('cnf');
+    const [generated, setGenerated] = useState(null); // last generated formula, while it is left untouched
+    const exercises = useExerciseRng(exercise, 'normal');
+
+    const { ast, error } = formula.trim() === '' ? { ast: null, error: null } : tryParse(formula, convention);
+    const conversion = ast && toNormalForm(ast, target);
+    const vars = ast ? getVariables(ast) : [];
+    const canonical = ast && vars.length <= MAX_CANONICAL_VARS ? canonicalForms(ast) : null;
+
+    const handleGenerate = () => {
+        const rng = exercises.next();
+        const difficulty = getDifficulty(exercise.level);
+        const params = { ...difficulty, vars: Math.min(difficulty.vars, 3), depth: Math.min(difficulty.depth, 3) };
+        let f = generateFormula(rng, params);
+        for (let attempts = 0; attempts < 50 && f.length < 5; attempts++) {
+            f = generateFormula(rng, params);
+        }
+        setFormula(f);
+        setGenerated(f);
+    };
+
+    // Original formula first, then the formula after each rewrite with the new subtree marked
+    const history = conversion ? [
+        { ...printWithFocus(ast, null, convention), law: null },
+        ...conversion.steps.map(step => ({ ...printWithFocus(step.after, step.path, convention), law: step.law }))
+    ] : [];
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-violet-50 p-4 rounded border-l-4 border-violet-500">
+                <h3 className="text-violet-900 font-bold">Formas Normales</h3>
+                <p className="text-sm text-violet-800">
+                    Se eliminan ⇔ y ⇒, se interiorizan las negaciones (De Morgan) y se distribuye. Cada paso indica la ley aplicada.
+                </p>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow border border-slate-200">
+                <div className="flex flex-col gap-4 mb-6">
+                    <div className="flex gap-2">
+                        <input
+                            value={formula}
+                            onChange={e => setFormula(normalizeInputEvent(e))}
+                            className={`flex-1 text-xl font-mono p-3 border-2 rounded outline-none ${error ? 'border-red-400 focus:border-red-500' : 'border-slate-300 focus:border-violet-500'}`}
+                            placeholder="Ej: ¬(P ∧ Q) ⇒ R"
+                        />
+                        <button onClick={handleGenerate} className="bg-violet-500 text-white px-4 rounded font-bold hover:bg-violet-600 transition flex items-center gap-2">
+                            <RefreshCw className="w-5 h-5" /> Generar
+                        </button>
+                    </div>
+                    {error && (
+                        <div className="text-center">
+                            <SyntaxErrorNotice source={formula} error={error} />
+                        </div>
+                    )}
+                    <LogicKeyboard onInsert={char => setFormula(prev => prev + char)} />
+                    <p className="text-xs text-slate-400 font-mono text-center -mt-2">{NOTATION_HINT}</p>
+                    {generated === formula && <div className="text-center"><ExerciseTag exercise={exercise} number={exercises.number} /></div>}
+                    <div className="flex justify-center gap-2">
+                        {TARGETS.map(t => (
+                            <button
+                                key={t.id}
+                                title={t.title}
+                                onClick={() => setTarget(t.id)}
+                                className={`px-4 py-1 rounded text-sm font-bold ${target === t.id ? 'bg-violet-600 text-white' : 'bg-violet-50 text-violet-700 hover:bg-violet-100'}`}
+                            >
+                                {t.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {conversion ? (
+                    <>
+                        <div className="flex flex-col items-center gap-2 max-h-[400px] overflow-y-auto pr-2">
+                            {history.map((h, i) => (
+                                <div key={i} className="flex flex-col items-center">
+                                    {i > 0 && (
+                                        <div className="flex items-center gap-2 text-xs text-slate-400">
+                                            <ChevronDown className="w-4 h-4 text-slate-300" />
+                                            <span className="uppercase font-bold tracking-wide">{h.law}</span>
+                                        </div>
+                                    )}
+                                    <div className={`font-mono text-lg p-2 rounded ${i === history.length - 1 ? 'bg-white shadow-md border border-violet-100 text-slate-800 font-bold ring-2 ring-violet-50' : 'text-slate-500'}`}>
+                                        <Focused text={h.text} span={h.span} />
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                        {conversion.steps.length === 0 && (
+                            <p className="text-center text-sm text-slate-400 mt-2">La fórmula ya está en {TARGETS.find(t => t.id === target).title.toLowerCase()}.</p>
+                        )}
+                        {!conversion.complete && (
+                            <div className="mt-4 flex items-center justify-center gap-2 text-amber-700 bg-amber-50 p-3 rounded text-sm font-bold">
+                                <AlertTriangle className="w-4 h-4" />
+                                Se detuvo tras {MAX_REWRITE_STEPS} pasos: al distribuir, la fórmula crece demasiado.
+                            </div>
+                        )}
+
+                        <div className="mt-8 pt-6 border-t border-slate-100 space-y-3">
+                            <h4 className="font-bold text-slate-700">Formas canónicas desde la tabla de verdad</h4>
+                            {canonical ? (
+                                <>
+                                    <div>
+                                        <p className="text-xs text-slate-500 uppercase font-bold">FND canónica ({canonical.minterms.length} mintérminos)</p>
+                                        <p className="font-mono text-slate-800 break-words">{toMinimalString(canonical.dnf, convention)}</p>
+                                    </div>
+                                    <div>
+                                        <p className="text-xs text-slate-500 uppercase font-bold">FNC canónica ({canonical.maxterms.length} maxtérminos)</p>
+                                        <p className="font-mono text-slate-800 break-words">{toMinimalString(canonical.cnf, convention)}</p>
+                                    </div>
+                                </>
+                            ) : (
+                                <p className="text-sm text-slate-400">Con más de {MAX_CANONICAL_VARS} variables la tabla de verdad es demasiado grande.</p>
+                            )}
+                        </div>
+                    </>
+                ) : !error && <p className="text-center py-10 text-slate-400">Escribe una fórmula válida.</p>}
+            </div>
+        </div>
+    );
+};
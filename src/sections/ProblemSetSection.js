@@ -0,0 +1,272 @@
+import React, { useState } from 'react';
+import { Upload, Download, Play, Plus, Trash2, ArrowUp, ArrowDown, FilePlus, ChevronLeft, ChevronRight, X } from 'lucide-react';
+import { BUILTIN_CONVENTIONS, PROBLEM_ITEM_KINDS, emptyProblemSet, validateProblemSet, parseProblemSet, serializeProblemSet, tryParse, getVariables, toMinimalString } from '../logic';
+import { NOTATION_HINT, normalizeInputEvent, downloadFile } from '../components/common';
+
+const BLANK_ITEMS = {
+    syntax: { kind: 'syntax', formula: '' },
+    evaluation: { kind: 'evaluation', formula: '', values: {} },
+    table: { kind: 'table', formula: '', columns: [] }
+};
+
+// Draft form of a loaded set: built-in conventions go back to their id, and items the
+// editor cannot show become syntax items so their formula can still be fixed
+const toDraft = (set) => ({
+    ...set,
+    convention: BUILTIN_CONVENTIONS.includes(set.convention) ? set.convention.id : set.convention,
+    items: set.items.map(item => item && PROBLEM_ITEM_KINDS[item.kind] && typeof item.formula === 'string'
+        ? item
+        : { ...BLANK_ITEMS.syntax, formula: item && typeof item.formula === 'string' ? item.formula : '' })
+});
+
+const slug = (title) => title.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Proper subformulas (connectives only) of `ast`, each once, innermost first
+const subformulas = (ast) => {
+    const found = new Map();
+    const visit = (node, root) => {
+        if (!node || node.type === 'ATOM') return;
+        visit(node.left, false);
+        visit(node.right, false);
+        if (!root && !found.has(node.toFullString())) found.set(node.toFullString(), node);
+    };
+    visit(ast, true);
+    return [...found.values()];
+};
+
+// Assignment chips of an evaluation item
+const ValuesEditor = ({ variables, values, onChange }) => (
+    <div className="flex flex-wrap items-center gap-2">
+        <span className="text-xs font-bold text-slate-500">Valores:</span>
+        {variables.map(v => (
+            <button
+                key={v}
+                onClick={() => onChange({ ...values, [v]: !values[v] })}
+                title="Cambiar valor"
+                className={`px-2 py-0.5 rounded font-mono text-sm font-bold border ${values[v] ? 'bg-green-100 text-green-800 border-green-300' : 'bg-red-100 text-red-800 border-red-300'}`}
+            >
+                {v} = {values[v] ? 1 : 0}
+            </button>
+        ))}
+    </div>
+);
+
+// Sub-expression columns a table item requires
+const ColumnsEditor = ({ ast, columns, convention, onChange }) => {
+    const fullOf = (column) => {
+        const { ast: parsed } = tryParse(column, convention);
+        return parsed ? parsed.toFullString() : column;
+    };
+    const required = new Set(columns.map(fullOf));
+    const toggle = (node) => onChange(required.has(node.toFullString())
+        ? columns.filter(c => fullOf(c) !== node.toFullString())
+        : [...columns, toMinimalString(node, convention)]);
+    const options = subformulas(ast);
+
+    return (
+        <div className="flex flex-wrap items-center gap-3">
+            <span className="text-xs font-bold text-slate-500">Columnas:</span>
+            {options.length === 0 && <span className="text-xs text-slate-400">Solo la columna final.</span>}
+            {options.map(node => (
+                <label key={node.toFullString()} className="flex items-center gap-1 font-mono text-sm text-slate-700">
+                    <input type="checkbox" checked={required.has(node.toFullString())} onChange={() => toggle(node)} />
+                    {toMinimalString(node, convention)}
+                </label>
+            ))}
+        </div>
+    );
+};
+
+const ItemEditor = ({ item, index, count, error, convention, onChange, onMove, onRemove }) => {
+    const parsed = typeof item.formula === 'string' && item.formula.trim() !== '' ? tryParse(item.formula, convention).ast : null;
+
+    // Values and columns belong to the old formula; an assignment starts all false
+    const blank = (kind, formula) => {
+        const { ast } = tryParse(formula, convention);
+        return kind === 'evaluation' && ast
+            ? { ...BLANK_ITEMS.evaluation, formula, values: Object.fromEntries(getVariables(ast).map(v => [v, false])) }
+            : { ...BLANK_ITEMS[kind], formula };
+    };
+    const changeKind = (kind) => onChange(blank(kind, item.formula));
+    const changeFormula = (formula) => onChange(blank(item.kind, formula));
+
+    return (
+        <div className={`p-4 rounded border space-y-3 ${error ? 'border-red-300 bg-red-50/40' : 'border-slate-200'}`}>
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="font-bold text-slate-500 w-8">{index + 1}.</span>
+                <select value={item.kind} onChange={e => changeKind(e.target.value)} className="border border-slate-300 rounded px-2 py-1 text-sm">
+                    {Object.entries(PROBLEM_ITEM_KINDS).map(([kind, label]) => <option key={kind} value={kind}>{label}</option>)}
+                </select>
+                <input
+                    value={item.formula}
+                    onChange={e => changeFormula(normalizeInputEvent(e))}
+                    placeholder={item.kind === 'syntax' ? 'Fórmula sin paréntesis, p. ej. P ∧ Q ∨ R' : 'Fórmula'}
+                    className={`flex-1 min-w-[12rem] font-mono border-2 rounded px-2 py-1 outline-none ${error ? 'border-red-300 focus:border-red-500' : 'border-slate-300 focus:border-sky-500'}`}
+                />
+                <button onClick={() => onMove(-1)} disabled={index === 0} title="Subir" className="text-slate-400 hover:text-sky-600 disabled:opacity-30"><ArrowUp className="w-4 h-4" /></button>
+                <button onClick={() => onMove(1)} disabled={index === count - 1} title="Bajar" className="text-slate-400 hover:text-sky-600 disabled:opacity-30"><ArrowDown className="w-4 h-4" /></button>
+                <button onClick={onRemove} title="Quitar" className="text-slate-400 hover:text-red-600"><Trash2 className="w-4 h-4" /></button>
+            </div>
+            {parsed && item.kind === 'evaluation' && (
+                <ValuesEditor variables={getVariables(parsed)} values={item.values || {}} onChange={values => onChange({ ...item, values })} />
+            )}
+            {parsed && item.kind === 'table' && (
+                <ColumnsEditor ast={parsed} columns={Array.isArray(item.columns) ? item.columns : []} convention={convention} onChange={columns => onChange({ ...item, columns })} />
+            )}
+            {parsed && item.kind === 'syntax' && !error && <p className="text-xs text-slate-500 font-mono">Respuesta: {parsed.toFullString()}</p>}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+    );
+};
+
+// Editor of the instructor's problem set. The draft is kept in file form (see problemSets.js);
+// it can only be exported or played once every formula parses under the set's convention.
+export const ProblemSetSection = ({ draft, conventions, onChange, onPlay }) => {
+    const [importError, setImportError] = useState(null);
+    const { set, errors } = validateProblemSet(draft);
+    const convention = set.convention;
+    const metaErrors = errors.filter(e => e.item === null);
+    const itemError = (i) => (errors.find(e => e.item === i) || {}).message;
+    // An imported set may bring a convention this browser does not have
+    const options = conventions.some(c => c.id === convention.id) ? conventions : [...conventions, convention];
+
+    const update = (changes) => onChange({ ...draft, ...changes });
+    const updateItem = (i, item) => update({ items: draft.items.map((old, j) => j === i ? item : old) });
+    const moveItem = (i, delta) => {
+        const items = [...draft.items];
+        [items[i], items[i + delta]] = [items[i + delta], items[i]];
+        update({ items });
+    };
+    const selectConvention = (id) => {
+        const chosen = options.find(c => c.id === id);
+        update({ convention: BUILTIN_CONVENTIONS.includes(chosen) ? id : chosen });
+    };
+
+    const importFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const loaded = parseProblemSet(await file.text());
+        if (!loaded.set) {
+            setImportError(loaded.errors[0].message);
+            return;
+        }
+        setImportError(null);
+        onChange(toDraft(loaded.set));
+    };
+
+    const exportFile = () => downloadFile(`${slug(set.title) || 'conjunto'}.json`, serializeProblemSet(set), 'application/json');
+
+    const startOver = () => {
+        if (draft.items.length === 0 || window.confirm('¿Descartar el conjunto actual?')) onChange(emptyProblemSet());
+    };
+
+    const ready = errors.length === 0;
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-sky-50 p-4 rounded border-l-4 border-sky-500 flex justify-between items-center flex-wrap gap-4">
+                <div>
+                    <h3 className="text-sky-900 font-bold">Conjuntos de Problemas</h3>
+                    <p className="text-sm text-sky-800">
+                        Prepara una lista de fórmulas propias para tus alumnos: agrupación, evaluación y tablas de verdad, leídas con una convención fija. Exporta el archivo JSON y compártelo; al importarlo se juega en las secciones de siempre.
+                    </p>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                    <label className="bg-white text-sky-700 px-3 py-1 rounded text-sm font-bold flex items-center gap-1 cursor-pointer hover:bg-sky-100">
+                        <Upload className="w-4 h-4" /> Importar
+                        <input type="file" accept=".json,application/json" onChange={importFile} className="hidden" />
+                    </label>
+                    <button onClick={exportFile} disabled={!ready} className="bg-white text-sky-700 px-3 py-1 rounded text-sm font-bold flex items-center gap-1 hover:bg-sky-100 disabled:opacity-40 disabled:cursor-not-allowed">
+                        <Download className="w-4 h-4" /> Exportar JSON
+                    </button>
+                    <button onClick={startOver} className="bg-white text-sky-700 px-3 py-1 rounded text-sm font-bold flex items-center gap-1 hover:bg-sky-100">
+                        <FilePlus className="w-4 h-4" /> Nuevo
+                    </button>
+                    <button onClick={() => onPlay(set)} disabled={!ready} className="bg-sky-600 text-white px-3 py-1 rounded text-sm font-bold flex items-center gap-1 hover:bg-sky-700 disabled:opacity-40 disabled:cursor-not-allowed">
+                        <Play className="w-4 h-4" /> Jugar
+                    </button>
+                </div>
+            </div>
+
+            {importError && <p className="text-red-600 font-bold bg-red-50 px-4 py-2 rounded">{importError}</p>}
+
+            <div className="bg-white p-6 rounded-lg shadow border border-slate-200 space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <label className="text-sm font-bold text-slate-600 space-y-1 md:col-span-2">
+                        <span>Título</span>
+                        <input value={draft.title} onChange={e => update({ title: e.target.value })} placeholder="Repaso del tema 1" className="w-full border border-slate-300 rounded px-2 py-1 font-normal" />
+                    </label>
+                    <label className="text-sm font-bold text-slate-600 space-y-1">
+                        <span>Convención</span>
+                        <select value={convention.id} onChange={e => selectConvention(e.target.value)} className="w-full border border-slate-300 rounded px-2 py-1 font-normal">
+                            {options.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                        </select>
+                    </label>
+                </div>
+                <label className="text-sm font-bold text-slate-600 space-y-1 block">
+                    <span>Instrucciones</span>
+                    <textarea value={draft.instructions} onChange={e => update({ instructions: e.target.value })} rows={2} placeholder="Lo que los alumnos leen antes de empezar." className="w-full border border-slate-300 rounded px-2 py-1 font-normal" />
+                </label>
+                {metaErrors.map(e => <p key={e.message} className="text-sm text-red-600">{e.message}</p>)}
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow border border-slate-200 space-y-3">
+                <div className="flex justify-between items-center flex-wrap gap-2">
+                    <h3 className="font-bold text-slate-700">Ítems ({draft.items.length})</h3>
+                    <div className="flex flex-wrap gap-2">
+                        {Object.entries(PROBLEM_ITEM_KINDS).map(([kind, label]) => (
+                            <button key={kind} onClick={() => update({ items: [...draft.items, BLANK_ITEMS[kind]] })} className="bg-sky-100 text-sky-800 px-3 py-1 rounded text-sm font-bold flex items-center gap-1 hover:bg-sky-200">
+                                <Plus className="w-4 h-4" /> {label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <p className="text-xs text-slate-400 font-mono">{NOTATION_HINT}</p>
+                {draft.items.length === 0 && <p className="text-center py-6 text-slate-400">Añade el primer ítem.</p>}
+                {draft.items.map((item, i) => (
+                    <ItemEditor
+                        key={i}
+                        item={item}
+                        index={i}
+                        count={draft.items.length}
+                        error={itemError(i)}
+                        convention={convention}
+                        onChange={changed => updateItem(i, changed)}
+                        onMove={delta => moveItem(i, delta)}
+                        onRemove={() => update({ items: draft.items.filter((_, j) => j !== i) })}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// Shown above the practice sections while a set is played: the item in hand and the way
+// through the set. The sections themselves get the item as their `assignment`.
+export const ProblemSetBar = ({ set, index, onGo, onExit }) => {
+    const item = set.items[index];
+    const last = index === set.items.length - 1;
+    return (
+        <div className="bg-sky-50 p-4 rounded border-l-4 border-sky-500 mb-6 flex justify-between items-center flex-wrap gap-4 print:hidden">
+            <div>
+                <h3 className="text-sky-900 font-bold">{set.title || 'Conjunto de problemas'}</h3>
+                {set.instructions && <p className="text-sm text-sky-800 whitespace-pre-line">{set.instructions}</p>}
+                <p className="text-xs text-sky-700 font-mono mt-1">
+                    Ítem {index + 1} de {set.items.length} · {PROBLEM_ITEM_KINDS[item.kind]} · convención {set.convention.name}
+                </p>
+            </div>
+            <div className="flex flex-wrap gap-2">
+                <button onClick={() => onGo(index - 1)} disabled={index === 0} className="bg-white text-sky-700 px-3 py-1 rounded text-sm font-bold flex items-center gap-1 hover:bg-sky-100 disabled:opacity-40">
+                    <ChevronLeft className="w-4 h-4" /> Anterior
+                </button>
+                <button onClick={() => onGo(index + 1)} className="bg-white text-sky-700 px-3 py-1 rounded text-sm font-bold flex items-center gap-1 hover:bg-sky-100">
+                    {last ? 'Terminar' : 'Siguiente'} <ChevronRight className="w-4 h-4" />
+                </button>
+                <button onClick={onExit} className="bg-white text-slate-500 px-3 py-1 rounded text-sm font-bold flex items-center gap-1 hover:text-red-600">
+                    <X className="w-4 h-4" /> Salir
+                </button>
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,184 @@
+import React from 'react';
+import { Trash2, Flame, Clock } from 'lucide-react';
+import { SKILLS, ERROR_CATEGORIES, REVIEW_SPACING, summarizeProgress, accuracyByDay, mostMissedFormulas, reviewSchedule } from '../logic';
+
+// Days shown in each accuracy chart
+const CHART_DAYS = 14;
+
+const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+const formatDuration = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    return seconds < 60 ? `${seconds} s` : `${Math.floor(seconds / 60)} min ${seconds % 60} s`;
+};
+
+const accuracyColor = (ratio) => ratio >= 0.8 ? 'bg-green-500' : ratio >= 0.5 ? 'bg-amber-400' : 'bg-red-400';
+
+const SkillCard = ({ skill, summary }) => (
+    <div className="bg-white p-4 rounded-lg shadow border border-slate-200 space-y-2">
+        <h4 className="font-bold text-slate-700">{SKILLS[skill]}</h4>
+        {summary.attempts === 0 ? (
+            <p className="text-sm text-slate-400">Sin intentos todavía.</p>
+        ) : (
+            <>
+                <p className="text-3xl font-bold text-fuchsia-700">{percent(summary.accuracy)}</p>
+                <p className="text-sm text-slate-500">{summary.correct} de {summary.attempts} intentos correctos</p>
+                <div className="flex flex-wrap gap-4 text-sm text-slate-600">
+                    <span className="flex items-center gap-1" title="Respuestas correctas seguidas (mejor racha)">
+                        <Flame className="w-4 h-4 text-orange-500" /> {summary.streak} (mejor {summary.bestStreak})
+                    </span>
+                    <span className="flex items-center gap-1" title="Tiempo medio por intento">
+                        <Clock className="w-4 h-4 text-slate-400" /> {formatDuration(summary.averageMs)}
+                    </span>
+                </div>
+                {summary.errors.length > 0 && (
+                    <ul className="text-xs text-slate-600 border-t border-slate-100 pt-2 space-y-1">
+                        {summary.errors.map(({ category, count }) => (
+                            <li key={category} className="flex justify-between">
+                                <span>{ERROR_CATEGORIES[skill][category] || category}</span>
+                                <span className="font-mono text-red-600">{count}</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </>
+        )}
+    </div>
+);
+
+// One bar per practice day, as tall as that day's accuracy
+const AccuracyChart = ({ skill, days }) => (
+    <div>
+        <h4 className="font-bold text-slate-600 text-sm mb-2">{SKILLS[skill]}</h4>
+        {days.length === 0 ? (
+            <p className="text-sm text-slate-400">Sin datos.</p>
+        ) : (
+            <div className="flex items-end gap-1 h-28 border-b border-l border-slate-300 px-1">
+                {days.map(d => (
+                    <div key={d.day} className="flex-1 max-w-[2.5rem] flex flex-col items-center justify-end h-full" title={`${d.day}: ${d.correct} de ${d.attempts} (${percent(d.accuracy)})`}>
+                        <div className={`w-full rounded-t ${accuracyColor(d.accuracy)}`} style={{ height: `${Math.max(d.accuracy * 100, 3)}%` }} />
+                    </div>
+                ))}
+            </div>
+        )}
+        {days.length > 0 && (
+            <div className="flex gap-1 px-1 mt-1">
+                {days.map(d => (
+                    <span key={d.day} className="flex-1 max-w-[2.5rem] text-center text-[10px] text-slate-400 font-mono">{d.day.slice(8)}/{d.day.slice(5, 7)}</span>
+                ))}
+            </div>
+        )}
+    </div>
+);
+
+// Missed connective pairs / connectives of one skill with their review box
+const WeakSpots = ({ skill, schedule }) => (
+    <div>
+        <h4 className="font-bold text-slate-600 text-sm mb-2">{SKILLS[skill]}</h4>
+        {schedule.length === 0 ? (
+            <p className="text-sm text-slate-400">Nada que repasar.</p>
+        ) : (
+            <div className="flex flex-wrap gap-2">
+                {schedule.map(t => (
+                    <span
+                        key={t.trait}
+                        title={`${t.misses} ${t.misses === 1 ? 'fallo' : 'fallos'} · caja ${t.box} de ${REVIEW_SPACING.length}`}
+                        className={`px-2 py-1 rounded font-mono text-sm border ${
+                            t.learned ? 'bg-green-50 border-green-200 text-green-700'
+                            : t.due ? 'bg-fuchsia-100 border-fuchsia-300 text-fuchsia-800 font-bold'
+                            : 'bg-slate-50 border-slate-200 text-slate-600'
+                        }`}
+                    >
+                        {t.trait}
+                    </span>
+                ))}
+            </div>
+        )}
+    </div>
+);
+
+export const ProgressSection = ({ progress, onReset }) => {
+    const summary = summarizeProgress(progress);
+    const missed = mostMissedFormulas(progress, 8);
+
+    const reset = () => {
+        if (window.confirm('¿Borrar todo el progreso guardado en este navegador?')) onReset();
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-fuchsia-50 p-4 rounded border-l-4 border-fuchsia-500 flex justify-between items-center flex-wrap gap-4">
+                <div>
+                    <h3 className="text-fuchsia-900 font-bold">Progreso</h3>
+                    <p className="text-sm text-fuchsia-800">
+                        Cada comprobación de un ejercicio generado en Sintaxis, Evaluación y Tablas de Verdad cuenta como un intento. Se guarda en este navegador.
+                    </p>
+                </div>
+                {progress.length > 0 && (
+                    <button onClick={reset} className="text-sm font-bold text-slate-500 hover:text-red-600 flex items-center gap-1 px-2">
+                        <Trash2 className="w-4 h-4" /> Borrar progreso
+                    </button>
+                )}
+            </div>
+
+            {progress.length === 0 ? (
+                <div className="bg-white p-10 rounded-lg shadow border border-slate-200 text-center text-slate-500">
+                    Todavía no hay intentos registrados. Resuelve algún ejercicio y vuelve aquí.
+                </div>
+            ) : (
+                <>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        {Object.keys(SKILLS).map(skill => <SkillCard key={skill} skill={skill} summary={summary[skill]} />)}
+                    </div>
+
+                    <div className="bg-white p-6 rounded-lg shadow border border-slate-200">
+                        <h3 className="font-bold text-slate-700 mb-4">Aciertos por día</h3>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                            {Object.keys(SKILLS).map(skill => (
+                                <AccuracyChart key={skill} skill={skill} days={accuracyByDay(progress, skill).slice(-CHART_DAYS)} />
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="bg-white p-6 rounded-lg shadow border border-slate-200">
+                        <h3 className="font-bold text-slate-700 mb-1">Puntos débiles</h3>
+                        <p className="text-sm text-slate-500 mb-4">
+                            Pares de conectores mal agrupados y conectores mal calculados. Los resaltados tocan repaso: con la opción «Adaptativo» los próximos ejercicios los incluyen. Tras varios aciertos seguidos pasan a verde.
+                        </p>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                            {Object.keys(SKILLS).map(skill => <WeakSpots key={skill} skill={skill} schedule={reviewSchedule(progress, skill)} />)}
+                        </div>
+                    </div>
+
+                    <div className="bg-white p-6 rounded-lg shadow border border-slate-200">
+                        <h3 className="font-bold text-slate-700 mb-4">Fórmulas más falladas</h3>
+                        {missed.length === 0 ? (
+                            <p className="text-sm text-slate-400">Ningún fallo registrado.</p>
+                        ) : (
+                            <table className="w-full text-sm text-left">
+                                <thead className="text-slate-500 border-b border-slate-200">
+                                    <tr>
+                                        <th className="py-2 pr-4">Fórmula</th>
+                                        <th className="py-2 pr-4">Ejercicio</th>
+                                        <th className="py-2 pr-4 text-center">Fallos</th>
+                                        <th className="py-2">Error habitual</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-slate-100">
+                                    {missed.map(m => (
+                                        <tr key={`${m.skill}|${m.formula}`}>
+                                            <td className="py-2 pr-4 font-mono">{m.formula}</td>
+                                            <td className="py-2 pr-4 text-slate-600">{SKILLS[m.skill]}</td>
+                                            <td className="py-2 pr-4 text-center font-mono text-red-600">{m.misses} / {m.attempts}</td>
+                                            <td className="py-2 text-slate-600">{m.error ? ERROR_CATEGORIES[m.skill][m.error] || m.error : '—'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
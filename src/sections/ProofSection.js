@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { Plus, X, CheckCircle, AlertCircle, IndentIncrease, IndentDecrease, RefreshCw } from 'lucide-react';
+import { PROOF_RULES, tryParse, checkProof, sameFormula } from '../logic';
+import { NOTATION_HINT, normalizeInputEvent, LogicKeyboard, SyntaxErrorNotice } from '../components/common';
+
+const RULE_LABELS = { 'Premisa': 'Premisa', 'Sup': 'Supuesto' };
+
+// What each rule cites, for the reference panel
+const RULE_HELP = [
+    ['∧I', 'a, b', 'de φ y ψ, φ ∧ ψ'],
+    ['∧E', 'a', 'de φ ∧ ψ, φ (o ψ)'],
+    ['∨I', 'a', 'de φ, φ ∨ ψ (o ψ ∨ φ)'],
+    ['∨E', 'a, b-c, d-e', 'de φ ∨ ψ, un subproof φ … χ y otro ψ … χ, χ'],
+    ['⇒I', 'a-b', 'de un subproof φ … ψ, φ ⇒ ψ'],
+    ['⇒E', 'a, b', 'de φ ⇒ ψ y φ, ψ'],
+    ['¬I', 'a-b', 'de un subproof φ … ⊥, ¬φ'],
+    ['¬E', 'a, b', 'de φ y ¬φ, ⊥'],
+    ['RAA', 'a-b', 'de un subproof ¬φ … ⊥, φ'],
+    ['⇔I', 'a-b, c-d', 'de subproofs φ … ψ y ψ … φ, φ ⇔ ψ'],
+    ['⇔E', 'a, b', 'de φ ⇔ ψ y φ, ψ (o al revés)'],
+    ['Reit', 'a', 'repite una línea accesible']
+];
+
+const EXAMPLE = {
+    goal: "P ⇒ R",
+    lines: [
+        { depth: 0, formula: "P ⇒ Q", rule: 'Premisa', refs: '' },
+        { depth: 0, formula: "Q ⇒ R", rule: 'Premisa', refs: '' },
+        { depth: 1, formula: "P", rule: 'Sup', refs: '' },
+        { depth: 1, formula: "Q", rule: '⇒E', refs: '1, 3' },
+        { depth: 1, formula: "R", rule: '⇒E', refs: '2, 4' },
+        { depth: 0, formula: "", rule: '⇒I', refs: '' }
+    ]
+};
+
+export const ProofSection = ({ convention }) => {
+    const [goal, setGoal] = useState(EXAMPLE.goal);
+    const [lines, setLines] = useState(EXAMPLE.lines);
+    const [active, setActive] = useState(EXAMPLE.lines.length - 1); // line that receives keyboard inserts, or 'goal'
+
+    const checked = checkProof(lines, convention);
+    const parsedGoal = goal.trim() === '' ? { ast: null, error: null } : tryParse(goal, convention);
+    const last = lines[lines.length - 1];
+    const lastAst = last && checked.lines[lines.length - 1].ast;
+    const proved = checked.valid && parsedGoal.ast && sameFormula(lastAst, parsedGoal.ast);
+    const stepsOk = lines.length > 0 && checked.lines.every(l => l.ok);
+    const premises = lines.filter(l => l.rule === 'Premisa').map(l => l.formula);
+
+    const update = (i, changes) => setLines(prev => prev.map((l, j) => j === i ? { ...l, ...changes } : l));
+    const append = (line) => {
+        setLines(prev => [...prev, line]);
+        setActive(lines.length);
+    };
+    const remove = (i) => {
+        setLines(prev => prev.filter((_, j) => j !== i));
+        setActive('goal');
+    };
+    const depthNow = last ? last.depth : 0;
+
+    const insert = (char) => {
+        if (active === 'goal') setGoal(prev => prev + char);
+        else if (lines[active]) update(active, { formula: lines[active].formula + char });
+    };
+
+    const loadExample = () => {
+        setGoal(EXAMPLE.goal);
+        setLines(EXAMPLE.lines);
+        setActive(EXAMPLE.lines.length - 1);
+    };
+    const clear = () => {
+        setGoal("");
+        setLines([{ depth: 0, formula: "", rule: 'Premisa', refs: '' }]);
+        setActive(0);
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-orange-50 p-4 rounded border-l-4 border-orange-500">
+                <h3 className="text-orange-900 font-bold">Deducción Natural (Fitch)</h3>
+                <p className="text-sm text-orange-800">
+                    Cada línea se justifica con una regla que cita líneas anteriores (3) o subproofs cerrados (3-5). Un supuesto abre una caja nueva; al cerrarla, sus líneas dejan de estar accesibles.
+                </p>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow border border-slate-200 space-y-4">
+                <div className="flex items-center gap-2">
+                    <span className="font-bold text-slate-500 text-sm">Objetivo</span>
+                    <input
+                        value={goal}
+                        onFocus={() => setActive('goal')}
+                        onChange={e => setGoal(normalizeInputEvent(e))}
+                        placeholder="Fórmula a demostrar"
+                        className={`flex-1 text-lg font-mono p-2 border-2 rounded outline-none ${parsedGoal.error ? 'border-red-400 focus:border-red-500' : 'border-slate-300 focus:border-orange-500'}`}
+                    />
+                    <button onClick={loadExample} title="Cargar el ejemplo" className="text-slate-400 hover:text-orange-600 p-2"><RefreshCw className="w-5 h-5" /></button>
+                    <button onClick={clear} className="text-sm font-bold text-slate-500 hover:text-red-600 px-2">Vaciar</button>
+                </div>
+                {parsedGoal.error && (
+                    <div className="text-center">
+                        <SyntaxErrorNotice source={goal} error={parsedGoal.error} />
+                    </div>
+                )}
+
+                <div className="space-y-1">
+                    {lines.map((line, i) => {
+                        const result = checked.lines[i];
+                        const blank = line.formula.trim() === '';
+                        // The hypothesis bar goes under an assumption and under the last premise
+                        const barred = line.rule === 'Sup' || (line.rule === 'Premisa' && (i + 1 === lines.length || lines[i + 1].rule !== 'Premisa'));
+                        return (
+                            <div key={i}>
+                                <div className="flex items-stretch gap-2">
+                                    <span className="w-8 text-right font-mono text-slate-400 pt-2">{i + 1}</span>
+                                    <div className="flex flex-1 items-stretch">
+                                        {Array.from({ length: line.depth + 1 }, (_, d) => (
+                                            <span key={d} className="w-4 border-l-2 border-slate-400 shrink-0" />
+                                        ))}
+                                        <input
+                                            value={line.formula}
+                                            onFocus={() => setActive(i)}
+                                            onChange={e => update(i, { formula: normalizeInputEvent(e) })}
+                                            className={`flex-1 min-w-0 font-mono p-2 border rounded outline-none focus:border-orange-500 ${barred ? 'border-b-4 border-b-slate-500' : 'border-slate-200'}`}
+                                        />
+                                    </div>
+                                    <select
+                                        value={line.rule}
+                                        onChange={e => update(i, { rule: e.target.value })}
+                                        className="border border-slate-300 rounded px-2 font-mono text-sm bg-white"
+                                    >
+                                        {PROOF_RULES.map(r => <option key={r} value={r}>{RULE_LABELS[r] || r}</option>)}
+                                    </select>
+                                    <input
+                                        value={line.refs}
+                                        onChange={e => update(i, { refs: e.target.value })}
+                                        placeholder="citas"
+                                        disabled={line.rule === 'Premisa' || line.rule === 'Sup'}
+                                        className="w-24 font-mono text-sm p-2 border border-slate-300 rounded outline-none focus:border-orange-500 disabled:bg-slate-50"
+                                    />
+                                    <div className="flex items-center gap-1">
+                                        <button onClick={() => update(i, { depth: line.depth + 1 })} title="Meter un nivel" className="text-slate-400 hover:text-orange-600 p-1"><IndentIncrease className="w-4 h-4" /></button>
+                                        <button onClick={() => update(i, { depth: Math.max(0, line.depth - 1) })} title="Sacar un nivel" className="text-slate-400 hover:text-orange-600 p-1"><IndentDecrease className="w-4 h-4" /></button>
+                                        <button onClick={() => remove(i)} title="Quitar línea" className="text-slate-400 hover:text-red-500 p-1"><X className="w-4 h-4" /></button>
+                                        <span className="w-5">
+                                            {!blank && (result.ok
+                                                ? <CheckCircle className="w-5 h-5 text-green-600" />
+                                                : <AlertCircle className="w-5 h-5 text-red-500" />)}
+                                        </span>
+                                    </div>
+                                </div>
+                                {!blank && !result.ok && (
+                                    <p className="text-sm text-red-600 ml-10 mt-1" style={{ paddingLeft: (line.depth + 1) * 16 }}>{result.message}</p>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <div className="flex flex-wrap gap-2 ml-10">
+                    <button onClick={() => append({ depth: depthNow, formula: "", rule: '∧I', refs: '' })} className="text-sm font-bold text-orange-700 hover:text-orange-900 flex items-center gap-1 px-2 py-1">
+                        <Plus className="w-4 h-4" /> Línea
+                    </button>
+                    <button onClick={() => append({ depth: depthNow + 1, formula: "", rule: 'Sup', refs: '' })} className="text-sm font-bold text-orange-700 hover:text-orange-900 flex items-center gap-1 px-2 py-1">
+                        <IndentIncrease className="w-4 h-4" /> Nuevo supuesto
+                    </button>
+                    {depthNow > 0 && (
+                        <button onClick={() => append({ depth: depthNow - 1, formula: "", rule: '⇒I', refs: '' })} className="text-sm font-bold text-orange-700 hover:text-orange-900 flex items-center gap-1 px-2 py-1">
+                            <IndentDecrease className="w-4 h-4" /> Cerrar subproof
+                        </button>
+                    )}
+                </div>
+
+                <LogicKeyboard onInsert={insert} />
+                <p className="text-xs text-slate-400 font-mono text-center -mt-2">{NOTATION_HINT}</p>
+
+                {proved && (
+                    <div className="text-center">
+                        <div className="inline-flex items-center gap-2 text-green-700 font-bold bg-green-50 px-4 py-2 rounded">
+                            <CheckCircle className="w-5 h-5" /> Demostración completa: {premises.join(', ')} ⊢ {goal}
+                        </div>
+                    </div>
+                )}
+                {stepsOk && !proved && parsedGoal.ast && (
+                    <p className="text-center text-sm text-slate-500">Todos los pasos son correctos; falta llegar a {goal} fuera de todo subproof.</p>
+                )}
+
+                <details className="text-sm">
+                    <summary className="cursor-pointer font-bold text-slate-600">Reglas</summary>
+                    <table className="mt-2 text-left">
+                        <tbody>
+                            {RULE_HELP.map(([rule, cites, text]) => (
+                                <tr key={rule}>
+                                    <td className="pr-4 font-mono font-bold">{rule}</td>
+                                    <td className="pr-4 font-mono text-slate-500">{cites}</td>
+                                    <td className="text-slate-600">{text}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </details>
+            </div>
+        </div>
+    );
+};
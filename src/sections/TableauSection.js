@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { CheckCircle, AlertCircle, RefreshCw } from 'lucide-react';
+import {
+    SYMBOLS, ASTNode, tryParse, toMinimalString, tableauRule, createTableau, expandEntry,
+    pendingEntries, tableauStatus, buildTableau, checkExpansion, MAX_TABLEAU_NODES
+} from '../logic';
+import { NOTATION_HINT, normalizeInputEvent, LogicKeyboard, SyntaxErrorNotice } from '../components/common';
+
+const GOALS = [
+    { id: 'sat', label: '¿Satisfacible?' },
+    { id: 'valid', label: '¿Válida?' }
+];
+
+const formatModel = (model) => Object.keys(model).sort().map(v => `${v} = ${model[v] ? 1 : 0}`).join(', ');
+
+// One node of the tree: its entries stacked, then its children side by side
+const TableauNode = ({ tableau, nodeId, leaves, show, selectable, selected, onSelect }) => {
+    const node = tableau.nodes[nodeId];
+    const leaf = leaves[nodeId];
+    return (
+        <div className="flex flex-col items-center">
+            <div className="flex flex-col items-center gap-0.5">
+                {node.entries.map(id => {
+                    const entry = tableau.entries[id];
+                    const canPick = selectable.includes(id);
+                    return (
+                        <button
+                            key={id}
+                            onClick={() => onSelect(id)}
+                            disabled={!onSelect}
+                            className={`font-mono text-sm px-2 py-0.5 rounded whitespace-nowrap transition ${
+                                selected === id ? 'bg-lime-600 text-white' : canPick && onSelect ? 'hover:bg-lime-100 text-slate-800' : 'text-slate-700'
+                            } ${entry.used ? 'opacity-60' : ''}`}
+                        >
+                            <span className="text-xs text-slate-400 mr-1">{id + 1}.</span>
+                            {show(entry.ast)}
+                            {entry.from !== null && <span className="text-xs text-slate-400 ml-1">({entry.from + 1})</span>}
+                            {entry.used && <span className="text-xs text-lime-700 ml-1">✓</span>}
+                        </button>
+                    );
+                })}
+            </div>
+            {leaf && leaf.closure && (
+                <span className="text-red-600 font-bold text-sm mt-1" title="Rama cerrada">
+                    × ({leaf.closure.map(e => e.id + 1).join(', ')})
+                </span>
+            )}
+            {leaf && leaf.complete && <span className="text-green-600 font-bold text-sm mt-1" title="Rama abierta y completa">○</span>}
+            {node.children.length > 0 && (
+                <div className="flex gap-6 mt-2 pt-2 border-t-2 border-slate-300">
+                    {node.children.map(child => (
+                        <TableauNode key={child} tableau={tableau} nodeId={child} leaves={leaves} show={show} selectable={selectable} selected={selected} onSelect={onSelect} />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const Verdict = ({ status, goal, truncated }) => {
+    if (status.closed) {
+        return (
+            <div className="inline-flex items-center gap-2 text-green-700 font-bold bg-green-50 px-4 py-2 rounded">
+                <CheckCircle className="w-5 h-5" />
+                {goal === 'sat'
+                    ? 'Insatisfacible: todas las ramas se cierran.'
+                    : 'Válida: todas las ramas de su negación se cierran.'}
+            </div>
+        );
+    }
+    const open = status.openComplete[0];
+    if (open) {
+        return (
+            <div className={`inline-flex items-center gap-2 font-bold px-4 py-2 rounded ${goal === 'sat' ? 'text-green-700 bg-green-50' : 'text-red-700 bg-red-50'}`}>
+                {goal === 'sat' ? <CheckCircle className="w-5 h-5" /> : <AlertCircle className="w-5 h-5" />}
+                {goal === 'sat' ? 'Satisfacible' : 'No es válida'}: la rama abierta da {goal === 'sat' ? 'el modelo' : 'el contramodelo'} {formatModel(open.model) || '(cualquier asignación)'}.
+            </div>
+        );
+    }
+    if (truncated) {
+        return <p className="text-sm text-slate-500">El árbol superó {MAX_TABLEAU_NODES} nodos sin decidir; prueba con el modo guiado o con el solver SAT.</p>;
+    }
+    return null;
+};
+
+export const TableauSection = ({ convention }) => {
+    const [input, setInput] = useState("(P ⇒ Q) ∧ (Q ⇒ R) ⇒ (P ⇒ R)");
+    const [goal, setGoal] = useState('valid');
+    const [mode, setMode] = useState('auto'); // auto | guided
+    const [tableau, setTableau] = useState(null); // guided mode only
+    const [selected, setSelected] = useState(null);
+    const [kind, setKind] = useState('alpha');
+    const [branchText, setBranchText] = useState(['', '']);
+    const [feedback, setFeedback] = useState(null);
+
+    const show = (ast) => toMinimalString(ast, convention);
+    const parsed = useMemo(() => tryParse(input, convention), [input, convention]);
+    const root = useMemo(() => parsed.ast && (goal === 'sat' ? parsed.ast : new ASTNode('NOT', SYMBOLS.NOT, parsed.ast)), [parsed, goal]);
+
+    // A fresh guided tree whenever the formula, the goal or the convention changes
+    const restart = useCallback(() => {
+        setTableau(root ? createTableau([root]) : null);
+        setSelected(null);
+        setFeedback(null);
+    }, [root]);
+
+    useEffect(() => { restart(); }, [restart]);
+
+    const auto = mode === 'auto' && root ? buildTableau([root]) : null;
+    const current = mode === 'auto' ? auto && auto.tableau : tableau;
+    const status = current && tableauStatus(current);
+    const leaves = status ? Object.fromEntries(status.branches.map(b => [b.leaf, b])) : {};
+    const selectable = mode === 'guided' && current ? pendingEntries(current).map(e => e.id) : [];
+    const done = status && (status.closed || status.openComplete.length > 0);
+
+    const select = (id) => {
+        const entry = current.entries[id];
+        if (entry.used) return setFeedback({ type: 'error', text: `${show(entry.ast)} ya está descompuesta.` });
+        if (!tableauRule(entry.ast)) return setFeedback({ type: 'error', text: `${show(entry.ast)} es un literal: no se descompone.` });
+        if (!selectable.includes(id)) return setFeedback({ type: 'error', text: 'Todas las ramas que pasan por esa fórmula están cerradas.' });
+        setSelected(id);
+        setBranchText(['', '']);
+        setFeedback(null);
+    };
+
+    const apply = () => {
+        const entry = current.entries[selected];
+        const branches = [];
+        for (const text of kind === 'alpha' ? branchText.slice(0, 1) : branchText) {
+            const formulas = [];
+            for (const part of text.split(',').map(s => s.trim()).filter(Boolean)) {
+                const result = tryParse(part, convention);
+                if (result.error) return setFeedback({ type: 'error', text: `«${part}»: ${result.error.message}` });
+                formulas.push(result.ast);
+            }
+            branches.push(formulas);
+        }
+        const problem = checkExpansion(entry.ast, kind, branches, show);
+        if (problem) return setFeedback({ type: 'error', text: problem });
+        const next = expandEntry(current, selected);
+        setTableau(next);
+        setSelected(null);
+        const nextStatus = tableauStatus(next);
+        const closedNow = nextStatus.branches.filter(b => b.closure).length - status.branches.filter(b => b.closure).length;
+        setFeedback({ type: 'ok', text: closedNow > 0 ? `Correcto. Se ${closedNow === 1 ? 'cierra 1 rama' : `cierran ${closedNow} ramas`}.` : 'Correcto.' });
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-lime-50 p-4 rounded border-l-4 border-lime-500">
+                <h3 className="text-lime-900 font-bold">Tableaux Semánticos</h3>
+                <p className="text-sm text-lime-800">
+                    Las fórmulas α ponen sus componentes en la misma rama y las β abren dos. Una rama se cierra al contener una fórmula y su negación; si todas se cierran, la raíz es insatisfacible. Para probar que una fórmula es válida se parte de su negación.
+                </p>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow border border-slate-200 space-y-4">
+                <div className="flex flex-wrap justify-center gap-2">
+                    {GOALS.map(g => (
+                        <button key={g.id} onClick={() => setGoal(g.id)} className={`px-3 py-1 rounded text-sm font-bold ${goal === g.id ? 'bg-lime-600 text-white' : 'bg-white text-lime-600'}`}>
+                            {g.label}
+                        </button>
+                    ))}
+                    <span className="w-px bg-slate-200 mx-2" />
+                    <button onClick={() => setMode('auto')} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'auto' ? 'bg-lime-600 text-white' : 'bg-white text-lime-600'}`}>Árbol completo</button>
+                    <button onClick={() => { setMode('guided'); restart(); }} className={`px-3 py-1 rounded text-sm font-bold ${mode === 'guided' ? 'bg-lime-600 text-white' : 'bg-white text-lime-600'}`}>Guiado</button>
+                </div>
+
+                <input
+                    value={input}
+                    onChange={e => setInput(normalizeInputEvent(e))}
+                    className={`w-full text-xl font-mono p-3 border-2 rounded outline-none text-center ${parsed.error ? 'border-red-400 focus:border-red-500' : 'border-slate-300 focus:border-lime-500'}`}
+                />
+                {parsed.error && (
+                    <div className="text-center">
+                        <SyntaxErrorNotice source={input} error={parsed.error} />
+                    </div>
+                )}
+                <LogicKeyboard onInsert={char => setInput(prev => prev + char)} />
+                <p className="text-xs text-slate-400 font-mono text-center -mt-2">{NOTATION_HINT}</p>
+            </div>
+
+            {current && (
+                <div className="bg-white p-6 rounded-lg shadow border border-slate-200 space-y-4">
+                    <div className="text-center">
+                        <Verdict status={status} goal={goal} truncated={mode === 'auto' && auto.truncated} />
+                    </div>
+
+                    {mode === 'guided' && !done && (
+                        <div className="bg-slate-50 border border-slate-200 rounded p-4 space-y-3">
+                            {selected === null ? (
+                                <p className="text-sm text-slate-600 text-center">Elige en el árbol la fórmula que quieres descomponer.</p>
+                            ) : (
+                                <>
+                                    <div className="flex flex-wrap items-center justify-center gap-2">
+                                        <span className="font-mono font-bold">{selected + 1}. {show(current.entries[selected].ast)}</span>
+                                        <span className="text-slate-400">es</span>
+                                        <button onClick={() => setKind('alpha')} className={`px-3 py-1 rounded text-sm font-bold ${kind === 'alpha' ? 'bg-lime-600 text-white' : 'bg-white text-lime-600'}`}>α (una rama)</button>
+                                        <button onClick={() => setKind('beta')} className={`px-3 py-1 rounded text-sm font-bold ${kind === 'beta' ? 'bg-lime-600 text-white' : 'bg-white text-lime-600'}`}>β (dos ramas)</button>
+                                    </div>
+                                    <div className="flex flex-wrap justify-center gap-2">
+                                        {(kind === 'alpha' ? [0] : [0, 1]).map(i => (
+                                            <input
+                                                key={i}
+                                                value={branchText[i]}
+                                                onChange={e => {
+                                                    const value = normalizeInputEvent(e);
+                                                    setBranchText(prev => prev.map((t, j) => j === i ? value : t));
+                                                }}
+                                                placeholder={kind === 'alpha' ? 'Componentes, separados por comas' : i === 0 ? 'Rama izquierda' : 'Rama derecha'}
+                                                className="font-mono p-2 border-2 border-slate-300 rounded outline-none focus:border-lime-500 w-64"
+                                            />
+                                        ))}
+                                        <button onClick={apply} className="bg-lime-600 hover:bg-lime-700 text-white px-4 py-2 rounded font-bold">Descomponer</button>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                    )}
+                    {mode === 'guided' && (
+                        <div className="flex justify-center items-center gap-4">
+                            {feedback && (
+                                <div className={`inline-flex items-center gap-2 px-4 py-2 rounded font-bold ${feedback.type === 'ok' ? 'text-green-700 bg-green-50' : 'text-red-600 bg-red-50'}`}>
+                                    {feedback.type === 'ok' ? <CheckCircle className="w-5 h-5" /> : <AlertCircle className="w-5 h-5" />} {feedback.text}
+                                </div>
+                            )}
+                            <button onClick={restart} title="Empezar de nuevo" className="text-slate-400 hover:text-lime-600 p-2"><RefreshCw className="w-5 h-5" /></button>
+                        </div>
+                    )}
+
+                    <div className="overflow-x-auto py-2">
+                        <div className="inline-flex min-w-full justify-center">
+                            <TableauNode
+                                tableau={current}
+                                nodeId={0}
+                                leaves={leaves}
+                                show={show}
+                                selectable={selectable}
+                                selected={selected}
+                                onSelect={mode === 'guided' && !done ? select : null}
+                            />
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,12 @@
+// Runs the DPLL solver off the main thread so wide formulas don't freeze the UI.
+// Message in: { formula, convention }. Message out: the solveSAT result, or { error }.
+/* global globalThis */
+import { parseToAST, solveSAT } from '../logic';
+
+globalThis.onmessage = ({ data }) => {
+    try {
+        globalThis.postMessage(solveSAT(parseToAST(data.formula, data.convention)));
+    } catch (e) {
+        globalThis.postMessage({ error: e.message });
+    }
+};